@@ -0,0 +1,232 @@
+// shared/api-key-store.js - 服务端发布者的API密钥（简易版和消息队列版共用）
+// 密钥格式为 pk_<密钥ID>_<随机串>，只在创建时返回一次；存储中只保存随机串的SHA-256哈希
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+
+// 密钥前缀，便于在日志和配置中识别
+const KEY_PREFIX = 'pk';
+
+// 随机串长度（字节）
+const SECRET_LENGTH = 32;
+
+// API密钥不允许的作用域：管理操作只能使用管理员账号的令牌
+const FORBIDDEN_SCOPES = ['admin'];
+
+/**
+ * JSON文件API密钥存储 - 吊销密钥时发出 'revoked' 事件（参数为密钥ID），供WebSocket服务器断开使用该密钥的连接
+ * 文件被其他进程修改后，下次查询时自动重新加载
+ */
+class ApiKeyStore extends EventEmitter {
+  /**
+   * @param {object} options - 配置选项
+   * @param {string} options.filePath - 存储文件路径（必需）
+   * @param {object} options.scopes - 可以授予的作用域 -> 权限，通常为服务器的作用域配置
+   */
+  constructor(options = {}) {
+    super();
+    this.filePath = options.filePath;
+    this.scopes = options.scopes || {};
+
+    if (!this.filePath) {
+      throw new Error('缺少API密钥存储文件路径');
+    }
+
+    this.keys = [];
+    this.loadedMtime = 0;
+    this._load();
+  }
+
+  /**
+   * 创建API密钥
+   * @param {object} data - 密钥数据
+   * @param {string} data.name - 名称，说明密钥的用途
+   * @param {Array<string>} data.scopes - 作用域
+   * @param {string} [data.createdBy] - 创建者的用户ID
+   * @returns {object} - { apiKey, key }，apiKey为完整密钥（只返回这一次），key为不含哈希的密钥记录
+   */
+  create(data) {
+    if (typeof data.name !== 'string' || !data.name.trim()) {
+      throw new Error('密钥名称不能为空');
+    }
+
+    const scopes = validateScopes(data.scopes, this.scopes);
+    const secret = crypto.randomBytes(SECRET_LENGTH).toString('hex');
+    const record = {
+      id: crypto.randomUUID(),
+      name: data.name.trim(),
+      scopes,
+      secretHash: hashSecret(secret),
+      createdBy: data.createdBy || null,
+      createdAt: Date.now(),
+      revokedAt: null
+    };
+
+    this._load();
+    this.keys.push(record);
+    this._save();
+
+    return {
+      apiKey: `${KEY_PREFIX}_${record.id}_${secret}`,
+      key: publicKey(record)
+    };
+  }
+
+  /**
+   * 列出所有API密钥（包括已吊销的）
+   * @returns {Array<object>} - 不含哈希的密钥记录
+   */
+  list() {
+    this._load();
+    return this.keys.map(publicKey);
+  }
+
+  /**
+   * 吊销API密钥
+   * @param {string} id - 密钥ID
+   * @returns {boolean} - 是否吊销成功（密钥不存在或已吊销时返回false）
+   */
+  revoke(id) {
+    this._load();
+    const record = this.keys.find(k => k.id === id);
+
+    if (!record || record.revokedAt) {
+      return false;
+    }
+
+    record.revokedAt = Date.now();
+    this._save();
+    this.emit('revoked', id);
+    return true;
+  }
+
+  /**
+   * 验证API密钥
+   * @param {string} apiKey - 完整密钥
+   * @returns {object|null} - 不含哈希的密钥记录，密钥无效或已吊销时返回null
+   */
+  verify(apiKey) {
+    const [prefix, id, secret] = String(apiKey).split('_');
+
+    if (prefix !== KEY_PREFIX || !id || !secret) {
+      return null;
+    }
+
+    this._load();
+    const record = this.keys.find(k => k.id === id);
+
+    if (!record || record.revokedAt) {
+      return null;
+    }
+
+    // 使用定长比较，避免时序攻击
+    const expected = Buffer.from(record.secretHash, 'hex');
+    const actual = Buffer.from(hashSecret(secret), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    return publicKey(record);
+  }
+
+  /**
+   * 验证API密钥，返回与令牌有效载荷相同形式的凭据
+   * 以 apikey:<密钥ID> 作为用户ID，jti为密钥ID（密钥被吊销时据此断开连接），没有过期时间
+   * @param {string} apiKey - 完整密钥
+   * @returns {object|null} - { userId, apiKeyId, scopes, jti }，密钥无效或已吊销时返回null
+   */
+  authenticate(apiKey) {
+    const key = this.verify(apiKey);
+
+    if (!key) {
+      return null;
+    }
+
+    return {
+      userId: `apikey:${key.id}`,
+      apiKeyId: key.id,
+      scopes: key.scopes,
+      jti: key.id
+    };
+  }
+
+  /**
+   * 从文件加载密钥（文件未变化时跳过）
+   * @private
+   */
+  _load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    try {
+      const mtime = fs.statSync(this.filePath).mtimeMs;
+      if (mtime === this.loadedMtime) {
+        return;
+      }
+
+      this.keys = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.loadedMtime = mtime;
+    } catch (error) {
+      console.error('加载API密钥文件失败:', error.message);
+    }
+  }
+
+  /**
+   * 将密钥写入文件（先写临时文件再重命名，避免写到一半时损坏）
+   * @private
+   */
+  _save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.keys, null, 2), { encoding: 'utf8', mode: 0o600 });
+    fs.renameSync(tmpPath, this.filePath);
+    this.loadedMtime = fs.statSync(this.filePath).mtimeMs;
+  }
+}
+
+/**
+ * 计算随机串的哈希（随机串熵足够高，不需要加盐和慢哈希）
+ * @param {string} secret - 随机串
+ * @returns {string} - SHA-256哈希（十六进制）
+ */
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * 检查作用域是否在权限配置中定义，且允许授予API密钥
+ * @param {Array<string>} scopes - 作用域
+ * @param {object} allowed - 作用域 -> 权限
+ * @returns {Array<string>} - 去重后的作用域
+ */
+function validateScopes(scopes, allowed) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw new Error('至少需要一个作用域');
+  }
+
+  for (const scope of scopes) {
+    if (!allowed[scope] || FORBIDDEN_SCOPES.includes(scope)) {
+      throw new Error(`不允许的作用域: ${scope}`);
+    }
+  }
+
+  return [...new Set(scopes)];
+}
+
+/**
+ * 去掉密钥记录中的哈希
+ * @param {object} record - 密钥记录
+ * @returns {object} - { id, name, scopes, createdBy, createdAt, revokedAt }
+ */
+function publicKey(record) {
+  const { secretHash, ...rest } = record;
+  return rest;
+}
+
+module.exports = {
+  ApiKeyStore
+};
@@ -0,0 +1,347 @@
+// shared/backpressure.js - 连接出站队列与慢消费者处理（简易版和消息队列版共用）
+// 浏览器消费过慢时，ws.bufferedAmount 会持续增长；超过高水位后消息先进入出站队列，
+// 队列超过上限时按配置的策略处理。drop_oldest 和 coalesce 只丢弃或合并数据推送：等待确认的推送被丢弃后
+// 由确认超时重发或转入离线收件箱；合并后的消息沿用较早消息的messageId和seq，服务器通过 onCoalesce 同步确认记录和重放缓冲区
+
+const EventEmitter = require('events');
+
+// WebSocket.OPEN，共享模块不依赖ws包
+const OPEN = 1;
+
+// 背压策略
+const POLICIES = ['drop_oldest', 'coalesce', 'pause', 'disconnect'];
+
+// 因消费过慢被断开时使用的关闭码
+const SLOW_CONSUMER_CLOSE_CODE = 4008;
+
+// 出站队列轮询间隔（毫秒）
+const FLUSH_INTERVAL = 50;
+
+// 各策略触发次数统计（所有连接累计）
+const metrics = {
+  queued: 0, // 因缓冲区超过高水位而进入队列的消息数
+  dropped: 0, // drop_oldest 丢弃的消息数（coalesce 无法合并时也会丢弃）
+  coalesced: 0, // coalesce 合并的消息数
+  paused: 0, // pause 暂停生产者的次数
+  resumed: 0, // 队列清空后恢复生产者的次数
+  disconnected: 0 // 断开的连接数（disconnect 策略，以及其他策略无法在不丢失可靠消息的情况下处理时）
+};
+
+/**
+ * 单个连接的出站队列
+ * 触发 pause 策略时调用 options.pauseProducer 暂停产生积压消息的生产者，队列清空后发出 'resume' 事件
+ */
+class Outbox extends EventEmitter {
+  /**
+   * @param {WebSocket} ws - WebSocket连接
+   * @param {object} options - 配置选项
+   * @param {string} options.policy - 背压策略 (drop_oldest|coalesce|pause|disconnect)
+   * @param {number} options.highWaterMark - 缓冲区高水位（字节），超过后消息进入队列
+   * @param {number} options.maxQueue - 出站队列最大长度，超过后触发策略
+   * @param {function} options.encode - 消息编码函数，默认JSON.stringify
+   * @param {function} options.isReliable - 判断消息是否不能丢弃或合并，默认除数据推送以外的消息
+   * @param {function} options.onCoalesce - 两条消息合并后调用 (older, newer, merged)，服务器据此把较新消息的
+   *                                       确认记录并入较早的消息、替换重放缓冲区中的消息
+   * @param {function} options.pauseProducer - pause策略下暂停产生该消息的生产者，返回是否已暂停；
+   *                                          默认认为已暂停（生产者通过 whenDrained 等待）
+   */
+  constructor(ws, options = {}) {
+    super();
+
+    this.ws = ws;
+    this.policy = options.policy || 'pause';
+    this.highWaterMark = options.highWaterMark || 1024 * 1024;
+    this.maxQueue = options.maxQueue || 100;
+    this.encode = options.encode || JSON.stringify;
+    this.isReliable = options.isReliable || isReliable;
+    this.onCoalesce = options.onCoalesce || (() => {});
+    this.pauseProducer = options.pauseProducer || (() => true);
+
+    if (!POLICIES.includes(this.policy)) {
+      throw new Error(`未知的背压策略: ${this.policy}`);
+    }
+
+    this.queue = [];
+    this.paused = false;
+    this.flushTimer = null;
+  }
+
+  /**
+   * 发送消息，缓冲区过满时先放入队列
+   * @param {object} data - 要发送的数据
+   * @returns {boolean} - 消息是否已发送或排队（连接已关闭或因策略被断开时返回false）
+   */
+  send(data) {
+    if (this.ws.readyState !== OPEN) {
+      return false;
+    }
+
+    if (this.queue.length === 0 && this.ws.bufferedAmount < this.highWaterMark) {
+      this._write(data);
+      return true;
+    }
+
+    metrics.queued++;
+    this.queue.push(data);
+    this._scheduleFlush();
+
+    if (this.queue.length > this.maxQueue) {
+      return this._applyPolicy();
+    }
+    return true;
+  }
+
+  /**
+   * 清空队列并停止轮询
+   */
+  close() {
+    clearInterval(this.flushTimer);
+    this.flushTimer = null;
+    this.queue = [];
+    this.emit('close');
+  }
+
+  /**
+   * 等待暂停状态解除（队列清空或连接关闭）
+   * @returns {Promise<void>}
+   */
+  whenDrained() {
+    if (!this.paused) {
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => {
+      const done = () => {
+        this.off('resume', done);
+        this.off('close', done);
+        resolve();
+      };
+      this.on('resume', done);
+      this.on('close', done);
+    });
+  }
+
+  /**
+   * 队列超过上限时执行背压策略
+   * @private
+   * @returns {boolean} - 连接是否仍然可用
+   */
+  _applyPolicy() {
+    switch (this.policy) {
+      case 'drop_oldest':
+        return this._dropOldest() || this._disconnect();
+
+      case 'coalesce':
+        if (this._coalesce()) {
+          metrics.coalesced++;
+          return true;
+        }
+        return this._dropOldest() || this._disconnect();
+
+      case 'pause':
+        if (this.pauseProducer(this.queue[this.queue.length - 1])) {
+          if (!this.paused) {
+            this.paused = true;
+            metrics.paused++;
+          }
+          return true;
+        }
+        // 积压的消息无法暂停其生产者；已暂停的生产者会让队列逐渐清空，否则按慢消费者断开
+        return this.paused || this._disconnect();
+
+      case 'disconnect':
+        return this._disconnect();
+    }
+  }
+
+  /**
+   * 丢弃队列中最旧的一条可以丢弃的消息
+   * @private
+   * @returns {boolean} - 是否丢弃了消息
+   */
+  _dropOldest() {
+    const index = this.queue.findIndex(message => !this.isReliable(message));
+
+    if (index < 0) {
+      return false;
+    }
+
+    this.queue.splice(index, 1);
+    metrics.dropped++;
+    return true;
+  }
+
+  /**
+   * 以慢消费者为由断开连接
+   * @private
+   * @returns {boolean} - 总是false（连接不再可用）
+   */
+  _disconnect() {
+    metrics.disconnected++;
+    this.close();
+    this.ws.close(SLOW_CONSUMER_CLOSE_CODE, 'Slow consumer');
+    return false;
+  }
+
+  /**
+   * 将最新的消息合并到队列中同一任务的上一条消息
+   * 合并后的消息留在较早消息的位置并沿用它的messageId和seq，客户端收到的序列号仍然递增；
+   * 同一条消息（如确认超时重发）仍在队列中时直接移除新加入的那条
+   * @private
+   * @returns {boolean} - 是否合并成功
+   */
+  _coalesce() {
+    const newest = this.queue[this.queue.length - 1];
+    const key = coalesceKey(newest);
+
+    if (!key || this.isReliable(newest)) {
+      return false;
+    }
+
+    for (let i = this.queue.length - 2; i >= 0; i--) {
+      const older = this.queue[i];
+
+      if (coalesceKey(older) !== key || this.isReliable(older)) {
+        continue;
+      }
+
+      if (older.messageId !== undefined && older.messageId === newest.messageId) {
+        this.queue.pop();
+        return true;
+      }
+
+      const merged = mergeMessages(older, newest);
+      if (!merged) {
+        return false;
+      }
+
+      this.queue[i] = merged;
+      this.queue.pop();
+      this.onCoalesce(older, newest, merged);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * 启动队列轮询
+   * @private
+   */
+  _scheduleFlush() {
+    if (!this.flushTimer) {
+      this.flushTimer = setInterval(() => this._flush(), FLUSH_INTERVAL);
+    }
+  }
+
+  /**
+   * 在缓冲区低于高水位时发送排队的消息
+   * @private
+   */
+  _flush() {
+    if (this.ws.readyState !== OPEN) {
+      this.close();
+      return;
+    }
+
+    try {
+      while (this.queue.length > 0 && this.ws.bufferedAmount < this.highWaterMark) {
+        this._write(this.queue.shift());
+      }
+    } catch (error) {
+      console.error('发送排队消息错误:', error);
+    }
+
+    if (this.queue.length === 0) {
+      clearInterval(this.flushTimer);
+      this.flushTimer = null;
+
+      if (this.paused) {
+        this.paused = false;
+        metrics.resumed++;
+        this.emit('resume');
+      }
+    }
+  }
+
+  /**
+   * 写入WebSocket
+   * @private
+   * @param {object} data - 要发送的数据
+   */
+  _write(data) {
+    this.ws.send(this.encode(data));
+  }
+}
+
+/**
+ * 消息是否不能丢弃或合并：认证结果、错误、令牌提醒等控制消息丢失后客户端无法恢复；
+ * 数据推送等待确认时会被重发，未启用确认的客户端接受丢失
+ * @param {object} message - 消息
+ * @returns {boolean} - 是否不能丢弃
+ */
+function isReliable(message) {
+  return message.type !== 'data';
+}
+
+/**
+ * 获取可合并消息的键：同一任务的数据推送可以合并
+ * @param {object} message - 消息
+ * @returns {string|null} - 合并键，不可合并返回null
+ */
+function coalesceKey(message) {
+  if (message.type === 'data' && message.payload && message.payload.taskId) {
+    return `${message.channel || ''}:${message.payload.taskId}`;
+  }
+  return null;
+}
+
+/**
+ * 合并两条同一任务的数据推送：分批推送的结果拼接，进度等其余字段以较新的消息为准，messageId和seq沿用较早的消息
+ * @param {object} older - 较早的消息
+ * @param {object} newer - 较新的消息
+ * @returns {object|null} - 合并后的消息，任一条没有分批结果（如取消或出错的最终推送）时返回null
+ */
+function mergeMessages(older, newer) {
+  const olderData = older.payload.data;
+  const newerData = newer.payload.data;
+
+  if (!olderData || !newerData || !Array.isArray(olderData.results) || !Array.isArray(newerData.results)) {
+    return null;
+  }
+
+  const merged = {
+    ...newer,
+    payload: {
+      ...newer.payload,
+      data: {
+        ...newerData,
+        results: olderData.results.concat(newerData.results)
+      }
+    }
+  };
+
+  for (const key of ['messageId', 'seq']) {
+    if (older[key] !== undefined) {
+      merged[key] = older[key];
+    } else {
+      delete merged[key];
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * 获取背压统计
+ * @returns {object} - 各策略触发次数
+ */
+function getMetrics() {
+  return { ...metrics };
+}
+
+module.exports = {
+  Outbox,
+  POLICIES,
+  SLOW_CONSUMER_CLOSE_CODE,
+  getMetrics
+};
@@ -0,0 +1,57 @@
+// shared/encoding.js - WebSocket消息编码协商（简易版和消息队列版共用）
+// 客户端通过 Sec-WebSocket-Protocol 请求头选择编码，未指定时使用JSON文本帧
+
+// 默认子协议
+const DEFAULT_PROTOCOL = 'push.json.v1';
+
+/**
+ * 创建编码协商函数
+ * @param {object} msgpack - @msgpack/msgpack 模块（由各服务器提供，共享模块不依赖第三方包）
+ * @returns {object} - { DEFAULT_PROTOCOL, selectProtocol, getCodec }
+ */
+function createEncoding(msgpack) {
+  // 子协议 -> 编解码器
+  const codecs = {
+    'push.json.v1': {
+      encode: data => JSON.stringify(data),
+      decode: raw => JSON.parse(raw)
+    },
+    'push.msgpack.v1': {
+      encode: data => Buffer.from(msgpack.encode(data, { ignoreUndefined: true })),
+      decode: raw => msgpack.decode(raw)
+    }
+  };
+
+  /**
+   * 从客户端请求的子协议中选择第一个支持的（用作 handleProtocols 回调）
+   * @param {Iterable<string>} protocols - 客户端请求的子协议，按优先级排序
+   * @returns {string|false} - 选中的子协议，都不支持时返回false（不返回子协议头，使用默认编码）
+   */
+  function selectProtocol(protocols) {
+    for (const protocol of protocols) {
+      if (codecs[protocol]) {
+        return protocol;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * 获取子协议对应的编解码器
+   * @param {string} protocol - 协商得到的子协议（ws.protocol，可能为空）
+   * @returns {object} - 编解码器 { encode, decode }
+   */
+  function getCodec(protocol) {
+    return codecs[protocol] || codecs[DEFAULT_PROTOCOL];
+  }
+
+  return {
+    DEFAULT_PROTOCOL,
+    selectProtocol,
+    getCodec
+  };
+}
+
+module.exports = {
+  createEncoding
+};
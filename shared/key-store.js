@@ -0,0 +1,283 @@
+// shared/key-store.js - JWT签名密钥管理（简易版和消息队列版共用）
+// 支持RS256/ES256，多个密钥通过kid区分；定期轮换签名密钥，
+// 旧密钥在签发的令牌全部过期前仍保留用于验证，公钥通过JWKS公开。
+// 签发令牌的服务器持有私钥（KeyStore），只验证令牌的服务器可以从JWKS获取公钥（RemoteKeySet）
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// 支持的非对称算法 -> 密钥生成参数
+const KEY_TYPES = {
+  RS256: ['rsa', { modulusLength: 2048 }],
+  ES256: ['ec', { namedCurve: 'P-256' }]
+};
+
+/**
+ * 签名密钥集合
+ * 每个密钥: { kid, alg, privateKey, publicKey, createdAt, retiredAt }，私钥和公钥为PEM字符串
+ */
+class KeyStore {
+  /**
+   * @param {object} options - 配置选项
+   * @param {string} options.algorithm - 签名算法 (RS256|ES256)
+   * @param {number} options.rotationInterval - 签名密钥轮换间隔（毫秒）
+   * @param {number} options.retention - 密钥停止签名后继续用于验证的时间（毫秒），应不小于令牌的最长有效期
+   * @param {string} options.filePath - 密钥文件路径（必需），重启后继续使用已有密钥
+   */
+  constructor(options = {}) {
+    this.algorithm = options.algorithm || 'RS256';
+    this.rotationInterval = options.rotationInterval || 24 * 60 * 60 * 1000;
+    this.retention = options.retention || 7 * 24 * 60 * 60 * 1000;
+    this.filePath = options.filePath;
+
+    if (!this.filePath) {
+      throw new Error('缺少签名密钥文件路径');
+    }
+    if (!KEY_TYPES[this.algorithm]) {
+      throw new Error(`不支持的签名算法: ${this.algorithm}`);
+    }
+
+    this.keys = [];
+    this.rotationTimer = null;
+    this._load();
+
+    if (!this.getSigningKey()) {
+      this.rotate();
+    }
+  }
+
+  /**
+   * 获取当前的签名密钥
+   * @returns {object|null} - 密钥，没有可用密钥时返回null
+   */
+  getSigningKey() {
+    return this.keys.find(key => !key.retiredAt && key.alg === this.algorithm) || null;
+  }
+
+  /**
+   * 按kid获取验证密钥（包括已停止签名但仍在保留期内的密钥）
+   * @param {string} kid - 密钥ID
+   * @returns {object|null} - 密钥，不存在返回null
+   */
+  getKey(kid) {
+    return this.keys.find(key => key.kid === kid) || null;
+  }
+
+  /**
+   * 本地密钥集合总是完整的，不需要加载（与 RemoteKeySet 接口一致）
+   * @param {string} kid - 密钥ID
+   */
+  async ensureKey(kid) {}
+
+  /**
+   * 生成新的签名密钥，原签名密钥停止签名但继续用于验证，并清理超过保留期的密钥
+   * @returns {object} - 新的签名密钥
+   */
+  rotate() {
+    const now = Date.now();
+    const [type, options] = KEY_TYPES[this.algorithm];
+    const { privateKey, publicKey } = crypto.generateKeyPairSync(type, {
+      ...options,
+      publicKeyEncoding: { type: 'spki', format: 'pem' },
+      privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+    });
+
+    for (const key of this.keys) {
+      if (!key.retiredAt) {
+        key.retiredAt = now;
+      }
+    }
+
+    const key = { kid: crypto.randomUUID(), alg: this.algorithm, privateKey, publicKey, createdAt: now, retiredAt: null };
+    this.keys.unshift(key);
+    this.keys = this.keys.filter(k => !k.retiredAt || k.retiredAt + this.retention > now);
+    this._save();
+
+    console.log(`已生成新的签名密钥: ${key.kid} (${key.alg})`);
+    return key;
+  }
+
+  /**
+   * 启动定期轮换，签名密钥超过轮换间隔时生成新密钥
+   */
+  startRotation() {
+    const checkInterval = Math.min(this.rotationInterval, 60 * 60 * 1000);
+
+    this.rotationTimer = setInterval(() => {
+      const signingKey = this.getSigningKey();
+      if (!signingKey || Date.now() - signingKey.createdAt >= this.rotationInterval) {
+        this.rotate();
+      }
+    }, checkInterval);
+    this.rotationTimer.unref();
+  }
+
+  /**
+   * 停止定期轮换
+   */
+  stopRotation() {
+    clearInterval(this.rotationTimer);
+    this.rotationTimer = null;
+  }
+
+  /**
+   * 导出所有验证密钥的公钥（JWKS格式）
+   * @returns {object} - { keys: [JWK] }
+   */
+  toJWKS() {
+    return {
+      keys: this.keys.map(key => ({
+        ...crypto.createPublicKey(key.publicKey).export({ format: 'jwk' }),
+        kid: key.kid,
+        alg: key.alg,
+        use: 'sig'
+      }))
+    };
+  }
+
+  /**
+   * 从文件加载密钥
+   * @private
+   */
+  _load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    try {
+      this.keys = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      console.log(`已加载签名密钥: ${this.filePath}`);
+    } catch (error) {
+      console.error('加载签名密钥文件失败:', error.message);
+    }
+  }
+
+  /**
+   * 将密钥写入文件（先写临时文件再重命名；文件包含私钥，只允许当前用户读写）
+   * @private
+   */
+  _save() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(this.keys), { encoding: 'utf8', mode: 0o600 });
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      console.error('保存签名密钥文件失败:', error.message);
+    }
+  }
+}
+
+/**
+ * 远程公钥集合 - 从JWKS地址获取公钥，只能用于验证
+ * 定期刷新；遇到未知kid（如API服务器刚轮换密钥）时立即刷新
+ */
+class RemoteKeySet {
+  /**
+   * @param {object} options - 配置选项
+   * @param {string} options.url - JWKS地址
+   * @param {number} options.refreshInterval - 定期刷新间隔（毫秒）
+   * @param {number} options.minRefreshInterval - 因未知kid触发刷新的最小间隔（毫秒），避免伪造的kid导致频繁请求
+   */
+  constructor(options = {}) {
+    this.url = options.url;
+    this.refreshInterval = options.refreshInterval || 5 * 60 * 1000;
+    this.minRefreshInterval = options.minRefreshInterval || 30 * 1000;
+    this.keys = new Map(); // kid -> { kid, alg, publicKey }
+    this.lastRefresh = 0;
+    this.refreshing = null;
+    this.refreshTimer = null;
+  }
+
+  /**
+   * 按kid获取已加载的公钥
+   * @param {string} kid - 密钥ID
+   * @returns {object|null} - 密钥，未加载返回null
+   */
+  getKey(kid) {
+    return this.keys.get(kid) || null;
+  }
+
+  /**
+   * 确保kid对应的公钥已加载，未加载时刷新JWKS（受最小刷新间隔限制）
+   * @param {string} kid - 密钥ID
+   */
+  async ensureKey(kid) {
+    if (!kid || this.keys.has(kid) || Date.now() - this.lastRefresh < this.minRefreshInterval) {
+      return;
+    }
+
+    try {
+      await this.refresh();
+    } catch (error) {
+      console.error('刷新JWKS失败:', error.message);
+    }
+  }
+
+  /**
+   * 从JWKS地址重新加载公钥，并发调用共用同一次请求
+   */
+  async refresh() {
+    if (!this.refreshing) {
+      this.refreshing = this._fetch().finally(() => {
+        this.refreshing = null;
+      });
+    }
+    return this.refreshing;
+  }
+
+  /**
+   * 启动定期刷新
+   */
+  startRefresh() {
+    this.refreshTimer = setInterval(() => {
+      this.refresh().catch(error => console.error('刷新JWKS失败:', error.message));
+    }, this.refreshInterval);
+    this.refreshTimer.unref();
+  }
+
+  /**
+   * 停止定期刷新
+   */
+  stopRefresh() {
+    clearInterval(this.refreshTimer);
+    this.refreshTimer = null;
+  }
+
+  /**
+   * @private
+   */
+  async _fetch() {
+    this.lastRefresh = Date.now();
+
+    const response = await fetch(this.url);
+    if (!response.ok) {
+      throw new Error(`获取JWKS失败，状态码 ${response.status}`);
+    }
+
+    const { keys } = await response.json();
+    const loaded = new Map();
+
+    for (const jwk of keys || []) {
+      if (!jwk.kid || !KEY_TYPES[jwk.alg]) {
+        continue;
+      }
+      loaded.set(jwk.kid, {
+        kid: jwk.kid,
+        alg: jwk.alg,
+        publicKey: crypto.createPublicKey({ key: jwk, format: 'jwk' })
+      });
+    }
+
+    this.keys = loaded;
+    console.log(`已从 ${this.url} 加载 ${loaded.size} 个签名密钥`);
+  }
+}
+
+module.exports = {
+  KeyStore,
+  RemoteKeySet,
+  KEY_TYPES
+};
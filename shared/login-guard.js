@@ -0,0 +1,258 @@
+// shared/login-guard.js - 登录防暴力破解（简易版和消息队列版共用）
+// 按IP和用户名统计滑动窗口内的登录失败次数：同一用户名连续失败时逐步延迟响应，
+// 失败过多时临时锁定账号（423）；同一IP失败过多时限流（429）。失败和被拒绝的尝试写入审计日志。
+// 允许的尝试在得出结果之前就计入进行中的次数，并发的请求不能绕过延迟和失败上限
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * 登录尝试限制器
+ */
+class LoginGuard {
+  /**
+   * @param {object} options - 配置选项
+   * @param {number} options.windowMs - 统计失败次数的滑动窗口（毫秒）
+   * @param {number} options.maxFailuresPerIp - 窗口内同一IP最多失败次数，超过后返回429
+   * @param {number} options.maxFailuresPerUsername - 窗口内同一用户名最多失败次数，超过后锁定账号
+   * @param {number} options.lockoutDuration - 账号锁定时间（毫秒）
+   * @param {number} options.delayAfter - 同一用户名失败超过该次数后开始延迟响应
+   * @param {number} options.baseDelay - 首次延迟（毫秒），之后每次失败翻倍
+   * @param {number} options.maxDelay - 最大延迟（毫秒）
+   * @param {string} [options.auditLog] - 审计日志文件路径（JSON Lines），为空时不记录
+   */
+  constructor(options = {}) {
+    this.windowMs = options.windowMs || 15 * 60 * 1000;
+    this.maxFailuresPerIp = options.maxFailuresPerIp || 20;
+    this.maxFailuresPerUsername = options.maxFailuresPerUsername || 5;
+    this.lockoutDuration = options.lockoutDuration || 15 * 60 * 1000;
+    this.delayAfter = options.delayAfter !== undefined ? options.delayAfter : 2;
+    this.baseDelay = options.baseDelay || 500;
+    this.maxDelay = options.maxDelay || 8000;
+    this.auditLog = options.auditLog || null;
+
+    this.ipFailures = new Map(); // ip -> [失败时间]
+    this.usernameFailures = new Map(); // username -> [失败时间]
+    this.lockedUntil = new Map(); // username -> 解锁时间
+    this.ipPending = new Map(); // ip -> 进行中的尝试次数
+    this.usernamePending = new Map(); // username -> 进行中的尝试次数
+  }
+
+  /**
+   * 检查是否允许本次登录尝试
+   * 允许的尝试计为进行中，之后必须调用 recordFailure、recordSuccess 或 release 结束；
+   * 进行中的尝试按失败计算延迟和上限，结果出来之前同时发起的尝试不会多于剩余的失败次数
+   * @param {string} ip - 客户端IP
+   * @param {string} username - 用户名
+   * @returns {object} - 允许时为 { allowed: true, delay }，delay为处理前应等待的毫秒数；
+   *                     拒绝时为 { allowed: false, status, code, retryAfter }，retryAfter为秒数
+   */
+  check(ip, username) {
+    const now = Date.now();
+
+    const lockedUntil = this.lockedUntil.get(username);
+    if (lockedUntil && lockedUntil > now) {
+      this._audit({ event: 'locked_out', ip, username });
+      return { allowed: false, status: 423, code: 'account_locked', retryAfter: Math.ceil((lockedUntil - now) / 1000) };
+    }
+
+    const ipFailures = this._recent(this.ipFailures, ip, now);
+    if (ipFailures.length >= this.maxFailuresPerIp) {
+      this._audit({ event: 'rate_limited', ip, username });
+      return this._rateLimited(Math.ceil((ipFailures[0] + this.windowMs - now) / 1000));
+    }
+
+    // 达到上限只是因为还有尝试在进行中，等这些尝试结束后再试
+    const pendingRetryAfter = Math.ceil(this.maxDelay / 1000);
+
+    if (ipFailures.length + (this.ipPending.get(ip) || 0) >= this.maxFailuresPerIp) {
+      this._audit({ event: 'rate_limited', ip, username });
+      return this._rateLimited(pendingRetryAfter);
+    }
+
+    const failures = this._recent(this.usernameFailures, username, now).length
+      + (this.usernamePending.get(username) || 0);
+
+    if (failures >= this.maxFailuresPerUsername) {
+      this._audit({ event: 'rate_limited', ip, username });
+      return this._rateLimited(pendingRetryAfter);
+    }
+
+    const delay = failures > this.delayAfter
+      ? Math.min(this.baseDelay * 2 ** (failures - this.delayAfter - 1), this.maxDelay)
+      : 0;
+
+    increment(this.ipPending, ip);
+    increment(this.usernamePending, username);
+
+    return { allowed: true, delay };
+  }
+
+  /**
+   * 记录一次失败的登录，同一用户名失败次数达到上限时锁定账号
+   * @param {string} ip - 客户端IP
+   * @param {string} username - 用户名
+   */
+  recordFailure(ip, username) {
+    const now = Date.now();
+
+    this._settle(ip, username);
+
+    this._push(this.ipFailures, ip, now);
+    const failures = this._push(this.usernameFailures, username, now);
+
+    this._audit({ event: 'login_failed', ip, username, failures });
+
+    if (failures >= this.maxFailuresPerUsername) {
+      this.lockedUntil.set(username, now + this.lockoutDuration);
+      this.usernameFailures.delete(username);
+
+      console.log(`用户名 ${username} 登录失败次数过多，锁定 ${this.lockoutDuration / 1000} 秒`);
+      this._audit({ event: 'account_locked', ip, username, until: now + this.lockoutDuration });
+    }
+  }
+
+  /**
+   * 记录一次成功的登录，清除该用户名的失败记录（IP的失败记录保留）
+   * @param {string} ip - 客户端IP
+   * @param {string} username - 用户名
+   */
+  recordSuccess(ip, username) {
+    this._settle(ip, username);
+    this.usernameFailures.delete(username);
+  }
+
+  /**
+   * 结束一次没有得出结果的尝试（如处理时出错），不计为失败，也不清除失败记录
+   * @param {string} ip - 客户端IP
+   * @param {string} username - 用户名
+   */
+  release(ip, username) {
+    this._settle(ip, username);
+  }
+
+  /**
+   * 清除过期的失败记录和锁定
+   */
+  purgeExpired() {
+    const now = Date.now();
+
+    for (const map of [this.ipFailures, this.usernameFailures]) {
+      for (const key of map.keys()) {
+        if (this._recent(map, key, now).length === 0) {
+          map.delete(key);
+        }
+      }
+    }
+
+    for (const [username, until] of this.lockedUntil) {
+      if (until <= now) {
+        this.lockedUntil.delete(username);
+      }
+    }
+  }
+
+  /**
+   * 结束一次进行中的尝试
+   * @param {string} ip - 客户端IP
+   * @param {string} username - 用户名
+   * @private
+   */
+  _settle(ip, username) {
+    decrement(this.ipPending, ip);
+    decrement(this.usernamePending, username);
+  }
+
+  /**
+   * 构造限流的拒绝结果
+   * @param {number} retryAfter - 重试前应等待的秒数
+   * @returns {object} - { allowed: false, status, code, retryAfter }
+   * @private
+   */
+  _rateLimited(retryAfter) {
+    return { allowed: false, status: 429, code: 'too_many_attempts', retryAfter };
+  }
+
+  /**
+   * 获取窗口内的失败时间（同时移除窗口外的记录）
+   * @param {Map} map - 失败记录
+   * @param {string} key - IP或用户名
+   * @param {number} now - 当前时间
+   * @returns {Array<number>} - 窗口内的失败时间，从早到晚
+   * @private
+   */
+  _recent(map, key, now) {
+    const times = (map.get(key) || []).filter(time => time > now - this.windowMs);
+
+    if (times.length > 0) {
+      map.set(key, times);
+    } else {
+      map.delete(key);
+    }
+    return times;
+  }
+
+  /**
+   * 追加一次失败
+   * @param {Map} map - 失败记录
+   * @param {string} key - IP或用户名
+   * @param {number} now - 当前时间
+   * @returns {number} - 窗口内的失败次数
+   * @private
+   */
+  _push(map, key, now) {
+    const times = this._recent(map, key, now);
+    times.push(now);
+    map.set(key, times);
+    return times.length;
+  }
+
+  /**
+   * 写入审计日志
+   * @param {object} record - 审计记录
+   * @private
+   */
+  _audit(record) {
+    if (!this.auditLog) {
+      return;
+    }
+
+    const line = JSON.stringify({ time: new Date().toISOString(), ...record }) + '\n';
+
+    fs.mkdir(path.dirname(this.auditLog), { recursive: true }, () => {
+      fs.appendFile(this.auditLog, line, 'utf8', (error) => {
+        if (error) {
+          console.error('写入登录审计日志失败:', error.message);
+        }
+      });
+    });
+  }
+}
+
+/**
+ * 计数加一
+ * @param {Map} map - 计数
+ * @param {string} key - IP或用户名
+ */
+function increment(map, key) {
+  map.set(key, (map.get(key) || 0) + 1);
+}
+
+/**
+ * 计数减一，减到0时删除
+ * @param {Map} map - 计数
+ * @param {string} key - IP或用户名
+ */
+function decrement(map, key) {
+  const count = (map.get(key) || 0) - 1;
+
+  if (count > 0) {
+    map.set(key, count);
+  } else {
+    map.delete(key);
+  }
+}
+
+module.exports = {
+  LoginGuard
+};
@@ -0,0 +1,334 @@
+// shared/offline-store.js - 离线消息存储（简易版和消息队列版共用）
+// 用户没有活跃连接时暂存推送，认证成功后按顺序补发。
+// 文件存储变更后异步写入；SQLite存储可以由同一台主机上的多个进程打开同一个数据库文件
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * 内存离线消息存储 - 只在本进程内有效，进程重启后数据丢失
+ */
+class MemoryOfflineStore {
+  /**
+   * @param {object} options - 配置选项
+   * @param {number} options.ttl - 消息保留时间（毫秒）
+   * @param {number} options.maxPerUser - 每个用户最多保留的消息数
+   */
+  constructor(options = {}) {
+    this.ttl = options.ttl || 24 * 60 * 60 * 1000;
+    this.maxPerUser = options.maxPerUser || 1000;
+    this.inbox = new Map(); // userId -> [{ message, queuedAt, expiresAt }]
+  }
+
+  /**
+   * 为用户暂存一条消息
+   * @param {string} userId - 用户ID
+   * @param {object} message - 要暂存的消息
+   */
+  push(userId, message) {
+    if (!this.inbox.has(userId)) {
+      this.inbox.set(userId, []);
+    }
+
+    const queue = this.inbox.get(userId);
+    const now = Date.now();
+
+    queue.push({ message, queuedAt: now, expiresAt: now + this.ttl });
+
+    // 超出上限时丢弃最旧的消息
+    if (queue.length > this.maxPerUser) {
+      queue.splice(0, queue.length - this.maxPerUser);
+    }
+  }
+
+  /**
+   * 取出用户所有未过期的消息（按入队顺序），并从存储中移除
+   * @param {string} userId - 用户ID
+   * @returns {Array<object>} - 消息列表，每条消息附带queuedAt
+   */
+  drain(userId) {
+    const queue = this.inbox.get(userId);
+
+    if (!queue) {
+      return [];
+    }
+
+    this.inbox.delete(userId);
+
+    const now = Date.now();
+    return queue
+      .filter(entry => entry.expiresAt > now)
+      .map(entry => ({ ...entry.message, queuedAt: entry.queuedAt }));
+  }
+
+  /**
+   * 清理所有过期消息
+   * @returns {number} - 清理的消息数
+   */
+  purgeExpired() {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const [userId, queue] of this.inbox) {
+      const remaining = queue.filter(entry => entry.expiresAt > now);
+      removed += queue.length - remaining.length;
+
+      if (remaining.length === 0) {
+        this.inbox.delete(userId);
+      } else {
+        this.inbox.set(userId, remaining);
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * 关闭存储
+   */
+  close() {}
+}
+
+/**
+ * 文件离线消息存储 - 变更后异步写入JSON文件，进程重启后可恢复；文件只由一个进程读写
+ */
+class FileOfflineStore extends MemoryOfflineStore {
+  /**
+   * @param {object} options - 配置选项，另需 options.filePath 指定存储文件（必需）
+   */
+  constructor(options = {}) {
+    super(options);
+    this.filePath = options.filePath;
+
+    if (!this.filePath) {
+      throw new Error('缺少离线消息文件路径');
+    }
+
+    this.saving = false; // 正在写入文件
+    this.dirty = false; // 有尚未写入文件的变更
+    this.closed = false;
+    this._load();
+  }
+
+  push(userId, message) {
+    super.push(userId, message);
+    this._save();
+  }
+
+  drain(userId) {
+    const messages = super.drain(userId);
+    if (messages.length > 0) {
+      this._save();
+    }
+    return messages;
+  }
+
+  purgeExpired() {
+    const removed = super.purgeExpired();
+    if (removed > 0) {
+      this._save();
+    }
+    return removed;
+  }
+
+  /**
+   * 关闭存储，同步写入尚未保存或正在写入的变更
+   */
+  close() {
+    this.closed = true;
+
+    if (!this.dirty && !this.saving) {
+      return;
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(this.filePath, this._serialize(), 'utf8');
+      this.dirty = false;
+    } catch (error) {
+      console.error('保存离线消息文件失败:', error.message);
+    }
+  }
+
+  /**
+   * 从文件加载离线消息
+   * @private
+   */
+  _load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.inbox = new Map(Object.entries(data));
+      console.log(`已加载离线消息: ${this.filePath}`);
+    } catch (error) {
+      console.error('加载离线消息文件失败:', error.message);
+    }
+  }
+
+  /**
+   * 安排将离线消息写入文件，不阻塞事件循环；写入期间的变更在本次写入完成后合并为一次写入
+   * @private
+   */
+  _save() {
+    this.dirty = true;
+
+    if (!this.saving) {
+      this.saving = true;
+      this._flush().finally(() => {
+        this.saving = false;
+      });
+    }
+  }
+
+  /**
+   * 写入文件直到没有新的变更（先写临时文件再重命名，避免写到一半时损坏）
+   * @private
+   */
+  async _flush() {
+    while (this.dirty) {
+      this.dirty = false;
+
+      try {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+        const tmpPath = `${this.filePath}.tmp`;
+        await fs.promises.writeFile(tmpPath, this._serialize(), 'utf8');
+
+        // 关闭时已同步写入最新内容，不能再用旧内容覆盖
+        if (this.closed) {
+          return;
+        }
+        await fs.promises.rename(tmpPath, this.filePath);
+      } catch (error) {
+        console.error('保存离线消息文件失败:', error.message);
+      }
+    }
+  }
+
+  /**
+   * 序列化离线消息
+   * @private
+   * @returns {string} - JSON文本
+   */
+  _serialize() {
+    return JSON.stringify(Object.fromEntries(this.inbox));
+  }
+}
+
+/**
+ * SQLite离线消息存储 - 需要安装 better-sqlite3
+ * 同一台主机上的多个进程打开同一个数据库文件，用户重连到其中任一进程都能取出离线消息；
+ * 取出消息在事务中完成，同一条消息只会补发一次
+ */
+class SqliteOfflineStore {
+  /**
+   * @param {object} options - 配置选项
+   * @param {string} options.filePath - 数据库文件路径（必需）
+   * @param {Function} options.loadDatabase - 返回 better-sqlite3 的 Database 类（由服务器提供，共享模块不依赖第三方包）
+   * @param {number} options.ttl - 消息保留时间（毫秒）
+   * @param {number} options.maxPerUser - 每个用户最多保留的消息数
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath;
+
+    if (!this.filePath) {
+      throw new Error('缺少离线消息文件路径');
+    }
+    if (typeof options.loadDatabase !== 'function') {
+      throw new Error('SQLite离线消息存储需要 loadDatabase');
+    }
+
+    // 只有使用SQLite存储时才需要加载原生模块
+    const Database = options.loadDatabase();
+
+    this.ttl = options.ttl || 24 * 60 * 60 * 1000;
+    this.maxPerUser = options.maxPerUser || 1000;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    this.db = new Database(this.filePath);
+    // 多个进程同时读写同一个文件
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('busy_timeout = 5000');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS offline_messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT NOT NULL,
+        message TEXT NOT NULL,
+        queued_at INTEGER NOT NULL,
+        expires_at INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS offline_messages_user ON offline_messages (user_id, id);
+    `);
+
+    this._drain = this.db.transaction(userId => {
+      const rows = this.db
+        .prepare('SELECT message, queued_at FROM offline_messages WHERE user_id = ? AND expires_at > ? ORDER BY id')
+        .all(userId, Date.now());
+      this.db.prepare('DELETE FROM offline_messages WHERE user_id = ?').run(userId);
+      return rows;
+    });
+  }
+
+  push(userId, message) {
+    const now = Date.now();
+
+    this.db
+      .prepare('INSERT INTO offline_messages (user_id, message, queued_at, expires_at) VALUES (?, ?, ?, ?)')
+      .run(String(userId), JSON.stringify(message), now, now + this.ttl);
+
+    // 超出上限时丢弃最旧的消息
+    this.db
+      .prepare(`
+        DELETE FROM offline_messages WHERE user_id = ? AND id NOT IN (
+          SELECT id FROM offline_messages WHERE user_id = ? ORDER BY id DESC LIMIT ?
+        )
+      `)
+      .run(String(userId), String(userId), this.maxPerUser);
+  }
+
+  drain(userId) {
+    // IMMEDIATE事务：两个进程同时取出同一用户的消息时，后一个等待前一个提交
+    return this._drain.immediate(String(userId))
+      .map(row => ({ ...JSON.parse(row.message), queuedAt: row.queued_at }));
+  }
+
+  purgeExpired() {
+    return this.db.prepare('DELETE FROM offline_messages WHERE expires_at <= ?').run(Date.now()).changes;
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+/**
+ * 根据类型创建离线消息存储
+ * @param {string} type - 存储类型 (memory|file|sqlite)
+ * @param {object} options - 配置选项，见 MemoryOfflineStore、FileOfflineStore 和 SqliteOfflineStore
+ * @returns {MemoryOfflineStore|SqliteOfflineStore} - 离线消息存储实例
+ */
+function createOfflineStore(type, options = {}) {
+  switch (type) {
+    case 'memory':
+      return new MemoryOfflineStore(options);
+
+    case 'file':
+      return new FileOfflineStore(options);
+
+    case 'sqlite':
+      return new SqliteOfflineStore(options);
+
+    default:
+      throw new Error(`未知的离线存储类型: ${type}`);
+  }
+}
+
+module.exports = {
+  MemoryOfflineStore,
+  FileOfflineStore,
+  SqliteOfflineStore,
+  createOfflineStore
+};
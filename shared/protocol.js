@@ -0,0 +1,201 @@
+// shared/protocol.js - WebSocket消息协议（简易版和消息队列版共用）
+// 定义错误码和两个服务器共有的消息Schema，并根据Schema生成校验函数；
+// 各服务器在自己的 protocol.js 中补充特有的消息类型，用自己的Ajv实例编译
+
+// 错误码
+const ERROR_CODES = {
+  BAD_JSON: 'E_BAD_JSON', // 消息无法解码
+  UNKNOWN_TYPE: 'E_UNKNOWN_TYPE', // 未知的消息类型
+  BAD_PAYLOAD: 'E_BAD_PAYLOAD', // 消息字段不符合协议
+  UNKNOWN_DATA_TYPE: 'E_UNKNOWN_DATA_TYPE', // 请求的数据类型没有注册任务处理器
+  UNAUTHENTICATED: 'E_UNAUTHENTICATED', // 需要先认证
+  INVALID_CREDENTIALS: 'E_INVALID_CREDENTIALS', // 令牌或API密钥无效（auth_failure、reauth_failure）
+  FORBIDDEN: 'E_FORBIDDEN', // 权限不足
+  NOT_SUBSCRIBED: 'E_NOT_SUBSCRIBED', // 取消订阅未订阅的频道（简易版）
+  TASK_NOT_FOUND: 'E_TASK_NOT_FOUND', // 要取消的任务不存在或已结束（简易版）
+  SESSION_NOT_FOUND: 'E_SESSION_NOT_FOUND', // 要恢复的会话不存在或已过期（简易版 resume_failed）
+  INTERNAL: 'E_INTERNAL' // 服务器内部错误（如消息队列不可用）
+};
+
+const nonEmptyString = { type: 'string', minLength: 1 };
+
+/**
+ * 定义一种消息的Schema
+ * @param {string} type - 消息类型
+ * @param {object} properties - 除type以外的字段
+ * @param {Array<string>} required - 必需字段
+ * @param {boolean} strict - 是否拒绝未定义的字段
+ * @returns {object} - JSON Schema
+ */
+function messageSchema(type, properties = {}, required = [], strict = true) {
+  return {
+    type: 'object',
+    properties: { type: { const: type }, ...properties },
+    required: ['type', ...required],
+    additionalProperties: !strict
+  };
+}
+
+// 客户端 -> 服务器
+// msgpack会把undefined编码为nil，可选字段同时接受null
+const INBOUND_SCHEMAS = {
+  auth: messageSchema('auth', {
+    token: { type: ['string', 'null'] },
+    apiKey: { type: ['string', 'null'] },
+    acks: { type: ['boolean', 'null'] }
+  }),
+  reauth: messageSchema('reauth', {
+    token: nonEmptyString
+  }, ['token']),
+  ack: messageSchema('ack', {
+    messageId: nonEmptyString
+  }, ['messageId']),
+  ping: messageSchema('ping', {
+    timestamp: { type: 'number' }
+  }),
+  cancel_task: {
+    ...messageSchema('cancel_task', {
+      taskId: nonEmptyString,
+      requestId: nonEmptyString
+    }),
+    anyOf: [{ required: ['taskId'] }, { required: ['requestId'] }]
+  }
+};
+
+// 服务器 -> 客户端
+// 推送消息可能带有 messageId（确认和去重）等附加字段，因此不限制额外字段
+const OUTBOUND_SCHEMAS = {
+  welcome: messageSchema('welcome', { message: { type: 'string' }, clientId: nonEmptyString }, ['clientId'], false),
+  auth_failure: messageSchema('auth_failure', {
+    code: { const: ERROR_CODES.INVALID_CREDENTIALS },
+    message: { type: 'string' }
+  }, ['code', 'message'], false),
+  reauth_success: messageSchema('reauth_success', { expiresAt: { type: ['number', 'null'] } }, [], false),
+  reauth_failure: messageSchema('reauth_failure', {
+    code: { enum: [ERROR_CODES.UNAUTHENTICATED, ERROR_CODES.INVALID_CREDENTIALS] },
+    message: { type: 'string' }
+  }, ['code', 'message'], false),
+  token_expiring: messageSchema('token_expiring', { expiresAt: { type: 'number' } }, ['expiresAt'], false),
+  token_expired: messageSchema('token_expired', { message: { type: 'string' } }, [], false),
+  token_revoked: messageSchema('token_revoked', { message: { type: 'string' } }, [], false),
+  request_accepted: messageSchema('request_accepted', {
+    requestId: nonEmptyString,
+    taskId: nonEmptyString,
+    message: { type: 'string' }
+  }, ['requestId', 'taskId'], false),
+  announcement: messageSchema('announcement', {
+    message: nonEmptyString,
+    from: { type: 'string' },
+    sentAt: { type: 'number' }
+  }, ['message', 'sentAt'], false),
+  disconnected: messageSchema('disconnected', { reason: { type: 'string' } }, ['reason'], false),
+  error: messageSchema('error', {
+    code: { enum: Object.values(ERROR_CODES) },
+    message: { type: 'string' },
+    requestId: { type: ['string', 'null'] },
+    details: { type: 'array', items: { type: 'string' } }
+  }, ['code', 'message'], false)
+};
+
+/**
+ * 根据消息Schema生成校验函数
+ * @param {object} ajv - Ajv实例（由各服务器提供，共享模块不依赖第三方包）
+ * @param {object} options - 配置选项
+ * @param {object} options.inbound - 收到的消息类型 -> Schema
+ * @param {object} options.outbound - 发送的消息类型 -> Schema
+ * @param {object} options.messages - 错误描述 { notObject, unknownType(type), badPayload(type), undefinedType(type) }
+ * @returns {object} - { validateInbound, validateOutbound }
+ */
+function createValidators(ajv, { inbound, outbound, messages }) {
+  const inboundValidators = compile(ajv, inbound);
+  const outboundValidators = compile(ajv, outbound);
+
+  /**
+   * 校验收到的消息
+   * @param {*} message - 解码后的消息
+   * @returns {object|null} - 校验通过返回null，否则返回 { code, message, details }
+   */
+  function validateInbound(message) {
+    if (!message || typeof message !== 'object' || Array.isArray(message) || typeof message.type !== 'string') {
+      return { code: ERROR_CODES.BAD_PAYLOAD, message: messages.notObject, details: [] };
+    }
+
+    const validate = inboundValidators.get(message.type);
+
+    if (!validate) {
+      return { code: ERROR_CODES.UNKNOWN_TYPE, message: messages.unknownType(message.type), details: [] };
+    }
+
+    if (!validate(message)) {
+      return {
+        code: ERROR_CODES.BAD_PAYLOAD,
+        message: messages.badPayload(message.type),
+        details: formatErrors(validate.errors)
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * 校验要发送的消息（开发时用于发现服务器发出的消息与协议不一致）
+   * @param {object} message - 要发送的消息
+   * @returns {Array<string>|null} - 校验通过返回null，否则返回错误描述
+   */
+  function validateOutbound(message) {
+    const validate = outboundValidators.get(message.type);
+
+    if (!validate) {
+      return [messages.undefinedType(message.type)];
+    }
+
+    return validate(message) ? null : formatErrors(validate.errors);
+  }
+
+  return { validateInbound, validateOutbound };
+}
+
+/**
+ * 编译每种消息的Schema
+ * @param {object} ajv - Ajv实例
+ * @param {object} schemas - 消息类型 -> Schema
+ * @returns {Map} - 消息类型 -> 校验函数
+ */
+function compile(ajv, schemas) {
+  return new Map(Object.entries(schemas).map(([type, schema]) => [type, ajv.compile(schema)]));
+}
+
+/**
+ * 构造错误回复
+ * @param {string} code - 错误码
+ * @param {string} message - 错误描述
+ * @param {object} extra - 其他字段，如 requestId、details
+ * @returns {object} - error消息
+ */
+function errorMessage(code, message, extra = {}) {
+  return { type: 'error', code, message, ...extra };
+}
+
+/**
+ * 将Ajv的错误转换为可读的描述
+ * @param {Array<object>} errors - Ajv错误
+ * @returns {Array<string>} - 如 "/requestId must NOT have fewer than 1 characters"
+ */
+function formatErrors(errors) {
+  return (errors || []).map(error => {
+    if (error.keyword === 'additionalProperties') {
+      return `${error.instancePath}/${error.params.additionalProperty} is not allowed`;
+    }
+    return `${error.instancePath || '/'} ${error.message}`;
+  });
+}
+
+module.exports = {
+  ERROR_CODES,
+  INBOUND_SCHEMAS,
+  OUTBOUND_SCHEMAS,
+  nonEmptyString,
+  messageSchema,
+  createValidators,
+  errorMessage
+};
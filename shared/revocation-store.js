@@ -0,0 +1,255 @@
+// shared/revocation-store.js - 令牌吊销列表（简易版和消息队列版共用）
+// 按令牌的jti记录已吊销的令牌，保留到令牌本身过期为止。
+// 吊销记录写入文件或SQLite数据库，进程重启后重新加载，已吊销的令牌不会因重启重新生效
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * 内存吊销列表 - 吊销令牌时发出 'revoked' 事件（参数为jti和过期时间），供WebSocket服务器断开对应连接
+ * 进程重启后数据丢失
+ */
+class RevocationStore extends EventEmitter {
+  constructor() {
+    super();
+    this.revoked = new Map(); // jti -> 令牌过期时间（毫秒时间戳）
+  }
+
+  /**
+   * 吊销令牌
+   * @param {string} jti - 令牌ID
+   * @param {number} expiresAt - 令牌过期时间（毫秒时间戳），之后可以从列表中移除
+   */
+  revoke(jti, expiresAt) {
+    if (!jti || this.revoked.has(jti)) {
+      return;
+    }
+
+    this.revoked.set(jti, expiresAt || Date.now());
+    this._persist(jti, this.revoked.get(jti));
+    this.emit('revoked', jti, this.revoked.get(jti));
+  }
+
+  /**
+   * 检查令牌是否已被吊销
+   * @param {string} jti - 令牌ID
+   * @returns {boolean} - 是否已吊销
+   */
+  isRevoked(jti) {
+    return this.revoked.has(jti);
+  }
+
+  /**
+   * 移除已过期令牌的吊销记录（过期的令牌本身已无法通过验证）
+   * @returns {number} - 移除的记录数
+   */
+  purgeExpired() {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const [jti, expiresAt] of this.revoked) {
+      if (expiresAt <= now) {
+        this.revoked.delete(jti);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * 保存一条吊销记录，内存存储不需要保存
+   * @protected
+   * @param {string} jti - 令牌ID
+   * @param {number} expiresAt - 令牌过期时间
+   */
+  _persist(jti, expiresAt) {}
+}
+
+/**
+ * 文件吊销列表 - 变更后异步写入JSON文件，启动时加载；文件只由一个进程读写
+ */
+class FileRevocationStore extends RevocationStore {
+  /**
+   * @param {object} options - 配置选项
+   * @param {string} options.filePath - 存储文件路径（必需）
+   */
+  constructor(options = {}) {
+    super();
+    this.filePath = options.filePath;
+
+    if (!this.filePath) {
+      throw new Error('缺少吊销列表文件路径');
+    }
+
+    this.saving = false; // 正在写入文件
+    this.dirty = false; // 有尚未写入文件的变更
+    this._load();
+  }
+
+  purgeExpired() {
+    const removed = super.purgeExpired();
+    if (removed > 0) {
+      this._save();
+    }
+    return removed;
+  }
+
+  _persist() {
+    this._save();
+  }
+
+  /**
+   * 从文件加载未过期的吊销记录
+   * @private
+   */
+  _load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    try {
+      const now = Date.now();
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.revoked = new Map(Object.entries(data).filter(([, expiresAt]) => expiresAt > now));
+      console.log(`已加载 ${this.revoked.size} 条令牌吊销记录`);
+    } catch (error) {
+      console.error('加载令牌吊销列表失败:', error.message);
+    }
+  }
+
+  /**
+   * 安排将吊销记录写入文件，不阻塞事件循环；写入期间的变更在本次写入完成后合并为一次写入
+   * @private
+   */
+  _save() {
+    this.dirty = true;
+
+    if (!this.saving) {
+      this.saving = true;
+      this._flush().finally(() => {
+        this.saving = false;
+      });
+    }
+  }
+
+  /**
+   * 写入文件直到没有新的变更（先写临时文件再重命名，避免写到一半时损坏）
+   * @private
+   */
+  async _flush() {
+    while (this.dirty) {
+      this.dirty = false;
+
+      try {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+        const tmpPath = `${this.filePath}.tmp`;
+        await fs.promises.writeFile(tmpPath, JSON.stringify(Object.fromEntries(this.revoked)), 'utf8');
+        await fs.promises.rename(tmpPath, this.filePath);
+      } catch (error) {
+        console.error('保存令牌吊销列表失败:', error.message);
+      }
+    }
+  }
+}
+
+/**
+ * SQLite吊销列表 - 需要安装 better-sqlite3
+ * 同一台主机上的多个进程可以打开同一个数据库文件：启动时加载已有记录，检查时也查询其他进程写入的记录；
+ * 数据库依赖文件锁，不能放在网络文件系统上供多台主机共用
+ */
+class SqliteRevocationStore extends RevocationStore {
+  /**
+   * @param {object} options - 配置选项
+   * @param {string} options.filePath - 数据库文件路径（必需）
+   * @param {Function} options.loadDatabase - 返回 better-sqlite3 的 Database 类（由服务器提供，共享模块不依赖第三方包）
+   */
+  constructor(options = {}) {
+    super();
+    this.filePath = options.filePath;
+
+    if (!this.filePath) {
+      throw new Error('缺少吊销列表文件路径');
+    }
+    if (typeof options.loadDatabase !== 'function') {
+      throw new Error('SQLite吊销列表需要 loadDatabase');
+    }
+
+    // 只有使用SQLite存储时才需要加载原生模块
+    const Database = options.loadDatabase();
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    this.db = new Database(this.filePath);
+    // 多个进程同时读写同一个文件
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('busy_timeout = 5000');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS revoked_tokens (
+        jti TEXT PRIMARY KEY,
+        expires_at INTEGER NOT NULL
+      )
+    `);
+
+    const rows = this.db.prepare('SELECT jti, expires_at FROM revoked_tokens WHERE expires_at > ?').all(Date.now());
+    this.revoked = new Map(rows.map(row => [row.jti, row.expires_at]));
+  }
+
+  /**
+   * 检查令牌是否已被吊销，本进程没有记录时查询其他进程写入的记录
+   * 其他进程的记录不放入内存：本进程收到该令牌的吊销事件时仍需发出 'revoked'
+   * @param {string} jti - 令牌ID
+   * @returns {boolean} - 是否已吊销
+   */
+  isRevoked(jti) {
+    if (super.isRevoked(jti)) {
+      return true;
+    }
+
+    return Boolean(this.db
+      .prepare('SELECT 1 FROM revoked_tokens WHERE jti = ? AND expires_at > ?')
+      .get(jti, Date.now()));
+  }
+
+  purgeExpired() {
+    super.purgeExpired();
+    return this.db.prepare('DELETE FROM revoked_tokens WHERE expires_at <= ?').run(Date.now()).changes;
+  }
+
+  _persist(jti, expiresAt) {
+    this.db
+      .prepare('INSERT INTO revoked_tokens (jti, expires_at) VALUES (?, ?) ON CONFLICT(jti) DO NOTHING')
+      .run(jti, expiresAt);
+  }
+}
+
+/**
+ * 根据类型创建吊销列表
+ * @param {string} type - 存储类型 (memory|file|sqlite)
+ * @param {object} options - 配置选项，见 FileRevocationStore 和 SqliteRevocationStore
+ * @returns {RevocationStore} - 吊销列表实例
+ */
+function createRevocationStore(type, options = {}) {
+  switch (type) {
+    case 'memory':
+      return new RevocationStore();
+
+    case 'file':
+      return new FileRevocationStore(options);
+
+    case 'sqlite':
+      return new SqliteRevocationStore(options);
+
+    default:
+      throw new Error(`未知的吊销列表存储类型: ${type}`);
+  }
+}
+
+module.exports = {
+  RevocationStore,
+  FileRevocationStore,
+  SqliteRevocationStore,
+  createRevocationStore
+};
@@ -0,0 +1,444 @@
+// shared/user-store.js - 用户存储（简易版和消息队列版共用）
+// 密码使用scrypt加盐哈希后保存，不保存明文。scrypt在libuv线程池中计算，不阻塞事件循环；
+// 两个服务器默认使用同一个存储文件（shared/storage/），同一个账号可以登录任一服务器
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt参数
+const SALT_LENGTH = 16;
+const KEY_LENGTH = 64;
+
+// 两个服务器共用的默认存储目录
+const DEFAULT_STORAGE_DIR = path.join(__dirname, 'storage');
+
+/**
+ * 计算密码哈希
+ * @param {string} password - 明文密码
+ * @returns {Promise<string>} - 格式为 scrypt$<盐>$<哈希> 的字符串
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_LENGTH).toString('hex');
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+/**
+ * 校验密码（使用定长比较，避免时序攻击）
+ * @param {string} password - 明文密码
+ * @param {string} passwordHash - hashPassword生成的哈希
+ * @returns {Promise<boolean>} - 密码是否正确
+ */
+async function verifyPassword(password, passwordHash) {
+  const [scheme, salt, hash] = String(passwordHash).split('$');
+
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, 'hex');
+  if (expected.length === 0) {
+    return false;
+  }
+
+  const actual = await scrypt(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * 用户存储的公共部分 - 角色校验和用户记录的构造
+ * 创建和修改用户时先异步计算密码哈希，再同步地检查和写入，检查和写入之间不会插入其他请求
+ */
+class BaseUserStore {
+  /**
+   * @param {object} options - 配置选项
+   * @param {object} options.roles - 角色 -> 作用域，用于校验角色（必需）
+   * @param {string} options.defaultRole - 默认角色（必需）
+   */
+  constructor(options = {}) {
+    if (!options.roles || !options.defaultRole) {
+      throw new Error('缺少角色配置');
+    }
+
+    this.roles = options.roles;
+    this.defaultRole = options.defaultRole;
+  }
+
+  /**
+   * 根据创建参数构造用户记录
+   * @param {object} data - 用户数据，见 JsonUserStore#create
+   * @returns {Promise<object>} - 用户
+   */
+  async _buildUser(data) {
+    if (!data.username || (!data.password && !data.passwordHash)) {
+      throw new Error('用户名和密码不能为空');
+    }
+
+    return {
+      id: data.id ? String(data.id) : crypto.randomUUID(),
+      username: data.username,
+      passwordHash: data.passwordHash || await hashPassword(data.password),
+      role: this._validateRole(data.role || this.defaultRole),
+      displayName: data.displayName || null,
+      preferences: data.preferences || {},
+      createdAt: data.createdAt || Date.now(),
+      passwordChangedAt: data.passwordChangedAt || null
+    };
+  }
+
+  /**
+   * 整理要修改的字段，密码在此处哈希
+   * @param {object} changes - 要修改的字段，见 JsonUserStore#update
+   * @returns {Promise<object>} - 只包含本次修改的 { passwordHash, passwordChangedAt, displayName, preferences }
+   */
+  async _prepareChanges(changes) {
+    const prepared = {};
+
+    if (changes.password) {
+      prepared.passwordHash = await hashPassword(changes.password);
+      // 刷新令牌带有签发时的这个值，不一致的刷新令牌被拒绝
+      prepared.passwordChangedAt = Date.now();
+    }
+    if (changes.displayName !== undefined) {
+      prepared.displayName = changes.displayName;
+    }
+    if (changes.preferences !== undefined) {
+      prepared.preferences = changes.preferences;
+    }
+    return prepared;
+  }
+
+  /**
+   * 检查用户名和ID是否已被占用
+   * @param {object} user - 要创建的用户
+   */
+  _checkUnique(user) {
+    if (this.findByUsername(user.username)) {
+      throw new Error(`用户名已存在: ${user.username}`);
+    }
+    if (this.findById(user.id)) {
+      throw new Error(`用户ID已存在: ${user.id}`);
+    }
+  }
+
+  /**
+   * 检查角色是否在权限配置中定义
+   * @param {string} role - 角色
+   * @returns {string} - 角色
+   */
+  _validateRole(role) {
+    if (!this.roles[role]) {
+      throw new Error(`未知的角色: ${role}`);
+    }
+    return role;
+  }
+}
+
+/**
+ * JSON文件用户存储 - 所有用户保存在一个JSON数组文件中
+ * 文件被其他进程（如另一个服务器或 seed-users.js）修改后，下次查询时自动重新加载
+ */
+class JsonUserStore extends BaseUserStore {
+  /**
+   * @param {object} options - 配置选项，另见 BaseUserStore
+   * @param {string} options.filePath - 存储文件路径，默认 shared/storage/users.json
+   */
+  constructor(options = {}) {
+    super(options);
+    this.filePath = options.filePath || path.join(DEFAULT_STORAGE_DIR, 'users.json');
+    this.users = [];
+    this.loadedMtime = 0;
+    this._load();
+  }
+
+  /**
+   * 按用户名查找用户
+   * @param {string} username - 用户名
+   * @returns {object|null} - 用户 { id, username, passwordHash, role, displayName, preferences, createdAt, passwordChangedAt }，不存在返回null
+   */
+  findByUsername(username) {
+    this._load();
+    return this.users.find(u => u.username === username) || null;
+  }
+
+  /**
+   * 按ID查找用户
+   * @param {string} id - 用户ID
+   * @returns {object|null} - 用户，不存在返回null
+   */
+  findById(id) {
+    this._load();
+    return this.users.find(u => u.id === id) || null;
+  }
+
+  /**
+   * 创建用户
+   * @param {object} data - 用户数据
+   * @param {string} data.username - 用户名
+   * @param {string} [data.password] - 明文密码
+   * @param {string} [data.passwordHash] - 已计算的密码哈希（导入用户时使用）
+   * @param {string} [data.id] - 用户ID，默认生成UUID
+   * @param {string} [data.role] - 角色，默认为配置的默认角色
+   * @param {string} [data.displayName] - 显示名称
+   * @param {object} [data.preferences] - 偏好设置
+   * @returns {Promise<object>} - 创建的用户
+   */
+  async create(data) {
+    const user = await this._buildUser(data);
+
+    this._checkUnique(user);
+    this.users.push(user);
+    this._save();
+    return user;
+  }
+
+  /**
+   * 修改用户角色
+   * @param {string} username - 用户名
+   * @param {string} role - 新角色
+   * @returns {object} - 修改后的用户
+   */
+  setRole(username, role) {
+    const user = this.findByUsername(username);
+
+    if (!user) {
+      throw new Error(`用户不存在: ${username}`);
+    }
+
+    user.role = this._validateRole(role);
+    this._save();
+    return user;
+  }
+
+  /**
+   * 修改用户的密码或资料
+   * @param {string} id - 用户ID
+   * @param {object} changes - 要修改的字段
+   * @param {string} [changes.password] - 新的明文密码
+   * @param {string|null} [changes.displayName] - 显示名称
+   * @param {object} [changes.preferences] - 偏好设置（整体替换）
+   * @returns {Promise<object>} - 修改后的用户
+   */
+  async update(id, changes) {
+    const prepared = await this._prepareChanges(changes);
+    const user = this.findById(id);
+
+    if (!user) {
+      throw new Error(`用户不存在: ${id}`);
+    }
+
+    Object.assign(user, prepared);
+    this._save();
+    return user;
+  }
+
+  /**
+   * 列出所有用户
+   * @returns {Array<object>} - 用户列表
+   */
+  list() {
+    this._load();
+    return this.users.slice();
+  }
+
+  /**
+   * 从文件加载用户（文件未变化时跳过）
+   * @private
+   */
+  _load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    try {
+      const mtime = fs.statSync(this.filePath).mtimeMs;
+      if (mtime === this.loadedMtime) {
+        return;
+      }
+
+      // 早期的用户记录没有角色和资料
+      this.users = JSON.parse(fs.readFileSync(this.filePath, 'utf8'))
+        .map(user => ({ role: this.defaultRole, displayName: null, preferences: {}, passwordChangedAt: null, ...user }));
+      this.loadedMtime = mtime;
+    } catch (error) {
+      console.error('加载用户文件失败:', error.message);
+    }
+  }
+
+  /**
+   * 将用户写入文件（先写临时文件再重命名，避免写到一半时损坏）
+   * @private
+   */
+  _save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.users, null, 2), 'utf8');
+    fs.renameSync(tmpPath, this.filePath);
+    this.loadedMtime = fs.statSync(this.filePath).mtimeMs;
+  }
+}
+
+/**
+ * SQLite用户存储 - 需要安装 better-sqlite3
+ */
+class SqliteUserStore extends BaseUserStore {
+  /**
+   * @param {object} options - 配置选项，另见 BaseUserStore
+   * @param {string} options.filePath - 数据库文件路径，默认 shared/storage/users.db
+   * @param {Function} options.loadDatabase - 返回 better-sqlite3 的 Database 类（由服务器提供，共享模块不依赖第三方包）
+   */
+  constructor(options = {}) {
+    super(options);
+
+    if (typeof options.loadDatabase !== 'function') {
+      throw new Error('SQLite用户存储需要 loadDatabase');
+    }
+
+    // 只有使用SQLite存储时才需要加载原生模块
+    const Database = options.loadDatabase();
+
+    this.filePath = options.filePath || path.join(DEFAULT_STORAGE_DIR, 'users.db');
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    this.db = new Database(this.filePath);
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS users (
+        id TEXT PRIMARY KEY,
+        username TEXT NOT NULL UNIQUE,
+        password_hash TEXT NOT NULL,
+        role TEXT NOT NULL DEFAULT '${this.defaultRole}',
+        display_name TEXT,
+        preferences TEXT NOT NULL DEFAULT '{}',
+        created_at INTEGER NOT NULL,
+        password_changed_at INTEGER
+      )
+    `);
+
+    // 迁移早期缺少这些列的数据库
+    const columns = this.db.prepare('PRAGMA table_info(users)').all().map(c => c.name);
+    const migrations = {
+      role: `TEXT NOT NULL DEFAULT '${this.defaultRole}'`,
+      display_name: 'TEXT',
+      preferences: `TEXT NOT NULL DEFAULT '{}'`,
+      password_changed_at: 'INTEGER'
+    };
+
+    for (const [column, definition] of Object.entries(migrations)) {
+      if (!columns.includes(column)) {
+        this.db.exec(`ALTER TABLE users ADD COLUMN ${column} ${definition}`);
+      }
+    }
+  }
+
+  findByUsername(username) {
+    const row = this.db.prepare('SELECT * FROM users WHERE username = ?').get(username);
+    return row ? fromRow(row) : null;
+  }
+
+  findById(id) {
+    const row = this.db.prepare('SELECT * FROM users WHERE id = ?').get(id);
+    return row ? fromRow(row) : null;
+  }
+
+  async create(data) {
+    const user = await this._buildUser(data);
+
+    this._checkUnique(user);
+    this.db
+      .prepare(`INSERT INTO users (id, username, password_hash, role, display_name, preferences, created_at, password_changed_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)`)
+      .run(user.id, user.username, user.passwordHash, user.role, user.displayName,
+        JSON.stringify(user.preferences), user.createdAt, user.passwordChangedAt);
+    return user;
+  }
+
+  setRole(username, role) {
+    const result = this.db
+      .prepare('UPDATE users SET role = ? WHERE username = ?')
+      .run(this._validateRole(role), username);
+
+    if (result.changes === 0) {
+      throw new Error(`用户不存在: ${username}`);
+    }
+    return this.findByUsername(username);
+  }
+
+  async update(id, changes) {
+    const prepared = await this._prepareChanges(changes);
+    const columns = {
+      passwordHash: 'password_hash',
+      passwordChangedAt: 'password_changed_at',
+      displayName: 'display_name',
+      preferences: 'preferences'
+    };
+    const fields = Object.keys(prepared);
+
+    if (fields.length > 0) {
+      const values = fields.map(field => field === 'preferences' ? JSON.stringify(prepared[field]) : prepared[field]);
+      this.db
+        .prepare(`UPDATE users SET ${fields.map(field => `${columns[field]} = ?`).join(', ')} WHERE id = ?`)
+        .run(...values, id);
+    }
+
+    const user = this.findById(id);
+
+    if (!user) {
+      throw new Error(`用户不存在: ${id}`);
+    }
+    return user;
+  }
+
+  list() {
+    return this.db.prepare('SELECT * FROM users ORDER BY created_at').all().map(fromRow);
+  }
+}
+
+/**
+ * 将数据库行转换为用户
+ * @param {object} row - 数据库行
+ * @returns {object} - 用户
+ */
+function fromRow(row) {
+  return {
+    id: row.id,
+    username: row.username,
+    passwordHash: row.password_hash,
+    role: row.role,
+    displayName: row.display_name,
+    preferences: JSON.parse(row.preferences || '{}'),
+    createdAt: row.created_at,
+    passwordChangedAt: row.password_changed_at
+  };
+}
+
+/**
+ * 根据类型创建用户存储
+ * @param {string} type - 存储类型 (json|sqlite)
+ * @param {object} options - 配置选项，见 JsonUserStore 和 SqliteUserStore
+ * @returns {JsonUserStore|SqliteUserStore} - 用户存储实例
+ */
+function createUserStore(type, options = {}) {
+  switch (type) {
+    case 'json':
+      return new JsonUserStore(options);
+
+    case 'sqlite':
+      return new SqliteUserStore(options);
+
+    default:
+      throw new Error(`未知的用户存储类型: ${type}`);
+  }
+}
+
+module.exports = {
+  JsonUserStore,
+  SqliteUserStore,
+  createUserStore,
+  hashPassword,
+  verifyPassword
+};
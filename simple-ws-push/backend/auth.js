@@ -1,61 +1,343 @@
 // auth.js - 处理认证相关功能
 
+const path = require('path');
 const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const { createUserStore, hashPassword, verifyPassword } = require('./user-store');
+const permissions = require('./permissions');
+const { KeyStore } = require('../../shared/key-store');
+const { ApiKeyStore } = require('../../shared/api-key-store');
+const { createRevocationStore } = require('../../shared/revocation-store');
 
-// 认证密钥 - 生产环境应使用环境变量存储
-const JWT_SECRET = 'your-secret-key';
+// 签名算法 (RS256|ES256|HS256)，HS256使用共享密钥 JWT_SECRET，仅为兼容旧部署保留
+const JWT_ALGORITHM = process.env.JWT_ALGORITHM || 'RS256';
 
-// 模拟用户数据库 - 实际应用中应连接到真实数据库
-const users = [
-  { id: '1', username: 'user1', password: 'password1' },
-  { id: '2', username: 'user2', password: 'password2' }
-];
+// HS256的共享密钥 - 生产环境应使用环境变量存储
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+
+// 签名密钥每24小时轮换一次，旧密钥保留7天（刷新令牌的有效期）用于验证
+const KEY_ROTATION_INTERVAL = 24 * 60 * 60 * 1000;
+const KEY_RETENTION = 7 * 24 * 60 * 60 * 1000;
+
+// 访问令牌有效期1小时，刷新令牌有效期7天
+const ACCESS_TOKEN_EXPIRES_IN = '1h';
+const REFRESH_TOKEN_EXPIRES_IN = '7d';
+
+// 非对称签名密钥
+const keyStore = JWT_ALGORITHM === 'HS256' ? null : new KeyStore({
+  algorithm: JWT_ALGORITHM,
+  rotationInterval: KEY_ROTATION_INTERVAL,
+  retention: KEY_RETENTION,
+  filePath: process.env.JWT_KEYS_PATH || path.join(__dirname, 'storage', 'jwt-keys.json')
+});
+
+if (keyStore) {
+  keyStore.startRotation();
+}
+
+// 已吊销令牌的jti列表 (memory|file|sqlite)，重启后从文件加载，被吊销的令牌不会重新生效
+const REVOCATION_STORE = process.env.REVOCATION_STORE || 'file';
+const revocationStore = createRevocationStore(REVOCATION_STORE, {
+  filePath: process.env.REVOCATION_STORE_PATH ||
+    path.join(__dirname, 'storage', REVOCATION_STORE === 'sqlite' ? 'revoked-tokens.db' : 'revoked-tokens.json'),
+  loadDatabase: () => require('better-sqlite3')
+});
+
+// 用户存储 (json|sqlite)，通过 node seed-users.js 创建账号
+const userStore = createUserStore(process.env.USER_STORE || 'json', {
+  filePath: process.env.USER_STORE_PATH
+});
+
+// 服务端发布者的API密钥
+const apiKeyStore = new ApiKeyStore({
+  filePath: process.env.API_KEY_STORE_PATH || path.join(__dirname, 'storage', 'api-keys.json'),
+  scopes: permissions.SCOPE_PERMISSIONS
+});
+
+// 用户不存在时也计算一次哈希，避免通过响应时间判断用户名是否存在
+const dummyPasswordHash = hashPassword('dummy-password');
 
 /**
- * 验证用户凭据并生成JWT令牌
+ * 验证用户凭据并生成访问令牌和刷新令牌
  * @param {string} username - 用户名
  * @param {string} password - 密码
- * @returns {object|null} - 包含令牌和用户信息的对象，验证失败返回null
+ * @returns {Promise<object|null>} - 包含令牌和用户信息的对象，验证失败返回null
  */
-function authenticateUser(username, password) {
-  // 在"数据库"中查找用户
-  const user = users.find(u => u.username === username && u.password === password);
+async function authenticateUser(username, password) {
+  if (typeof username !== 'string' || typeof password !== 'string') {
+    return null;
+  }
   
-  if (!user) {
+  const user = userStore.findByUsername(username);
+  const passwordValid = await verifyPassword(password, user ? user.passwordHash : await dummyPasswordHash);
+  
+  if (!user || !passwordValid) {
     return null;
   }
   
-  // 生成JWT令牌 - 有效期1小时
-  const token = jwt.sign(
-    { userId: user.id }, 
-    JWT_SECRET,
-    { expiresIn: '1h' }
-  );
+  return {
+    ...issueTokens(user),
+    user: {
+      id: user.id,
+      username: user.username,
+      role: user.role
+    }
+  };
+}
+
+/**
+ * 用刷新令牌换取新的访问令牌
+ * 刷新令牌只能使用一次，使用后吊销并签发新的刷新令牌
+ * @param {string} refreshToken - 刷新令牌
+ * @returns {object|null} - 包含新令牌和用户信息的对象，刷新令牌无效返回null
+ */
+function refreshTokens(refreshToken) {
+  const decoded = verifyRefreshToken(refreshToken);
+  
+  if (!decoded) {
+    return null;
+  }
+  
+  const user = userStore.findById(decoded.userId);
+  
+  // 签发后用户修改过密码（用户存储与消息队列版共用，密码可能在那里修改）
+  if (!user || (decoded.passwordChangedAt || null) !== (user.passwordChangedAt || null)) {
+    return null;
+  }
+  
+  revocationStore.revoke(decoded.jti, decoded.exp * 1000);
   
+  // 按用户当前的角色签发，角色变更在下次刷新时生效
   return {
-    token,
+    ...issueTokens(user),
     user: {
       id: user.id,
-      username: user.username
+      username: user.username,
+      role: user.role
     }
   };
 }
 
 /**
- * 验证JWT令牌
+ * 吊销令牌（访问令牌或刷新令牌），令牌过期前都无法再通过验证
+ * @param {string} token - JWT令牌
+ * @returns {boolean} - 是否吊销成功（令牌无效或已过期时返回false）
+ */
+function revokeToken(token) {
+  let decoded;
+  
+  try {
+    decoded = verifySignature(token);
+  } catch (error) {
+    return false;
+  }
+  
+  if (!decoded.jti) {
+    return false;
+  }
+  
+  revocationStore.revoke(decoded.jti, decoded.exp * 1000);
+  return true;
+}
+
+/**
+ * 为用户签发访问令牌和刷新令牌，访问令牌中带有角色和对应的作用域
+ * @param {object} user - 用户
+ * @returns {object} - { token, refreshToken }
+ */
+function issueTokens(user) {
+  const token = signToken(
+    { userId: user.id, role: user.role, scopes: permissions.scopesForRole(user.role) },
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN, jwtid: uuidv4() }
+  );
+  
+  const refreshToken = signToken(
+    { userId: user.id, type: 'refresh', passwordChangedAt: user.passwordChangedAt || null },
+    { expiresIn: REFRESH_TOKEN_EXPIRES_IN, jwtid: uuidv4() }
+  );
+  
+  return { token, refreshToken };
+}
+
+/**
+ * 使用当前的签名密钥签发令牌，令牌头中的kid标识所用的密钥
+ * @param {object} payload - 有效载荷
+ * @param {object} options - jsonwebtoken签名选项
+ * @returns {string} - JWT令牌
+ */
+function signToken(payload, options) {
+  if (!keyStore) {
+    return jwt.sign(payload, JWT_SECRET, { ...options, algorithm: 'HS256' });
+  }
+  
+  const key = keyStore.getSigningKey();
+  return jwt.sign(payload, key.privateKey, { ...options, algorithm: key.alg, keyid: key.kid });
+}
+
+/**
+ * 按令牌头中的kid选择密钥并验证签名和有效期
  * @param {string} token - JWT令牌
- * @returns {object|null} - 解码后的令牌有效载荷，验证失败返回null
+ * @returns {object} - 解码后的有效载荷，验证失败时抛出异常
+ */
+function verifySignature(token) {
+  if (!keyStore) {
+    return jwt.verify(token, JWT_SECRET, { algorithms: ['HS256'] });
+  }
+  
+  const decoded = jwt.decode(token, { complete: true });
+  const key = decoded && keyStore.getKey(decoded.header.kid);
+  
+  if (!key) {
+    throw new Error('unknown signing key');
+  }
+  
+  return jwt.verify(token, key.publicKey, { algorithms: [key.alg] });
+}
+
+/**
+ * 获取用于验证令牌的公钥集合（JWKS）
+ * @returns {object} - { keys: [JWK] }，使用HS256时为空
+ */
+function getJWKS() {
+  return keyStore ? keyStore.toJWKS() : { keys: [] };
+}
+
+/**
+ * 验证访问令牌
+ * @param {string} token - JWT令牌
+ * @returns {object|null} - 解码后的令牌有效载荷，验证失败、是刷新令牌或已被吊销时返回null
  */
 function verifyToken(token) {
   try {
-    return jwt.verify(token, JWT_SECRET);
+    const decoded = verifySignature(token);
+    
+    if (decoded.type === 'refresh') {
+      throw new Error('refresh token cannot be used for authentication');
+    }
+    if (decoded.jti && revocationStore.isRevoked(decoded.jti)) {
+      throw new Error('token revoked');
+    }
+    
+    return decoded;
   } catch (error) {
     console.error('Token verification failed:', error.message);
     return null;
   }
 }
 
+/**
+ * 验证刷新令牌
+ * @param {string} token - 刷新令牌
+ * @returns {object|null} - 解码后的令牌有效载荷，验证失败或已被吊销时返回null
+ */
+function verifyRefreshToken(token) {
+  try {
+    const decoded = verifySignature(token);
+    
+    if (decoded.type !== 'refresh') {
+      throw new Error('not a refresh token');
+    }
+    if (revocationStore.isRevoked(decoded.jti)) {
+      throw new Error('refresh token revoked');
+    }
+    
+    return decoded;
+  } catch (error) {
+    console.error('Refresh token verification failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * 验证API密钥，返回与令牌有效载荷相同形式的凭据
+ * 以 apikey:<密钥ID> 作为用户ID，jti为密钥ID（密钥被吊销时据此断开连接），没有过期时间
+ * @param {string} apiKey - API密钥
+ * @returns {object|null} - { userId, apiKeyId, scopes, jti }，密钥无效或已吊销时返回null
+ */
+function verifyApiKey(apiKey) {
+  return apiKeyStore.authenticate(apiKey);
+}
+
+/**
+ * 创建检查权限的Express中间件，凭据可以是 X-API-Key 请求头或访问令牌
+ * 未提供有效凭据时返回401，凭据的作用域不满足 check 时返回403
+ * @param {function} check - 权限检查函数，参数为作用域列表，如 permissions.canPublish
+ * @returns {function} - Express中间件
+ */
+function requirePermission(check) {
+  return (req, res, next) => {
+    const apiKey = req.headers['x-api-key'];
+    const token = apiKey ? null : extractToken(req);
+    const decoded = apiKey ? verifyApiKey(apiKey) : (token ? verifyToken(token) : null);
+    
+    if (!decoded) {
+      return res.status(401).json({ error: '需要认证', code: 'unauthorized' });
+    }
+    if (!check(decoded.scopes)) {
+      return res.status(403).json({ error: '权限不足', code: 'forbidden' });
+    }
+    
+    req.user = decoded;
+    next();
+  };
+}
+
+/**
+ * 创建只要求有效凭据（令牌或API密钥）的Express中间件
+ * @returns {function} - Express中间件
+ */
+function requireAuth() {
+  return requirePermission(() => true);
+}
+
+/**
+ * 创建要求管理权限的Express中间件（API密钥不能带有admin作用域，只能使用管理员的令牌）
+ * @returns {function} - Express中间件
+ */
+function requireAdmin() {
+  return requirePermission(permissions.isAdmin);
+}
+
+/**
+ * 从HTTP请求（如WebSocket升级请求）中提取令牌
+ * 依次检查 Authorization: Bearer 请求头、?token= 查询参数和 auth_token Cookie
+ * @param {http.IncomingMessage} req - HTTP请求
+ * @returns {string|null} - 令牌，未提供返回null
+ */
+function extractToken(req) {
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.slice('Bearer '.length);
+  }
+  
+  const queryToken = new URL(req.url, 'http://localhost').searchParams.get('token');
+  if (queryToken) {
+    return queryToken;
+  }
+  
+  const cookies = req.headers.cookie ? req.headers.cookie.split(';') : [];
+  for (const cookie of cookies) {
+    const [name, ...value] = cookie.trim().split('=');
+    if (name === 'auth_token') {
+      return decodeURIComponent(value.join('='));
+    }
+  }
+  
+  return null;
+}
+
 module.exports = {
   authenticateUser,
-  verifyToken
+  refreshTokens,
+  revokeToken,
+  verifyToken,
+  verifyApiKey,
+  extractToken,
+  requirePermission,
+  requireAuth,
+  requireAdmin,
+  getJWKS,
+  revocationStore,
+  apiKeyStore,
+  userStore
 };
\ No newline at end of file
@@ -0,0 +1,145 @@
+// json-array-parser.js - JSON数组的增量解析器
+// 按文本块逐段扫描顶层数组，每读完一个元素就返回该元素的文本，不需要把整个数组读入内存；
+// 元素文本交给调用方用 JSON.parse 解析，解析失败只影响该元素
+
+/**
+ * JSON数组增量解析器
+ */
+class JsonArrayParser {
+  constructor() {
+    this.started = false; // 已读到开头的 [
+    this.ended = false; // 已读到结尾的 ]
+    this.depth = 0; // 元素内部的嵌套层数
+    this.inString = false;
+    this.escaped = false;
+    this.current = ''; // 跨文本块的当前元素文本
+    this.trailing = false; // 数组结束后还有其他内容
+  }
+
+  /**
+   * 解析一段文本
+   * @param {string} chunk - 文本块
+   * @returns {Array<object>} - 这段文本中读完的元素 { text, end }，end 为元素（含分隔符）在文本块中的结束位置
+   */
+  write(chunk) {
+    const elements = [];
+    let start = 0; // 当前元素在文本块中的起始位置
+
+    for (let i = 0; i < chunk.length; i++) {
+      const ch = chunk[i];
+
+      if (this.ended) {
+        if (!isWhitespace(ch)) {
+          this.trailing = true;
+          break;
+        }
+        continue;
+      }
+
+      if (!this.started) {
+        if (ch === '[') {
+          this.started = true;
+          start = i + 1;
+        } else if (!isWhitespace(ch) && ch !== '\uFEFF') {
+          throw new Error('数据不是JSON数组');
+        }
+        continue;
+      }
+
+      if (this.inString) {
+        if (this.escaped) {
+          this.escaped = false;
+        } else if (ch === '\\') {
+          this.escaped = true;
+        } else if (ch === '"') {
+          this.inString = false;
+        }
+        continue;
+      }
+
+      switch (ch) {
+        case '"':
+          this.inString = true;
+          break;
+
+        case '{':
+        case '[':
+          this.depth++;
+          break;
+
+        case '}':
+          if (this.depth > 0) {
+            this.depth--;
+          }
+          break;
+
+        case ']':
+          if (this.depth > 0) {
+            this.depth--;
+            break;
+          }
+          // 顶层数组结束
+          this._finishElement(elements, chunk.slice(start, i), i + 1);
+          this.ended = true;
+          break;
+
+        case ',':
+          if (this.depth === 0) {
+            this._finishElement(elements, chunk.slice(start, i), i + 1);
+            start = i + 1;
+          }
+          break;
+      }
+    }
+
+    if (this.started && !this.ended) {
+      this.current += chunk.slice(start);
+    }
+
+    return elements;
+  }
+
+  /**
+   * 输入结束
+   * @returns {string|null} - 数组缺少结尾的 ] 时，返回未结束的最后一个元素的文本
+   */
+  end() {
+    if (!this.started) {
+      throw new Error('数据不是JSON数组');
+    }
+
+    const text = this.current.trim();
+    this.current = '';
+    return !this.ended && text ? text : null;
+  }
+
+  /**
+   * 结束当前元素
+   * @private
+   * @param {Array<object>} elements - 读完的元素
+   * @param {string} tail - 当前元素在这个文本块中的部分
+   * @param {number} end - 元素结束位置
+   */
+  _finishElement(elements, tail, end) {
+    const text = (this.current + tail).trim();
+    this.current = '';
+
+    // 空数组或多余的逗号
+    if (text) {
+      elements.push({ text, end });
+    }
+  }
+}
+
+/**
+ * 是否为JSON中的空白字符
+ * @param {string} ch - 字符
+ * @returns {boolean} - 是否为空白
+ */
+function isWhitespace(ch) {
+  return ch === ' ' || ch === '\n' || ch === '\r' || ch === '\t';
+}
+
+module.exports = {
+  JsonArrayParser
+};
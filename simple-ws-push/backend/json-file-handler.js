@@ -0,0 +1,484 @@
+// json-file-handler.js - 读取JSON数据文件的任务处理器
+// 自动识别数据文件的格式：JSON数组、JSON Lines（NDJSON，每行一个JSON对象）或单个JSON对象，
+// gzip压缩的文件（.gz）按文件头识别后边读边解压。文件以流的方式读取，边解析边分批产出数据项，
+// 大文件不会一次读入内存；解析失败的数据项尝试自动修复，仍失败时记入日志。
+// 读完文件之前总数未知，进度按已读取的字节数计算
+
+const { v4: uuidv4 } = require('uuid');
+const fs = require('fs');
+const path = require('path');
+const stream = require('stream');
+const zlib = require('zlib');
+const { JsonArrayParser } = require('./json-array-parser');
+
+// 识别格式时最多预读的字符数
+const HEAD_MAX_LENGTH = 1024 * 1024;
+
+/**
+ * 创建读取数据文件的任务处理器
+ * 每批产出1-10个数据项，批次之间随机等待500-2500毫秒，模拟处理时间；
+ * 除最后一批外只报告已处理的数据项数和字节进度，最后一批报告总数。识别出的格式随进度一起报告
+ * @param {string} filePath - 数据文件路径，不存在时创建示例数据
+ * @returns {function} - 任务处理器，见 task-handlers.js
+ */
+function createJsonFileHandler(filePath) {
+  return async function* jsonFileHandler(params, context) {
+    // 检查文件是否存在，如果不存在则创建示例数据
+    if (!fs.existsSync(filePath)) {
+      createSampleData(filePath);
+    }
+    
+    let totalBytes;
+    let compression;
+    try {
+      totalBytes = (await fs.promises.stat(filePath)).size;
+      compression = await detectCompression(filePath);
+    } catch (err) {
+      console.error('读取JSON文件失败:', err);
+      throw new Error('读取数据文件失败');
+    }
+    
+    // 流式读取，内存中只保留当前这一批数据项
+    const fileStream = fs.createReadStream(filePath);
+    const input = compression === 'gzip'
+      ? stream.pipeline(fileStream, zlib.createGunzip(), () => {})
+      : fileStream;
+    input.setEncoding('utf8');
+    
+    const onAbort = () => input.destroy();
+    context.signal.addEventListener('abort', onAbort, { once: true });
+    
+    // 已读取的字节数：压缩文件按读取的压缩数据计算，否则按已解析的文本计算
+    const cursor = { bytes: 0 };
+    const bytesRead = () => Math.min(compression ? fileStream.bytesRead : cursor.bytes, totalBytes);
+    
+    let format = null;
+    let entryCount = 0; // 读取的数据项数
+    let itemCount = 0; // 解析成功的数据项数（含恢复时跳过的）
+    let batchItems = [];
+    let batchSize = randomBatchSize();
+    
+    try {
+      const chunks = input[Symbol.asyncIterator]();
+      const head = await readHead(chunks);
+      format = { type: detectFormat(head), compression };
+      console.log(`数据文件 ${path.basename(filePath)} 的格式: ${format.type}${compression ? ` (${compression})` : ''}`);
+      
+      for await (const entry of readEntries(format.type, withHead(head, chunks), cursor)) {
+        entryCount++;
+        
+        const obj = parseItem(entry.text, entry.location);
+        if (obj === undefined) {
+          continue;
+        }
+        itemCount++;
+        
+        // 恢复的任务跳过已发送的数据项
+        if (itemCount <= context.resumeFrom) {
+          continue;
+        }
+        
+        // 攒满一批后等到下一个数据项出现才产出，这样文件末尾的一批可以标记为最后一批
+        if (batchItems.length === batchSize) {
+          context.reportProgress({
+            processedItems: itemCount - 1,
+            progress: Math.min(99, Math.floor((bytesRead() / totalBytes) * 100)),
+            bytesRead: bytesRead(),
+            totalBytes,
+            format
+          });
+          yield batchItems;
+          
+          batchItems = [];
+          batchSize = randomBatchSize();
+          
+          // 随机等待时间，模拟处理时间
+          await delay(Math.floor(Math.random() * 2000) + 500, context.signal); // 500-2500ms
+        }
+        
+        batchItems.push(obj);
+      }
+    } catch (err) {
+      // 任务被取消
+      if (context.signal.aborted) {
+        throw err;
+      }
+      console.error('读取JSON文件失败:', err);
+      throw new Error('读取数据文件失败');
+    } finally {
+      context.signal.removeEventListener('abort', onAbort);
+      input.destroy();
+      fileStream.destroy();
+    }
+    
+    if (context.signal.aborted) {
+      return;
+    }
+    
+    if (entryCount > 0) {
+      console.log(`总共读取了 ${entryCount} 条JSON数据，成功解析了 ${itemCount}/${entryCount} 个JSON对象 (${(itemCount/entryCount*100).toFixed(2)}%)`);
+    }
+    
+    if (itemCount === 0) {
+      console.error('没有有效的JSON对象');
+      throw new Error('没有有效的JSON数据');
+    }
+    
+    if (batchItems.length > 0) {
+      context.reportProgress({ processedItems: itemCount, totalItems: itemCount, progress: 100, bytesRead: totalBytes, totalBytes, format });
+      yield batchItems;
+    }
+  };
+}
+
+/**
+ * 根据文件头识别压缩格式
+ * @param {string} filePath - 数据文件路径
+ * @returns {Promise<string|null>} - gzip压缩返回 'gzip'，否则返回null
+ */
+async function detectCompression(filePath) {
+  const file = await fs.promises.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await file.read(Buffer.alloc(2), 0, 2, 0);
+    return bytesRead === 2 && buffer[0] === 0x1f && buffer[1] === 0x8b ? 'gzip' : null;
+  } finally {
+    await file.close();
+  }
+}
+
+/**
+ * 预读文件开头用于识别格式：读到第一个非空行之后的内容、文件结束或 HEAD_MAX_LENGTH 为止
+ * @param {AsyncIterator<string>} chunks - 文本块
+ * @returns {Promise<string>} - 预读的内容
+ */
+async function readHead(chunks) {
+  let text = '';
+  
+  while (text.length < HEAD_MAX_LENGTH && !/\S[^\n]*\n\s*\S/.test(text)) {
+    const { value, done } = await chunks.next();
+    if (done) {
+      break;
+    }
+    text += value;
+  }
+  
+  return text;
+}
+
+/**
+ * 识别数据格式
+ * 以 [ 开头时，第一行本身是完整的JSON且后面还有内容的是（每行一个数组的）JSON Lines，否则是JSON数组；
+ * 以 { 开头时，第一行本身是完整的JSON或下一行也以 { 开头的是JSON Lines，否则是单个（跨多行的）JSON对象；
+ * 其他内容按JSON Lines逐行解析，无法解析的行记入日志
+ * @param {string} text - 文件开头的内容
+ * @returns {string} - json-array、jsonl 或 json-object
+ */
+function detectFormat(text) {
+  const content = stripBom(text).trimStart();
+  const isArray = content.startsWith('[');
+  
+  if (!isArray && !content.startsWith('{')) {
+    return 'jsonl';
+  }
+  
+  const [firstLine, secondLine] = content.split('\n').map(line => line.trim()).filter(line => line !== '');
+  
+  // 只有一行（或第一行超过预读长度）：整个文件就是一个数组或对象
+  if (secondLine === undefined) {
+    return isArray ? 'json-array' : 'json-object';
+  }
+  // 多行书写的数组，第二行通常就以 { 开头，因此这条规则只用于对象
+  if (!isArray && secondLine.startsWith('{')) {
+    return 'jsonl';
+  }
+  
+  try {
+    JSON.parse(firstLine);
+    return 'jsonl';
+  } catch (e) {
+    return isArray ? 'json-array' : 'json-object';
+  }
+}
+
+/**
+ * 先产出预读的内容，再产出剩余的文本块
+ * @param {string} head - 预读的内容
+ * @param {AsyncIterator<string>} chunks - 剩余的文本块
+ */
+async function* withHead(head, chunks) {
+  if (head) {
+    yield stripBom(head);
+  }
+  
+  while (true) {
+    const { value, done } = await chunks.next();
+    if (done) {
+      return;
+    }
+    yield value;
+  }
+}
+
+/**
+ * 按格式把文本块切分为待解析的数据项 { text, location }，location 用于日志中定位数据项
+ * @param {string} format - 数据格式
+ * @param {AsyncIterable<string>} chunks - 文本块
+ * @param {object} cursor - 读取位置，bytes 为已切分的字节数
+ * @returns {AsyncIterable<object>} - 数据项
+ */
+function readEntries(format, chunks, cursor) {
+  switch (format) {
+    case 'json-array':
+      return readArrayElements(chunks, cursor);
+    case 'json-object':
+      return readObject(chunks, cursor);
+    default:
+      return readLines(chunks, cursor);
+  }
+}
+
+/**
+ * 逐行切分JSON Lines，跳过空行
+ * @param {AsyncIterable<string>} chunks - 文本块
+ * @param {object} cursor - 读取位置
+ */
+async function* readLines(chunks, cursor) {
+  let rest = '';
+  let lineNumber = 0;
+  
+  function* take(line) {
+    lineNumber++;
+    cursor.bytes += Buffer.byteLength(line, 'utf8') + 1;
+    
+    const text = line.endsWith('\r') ? line.slice(0, -1) : line;
+    if (text.trim() !== '') {
+      yield { text, location: `行 ${lineNumber}` };
+    }
+  }
+  
+  for await (const chunk of chunks) {
+    const lines = (rest + chunk).split('\n');
+    rest = lines.pop();
+    
+    for (const line of lines) {
+      yield* take(line);
+    }
+  }
+  
+  if (rest !== '') {
+    yield* take(rest);
+  }
+}
+
+/**
+ * 用增量解析器逐个切分JSON数组的元素
+ * @param {AsyncIterable<string>} chunks - 文本块
+ * @param {object} cursor - 读取位置
+ */
+async function* readArrayElements(chunks, cursor) {
+  const parser = new JsonArrayParser();
+  let index = 0;
+  
+  for await (const chunk of chunks) {
+    let position = 0;
+    
+    for (const element of parser.write(chunk)) {
+      cursor.bytes += Buffer.byteLength(chunk.slice(position, element.end), 'utf8');
+      position = element.end;
+      yield { text: element.text, location: `元素 ${++index}` };
+    }
+    
+    cursor.bytes += Buffer.byteLength(chunk.slice(position), 'utf8');
+  }
+  
+  if (parser.trailing) {
+    console.warn('JSON数组结束后还有其他内容，已忽略');
+  }
+  
+  const last = parser.end();
+  if (last !== null) {
+    console.warn('JSON数组缺少结尾的 ]，尝试解析最后一个元素');
+    yield { text: last, location: `元素 ${++index}` };
+  }
+}
+
+/**
+ * 读取整个JSON对象，作为一个数据项
+ * @param {AsyncIterable<string>} chunks - 文本块
+ * @param {object} cursor - 读取位置
+ */
+async function* readObject(chunks, cursor) {
+  let text = '';
+  
+  for await (const chunk of chunks) {
+    text += chunk;
+  }
+  
+  cursor.bytes = Buffer.byteLength(text, 'utf8');
+  yield { text: text.trim(), location: '对象' };
+}
+
+/**
+ * 去掉开头的UTF-8 BOM
+ * @param {string} text - 文本
+ * @returns {string} - 去掉BOM后的文本
+ */
+function stripBom(text) {
+  return text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+}
+
+/**
+ * 每批处理的数据项数
+ * @returns {number} - 1-10
+ */
+function randomBatchSize() {
+  return Math.floor(Math.random() * 10) + 1;
+}
+
+/**
+ * 等待一段时间，signal 触发时提前结束并抛出 AbortError
+ * @param {number} ms - 等待时间（毫秒）
+ * @param {AbortSignal} signal - 取消信号
+ * @returns {Promise<void>}
+ */
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      return reject(signal.reason);
+    }
+    
+    const timer = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    
+    function onAbort() {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }
+    
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * 解析一个数据项，失败时尝试自动修复，仍失败时记录到 logs/json_parse_errors.log
+ * @param {string} line - 数据项的文本
+ * @param {string} location - 数据项的位置，如 "行 3"、"元素 5"
+ * @returns {*} - 解析结果，解析失败返回undefined
+ */
+function parseItem(line, location) {
+  try {
+    return JSON.parse(line);
+  } catch (e) {
+    console.error(`【${location} 解析失败】`);
+    console.error(`错误类型: ${e.name}`);
+    console.error(`错误消息: ${e.message}`);
+    
+    // 找出可能的错误位置
+    if (e.message.includes('position')) {
+      const posMatch = e.message.match(/position (\d+)/);
+      if (posMatch && posMatch[1]) {
+        const pos = parseInt(posMatch[1]);
+        const start = Math.max(0, pos - 20);
+        const end = Math.min(line.length, pos + 20);
+        console.error(`错误位置附近: "${line.substring(start, pos)}👉${line.substring(pos, end)}"`);
+      }
+    }
+    
+    // 输出行内容片段，避免过长
+    const previewLength = 200;
+    const linePreview = line.length > previewLength 
+      ? line.substring(0, previewLength) + "..." 
+      : line;
+    console.error(`内容预览: ${linePreview}`);
+    
+    // 尝试检测常见JSON格式问题
+    if (line.includes('\\"')) {
+      console.warn("可能的问题: 字符串中包含转义的引号");
+    }
+    if ((line.match(/"/g) || []).length % 2 !== 0) {
+      console.warn("可能的问题: 引号数量不匹配");
+    }
+    if (line.includes('\\')) {
+      console.warn("可能的问题: 包含反斜杠，可能需要额外转义");
+    }
+    
+    // 尝试简单修复并重新解析
+    let fixedLine = line;
+    
+    // 尝试修复1: 处理结尾多余逗号
+    fixedLine = fixedLine.replace(/,\s*}$/, '}').replace(/,\s*]$/, ']');
+    
+    // 尝试修复2: 处理JSON中的换行符
+    fixedLine = fixedLine.replace(/\n/g, '\\n').replace(/\r/g, '\\r');
+    
+    // 检查是否修复成功
+    try {
+      const fixedObj = JSON.parse(fixedLine);
+      console.log(`✅ 自动修复成功! 添加到数据集`);
+      return fixedObj;
+    } catch (fixError) {
+      console.error(`❌ 自动修复失败: ${fixError.message}`);
+      
+      // 保存失败的行到日志文件，方便后续分析
+      try {
+        const logDir = path.join(__dirname, 'logs');
+        if (!fs.existsSync(logDir)) {
+          fs.mkdirSync(logDir);
+        }
+        
+        const logFile = path.join(logDir, 'json_parse_errors.log');
+        fs.appendFileSync(
+          logFile, 
+          `--- ${location} (${new Date().toISOString()}) ---\n${line}\n\n`,
+          'utf8'
+        );
+        console.log(`已将失败的数据保存到: ${logFile}`);
+      } catch (logError) {
+        console.error(`无法保存日志: ${logError.message}`);
+      }
+    }
+  }
+  
+  return undefined;
+}
+
+/**
+ * 创建示例JSON数据文件
+ * @param {string} filePath - 数据文件路径
+ */
+function createSampleData(filePath) {
+  console.log('创建示例数据文件...');
+  
+  // 创建一个包含100项的示例数据数组
+  const sampleData = [];
+  for (let i = 0; i < 100; i++) {
+    sampleData.push({
+      id: uuidv4(),
+      name: `项目 ${i + 1}`,
+      value: Math.round(Math.random() * 1000),
+      timestamp: new Date().toISOString(),
+      status: ['进行中', '已完成', '已暂停', '已取消'][Math.floor(Math.random() * 4)],
+      metrics: {
+        accuracy: Math.random().toFixed(2),
+        performance: Math.random().toFixed(2),
+        reliability: Math.random().toFixed(2)
+      }
+    });
+  }
+  
+  // 写入文件
+  fs.writeFileSync(
+    filePath,
+    JSON.stringify(sampleData, null, 2),
+    'utf8'
+  );
+  
+  console.log(`示例数据文件已创建: ${filePath}`);
+}
+
+module.exports = {
+  createJsonFileHandler,
+  detectFormat
+};
@@ -0,0 +1,107 @@
+// permissions.js - 角色与作用域权限配置
+// 签发令牌时按用户角色写入scopes，服务器根据令牌中的scopes判断是否允许操作
+
+// 角色 -> 作用域
+const ROLE_SCOPES = {
+  user: ['data:basic', 'channels:datasets'],
+  analyst: ['data:basic', 'data:reports', 'channels:datasets'],
+  admin: ['data:basic', 'data:reports', 'channels:all', 'publish', 'admin']
+};
+
+// 作用域 -> 允许的资源
+// dataTypes: 允许请求的数据类型；channels: 允许订阅和推送的频道，支持 * 结尾的前缀匹配；
+// publish: 是否允许通过 /api/publish 向任意用户推送；admin: 是否允许管理操作
+const SCOPE_PERMISSIONS = {
+  'data:basic': { dataTypes: ['default', 'analysis', 'metrics'] },
+  'data:reports': { dataTypes: ['report'] },
+  'channels:datasets': { channels: ['dataset:*'] },
+  'channels:all': { channels: ['*'] },
+  publish: { publish: true },
+  admin: { admin: true }
+};
+
+// 默认角色
+const DEFAULT_ROLE = 'user';
+
+/**
+ * 获取角色的作用域
+ * @param {string} role - 角色
+ * @returns {Array<string>} - 作用域列表，未知角色返回空列表
+ */
+function scopesForRole(role) {
+  return (ROLE_SCOPES[role] || []).slice();
+}
+
+/**
+ * 判断作用域是否允许请求某种数据类型
+ * @param {Array<string>} scopes - 令牌中的作用域
+ * @param {string} dataType - 数据类型
+ * @returns {boolean} - 是否允许
+ */
+function canRequestDataType(scopes, dataType) {
+  return permissionsOf(scopes).some(p => (p.dataTypes || []).includes(dataType));
+}
+
+/**
+ * 判断作用域是否允许订阅频道或向频道推送
+ * @param {Array<string>} scopes - 令牌中的作用域
+ * @param {string} topic - 频道名称
+ * @returns {boolean} - 是否允许
+ */
+function canAccessChannel(scopes, topic) {
+  return permissionsOf(scopes).some(p => (p.channels || []).some(pattern => matchPattern(pattern, topic)));
+}
+
+/**
+ * 判断作用域是否允许通过发布接口推送消息
+ * @param {Array<string>} scopes - 令牌或API密钥的作用域
+ * @returns {boolean} - 是否允许
+ */
+function canPublish(scopes) {
+  return permissionsOf(scopes).some(p => p.publish === true);
+}
+
+/**
+ * 判断作用域是否允许管理操作
+ * @param {Array<string>} scopes - 令牌中的作用域
+ * @returns {boolean} - 是否允许
+ */
+function isAdmin(scopes) {
+  return permissionsOf(scopes).some(p => p.admin === true);
+}
+
+/**
+ * 获取作用域对应的权限配置
+ * @param {Array<string>} scopes - 令牌中的作用域
+ * @returns {Array<object>} - 权限配置列表
+ */
+function permissionsOf(scopes) {
+  if (!Array.isArray(scopes)) {
+    return [];
+  }
+  return scopes.map(scope => SCOPE_PERMISSIONS[scope]).filter(Boolean);
+}
+
+/**
+ * 匹配资源名称，* 结尾的模式按前缀匹配
+ * @param {string} pattern - 模式
+ * @param {string} value - 资源名称
+ * @returns {boolean} - 是否匹配
+ */
+function matchPattern(pattern, value) {
+  if (pattern.endsWith('*')) {
+    return value.startsWith(pattern.slice(0, -1));
+  }
+  return pattern === value;
+}
+
+module.exports = {
+  ROLE_SCOPES,
+  SCOPE_PERMISSIONS,
+  DEFAULT_ROLE,
+  scopesForRole,
+  canRequestDataType,
+  canAccessChannel,
+  canPublish,
+  isAdmin
+};
@@ -0,0 +1,85 @@
+// protocol.js - WebSocket消息协议
+// 用JSON Schema描述客户端和服务器之间的每种消息；收到的消息在分发前校验，
+// 错误回复带有机器可读的错误码，客户端据此区分错误类型。
+// 错误码和两个服务器共有的消息定义在 shared/protocol.js，这里补充简易版特有的消息（会话恢复、频道订阅等）
+
+const Ajv = require('ajv');
+const shared = require('../../shared/protocol');
+
+const { ERROR_CODES, nonEmptyString, messageSchema } = shared;
+
+// 客户端 -> 服务器
+const INBOUND_SCHEMAS = {
+  ...shared.INBOUND_SCHEMAS,
+  resume: messageSchema('resume', {
+    token: nonEmptyString,
+    sessionId: nonEmptyString,
+    lastSeq: { type: 'integer', minimum: 0 },
+    acks: { type: ['boolean', 'null'] }
+  }, ['token', 'sessionId']),
+  pong: messageSchema('pong', {
+    timestamp: { type: 'number' },
+    echo: { type: 'number' }
+  }),
+  request_data: messageSchema('request_data', {
+    requestId: nonEmptyString,
+    dataType: { type: ['string', 'null'], maxLength: 64 },
+    priority: { enum: ['low', 'normal', 'high', null] },
+    options: { type: ['object', 'null'] },
+    channel: { type: ['string', 'null'], minLength: 1 }
+  }, ['requestId']),
+  subscribe: messageSchema('subscribe', {
+    topic: { type: 'string', minLength: 1, pattern: '\\S' }
+  }, ['topic']),
+  unsubscribe: messageSchema('unsubscribe', {
+    topic: nonEmptyString
+  }, ['topic'])
+};
+
+// 服务器 -> 客户端
+// 推送消息还可能带有 seq（会话重放）
+const OUTBOUND_SCHEMAS = {
+  ...shared.OUTBOUND_SCHEMAS,
+  ping: messageSchema('ping', { timestamp: { type: 'number' } }, ['timestamp'], false),
+  auth_success: messageSchema('auth_success', {
+    userId: nonEmptyString,
+    sessionId: nonEmptyString,
+    expiresAt: { type: ['number', 'null'] }
+  }, ['userId', 'sessionId'], false),
+  resumed: messageSchema('resumed', {
+    userId: nonEmptyString,
+    sessionId: nonEmptyString,
+    lastSeq: { type: 'integer' },
+    replayed: { type: 'integer' },
+    expiresAt: { type: ['number', 'null'] },
+    complete: { type: 'boolean' }
+  }, ['userId', 'sessionId', 'lastSeq', 'replayed', 'complete'], false),
+  resume_failed: messageSchema('resume_failed', {
+    code: { const: ERROR_CODES.SESSION_NOT_FOUND },
+    sessionId: { type: 'string' },
+    message: { type: 'string' }
+  }, ['code', 'message'], false),
+  data: messageSchema('data', { payload: {}, channel: { type: 'string' } }, ['payload'], false),
+  subscribed: messageSchema('subscribed', { topic: nonEmptyString }, ['topic'], false),
+  unsubscribed: messageSchema('unsubscribed', { topic: nonEmptyString }, ['topic'], false)
+};
+
+const { validateInbound, validateOutbound } = shared.createValidators(new Ajv({ allErrors: true }), {
+  inbound: INBOUND_SCHEMAS,
+  outbound: OUTBOUND_SCHEMAS,
+  messages: {
+    notObject: '消息必须是带有type字段的对象',
+    unknownType: type => `未知的消息类型: ${type}`,
+    badPayload: type => `${type} 消息格式错误`,
+    undefinedType: type => `未定义的消息类型: ${type}`
+  }
+});
+
+module.exports = {
+  ERROR_CODES,
+  INBOUND_SCHEMAS,
+  OUTBOUND_SCHEMAS,
+  validateInbound,
+  validateOutbound,
+  errorMessage: shared.errorMessage
+};
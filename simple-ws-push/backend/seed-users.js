@@ -0,0 +1,114 @@
+// seed-users.js - 用户账号管理命令
+// 用法:
+//   node seed-users.js seed [--admin-password <密码>]  创建示例账号（已存在则跳过），未指定管理员密码时生成随机密码并打印一次
+//   node seed-users.js add <用户名> <密码> [角色]    创建账号，角色默认为user
+//   node seed-users.js set-role <用户名> <角色>      修改账号角色
+//   node seed-users.js import <users.json>         导入用户，支持本存储导出的文件和旧的明文 { id, username, password } 数组
+//   node seed-users.js list                        列出所有账号
+// 通过 USER_STORE (json|sqlite) 和 USER_STORE_PATH 环境变量选择存储，与服务器一致
+
+const crypto = require("crypto");
+const fs = require("fs");
+const { createUserStore } = require("./user-store");
+
+// 示例账号，user1、user2与原先硬编码的用户一致
+const DEMO_USERS = [
+  { id: "1", username: "user1", password: "password1", role: "analyst" },
+  { id: "2", username: "user2", password: "password2", role: "user" },
+];
+
+// 示例管理员账号，密码不固定
+const DEMO_ADMIN = { id: "3", username: "admin", role: "admin" };
+
+const userStore = createUserStore(process.env.USER_STORE || "json", {
+  filePath: process.env.USER_STORE_PATH,
+});
+
+/**
+ * 创建用户，用户名已存在时跳过
+ * @param {object} data - 用户数据
+ * @returns {Promise<boolean>} - 是否创建
+ */
+async function createIfMissing(data) {
+  if (userStore.findByUsername(data.username)) {
+    console.log(`跳过已存在的用户: ${data.username}`);
+    return false;
+  }
+
+  const user = await userStore.create(data);
+  console.log(`已创建用户: ${user.username} (ID: ${user.id}, 角色: ${user.role})`);
+  return true;
+}
+
+const [command = "seed", ...args] = process.argv.slice(2);
+
+// 执行命令行指定的命令
+async function main() {
+  switch (command) {
+    case "seed": {
+      const passwordIndex = args.indexOf("--admin-password");
+      const adminPassword = passwordIndex >= 0 ? args[passwordIndex + 1] : crypto.randomBytes(12).toString("base64url");
+      if (!adminPassword) {
+        throw new Error("用法: node seed-users.js seed [--admin-password <密码>]");
+      }
+
+      for (const data of DEMO_USERS) {
+        await createIfMissing(data);
+      }
+      if (await createIfMissing({ ...DEMO_ADMIN, password: adminPassword }) && passwordIndex < 0) {
+        console.log(`管理员 ${DEMO_ADMIN.username} 的密码（只显示这一次）: ${adminPassword}`);
+      }
+      break;
+    }
+
+    case "add": {
+      const [username, password, role] = args;
+      if (!username || !password) {
+        throw new Error("用法: node seed-users.js add <用户名> <密码> [角色]");
+      }
+      const user = await userStore.create({ username, password, role });
+      console.log(`已创建用户: ${user.username} (ID: ${user.id}, 角色: ${user.role})`);
+      break;
+    }
+
+    case "set-role": {
+      const [username, role] = args;
+      if (!username || !role) {
+        throw new Error("用法: node seed-users.js set-role <用户名> <角色>");
+      }
+      const user = userStore.setRole(username, role);
+      console.log(`已将用户 ${user.username} 的角色设置为 ${user.role}`);
+      break;
+    }
+
+    case "import": {
+      const [filePath] = args;
+      if (!filePath) {
+        throw new Error("用法: node seed-users.js import <users.json>");
+      }
+      const users = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      let created = 0;
+      for (const data of users) {
+        if (await createIfMissing(data)) {
+          created++;
+        }
+      }
+      console.log(`导入完成，新增 ${created} 个用户`);
+      break;
+    }
+
+    case "list":
+      for (const user of userStore.list()) {
+        console.log(`${user.id}\t${user.username}\t${user.role}\t${new Date(user.createdAt).toISOString()}`);
+      }
+      break;
+
+    default:
+      throw new Error(`未知命令: ${command}`);
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
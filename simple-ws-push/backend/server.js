@@ -13,10 +13,53 @@ const path = require("path");
 // 导入自定义模块
 const auth = require("./auth");
 const taskProcessor = require("./task-processor");
+const taskHandlers = require("./task-handlers");
+const { createOfflineStore } = require("../../shared/offline-store");
+const { createTaskStore } = require("./task-store");
+const backpressure = require("../../shared/backpressure");
+const encoding = require("./encoding");
+const permissions = require("./permissions");
+const { LoginGuard } = require("../../shared/login-guard");
+const protocol = require("./protocol");
+const { ERROR_CODES } = protocol;
 
 // 配置
 const PORT = process.env.PORT || 3000;
 const WS_HEARTBEAT_INTERVAL = 30000; // 心跳间隔，30秒
+const REPLAY_BUFFER_SIZE = 500; // 每个会话最多保留的可重放消息数
+const SESSION_TTL = 5 * 60 * 1000; // 断开后会话保留时间，5分钟
+const OFFLINE_STORE = process.env.OFFLINE_STORE || "memory"; // 离线消息存储类型 (memory|file|sqlite)
+const OFFLINE_MESSAGE_TTL = 24 * 60 * 60 * 1000; // 离线消息保留时间，24小时
+const ACK_TIMEOUT = 10000; // 推送超过该时间未确认则重发，10秒
+const MAX_DELIVERY_ATTEMPTS = 3; // 单个连接上的最大发送次数
+const BACKPRESSURE_POLICY = process.env.BACKPRESSURE_POLICY || "pause"; // 慢消费者策略 (drop_oldest|coalesce|pause|disconnect)
+const OUTBOX_HIGH_WATER_MARK = 1024 * 1024; // 连接发送缓冲区高水位，1MB
+const OUTBOX_MAX_QUEUE = 100; // 连接出站队列最大长度
+const HANDSHAKE_AUTH = process.env.HANDSHAKE_AUTH || "optional"; // 握手认证模式 (off|optional|required)
+const AUTH_TIMEOUT = 30000; // 未认证连接的最长保留时间，30秒
+const AUTH_TIMEOUT_CLOSE_CODE = 4001; // 认证超时的关闭码
+const TOKEN_EXPIRY_WARNING = 60000; // 令牌过期前多久推送 token_expiring，60秒
+const TOKEN_EXPIRED_CLOSE_CODE = 4002; // 令牌过期的关闭码
+const TOKEN_REVOKED_CLOSE_CODE = 4003; // 令牌被吊销的关闭码
+const ADMIN_DISCONNECT_CLOSE_CODE = 4004; // 被管理员断开的关闭码，客户端收到后不再自动重连
+const ANNOUNCEMENT_MAX_LENGTH = 1000; // 公告的最大长度
+const TASK_STATUSES = ["pending", "queued", "processing", "completed", "error", "cancelled", "interrupted"]; // 任务状态
+const TASK_STORE = process.env.TASK_STORE || "file"; // 任务存储类型 (memory|file|sqlite)
+const TASK_RECOVERY = process.env.TASK_RECOVERY || "resume"; // 重启前未结束的任务的处理方式 (resume|interrupt)
+const TASK_RETENTION = 24 * 60 * 60 * 1000; // 已结束任务的保留时间，24小时
+const TASK_MAX_CONCURRENT = parseInt(process.env.TASK_MAX_CONCURRENT, 10) || 4; // 同时处理的任务数上限，超出的任务排队
+const TASK_MAX_CONCURRENT_PER_USER = parseInt(process.env.TASK_MAX_CONCURRENT_PER_USER, 10) || 2; // 每个用户同时处理的任务数上限
+const TASK_LIST_DEFAULT_LIMIT = 20; // 任务列表默认返回的任务数
+const TASK_LIST_MAX_LIMIT = 100; // 任务列表最多返回的任务数
+const VALIDATE_OUTBOUND = process.env.PROTOCOL_VALIDATE_OUTBOUND === "true"; // 是否校验发出的消息（开发时使用）
+const LOGIN_WINDOW = 15 * 60 * 1000; // 统计登录失败次数的滑动窗口，15分钟
+const LOGIN_MAX_FAILURES_PER_IP = parseInt(process.env.LOGIN_MAX_FAILURES_PER_IP, 10) || 20; // 窗口内同一IP最多失败次数，超过后返回429
+const LOGIN_MAX_FAILURES_PER_USERNAME = parseInt(process.env.LOGIN_MAX_FAILURES_PER_USERNAME, 10) || 5; // 窗口内同一用户名最多失败次数，达到后锁定账号
+const LOGIN_LOCKOUT_DURATION = parseInt(process.env.LOGIN_LOCKOUT_DURATION, 10) || 15 * 60 * 1000; // 账号锁定时间，15分钟
+const LOGIN_DELAY_AFTER = 2; // 同一用户名失败超过该次数后开始延迟响应
+const LOGIN_BASE_DELAY = 500; // 首次延迟，之后每次失败翻倍
+const LOGIN_MAX_DELAY = 8000; // 最大延迟
+const LOGIN_AUDIT_LOG = process.env.LOGIN_AUDIT_LOG || path.join(__dirname, "logs", "login-audit.log"); // 登录审计日志
 
 // 创建Express应用和HTTP服务器
 const app = express();
@@ -29,26 +72,334 @@ app.use(bodyParser.json());
 router(app);
 
 // 创建WebSocket服务器
-const wss = new WebSocket.Server({ server });
+// 通过 Sec-WebSocket-Protocol 协商消息编码 (push.json.v1 | push.msgpack.v1)
+const wss = new WebSocket.Server({
+  server,
+  handleProtocols: encoding.selectProtocol,
+  verifyClient: verifyHandshake,
+});
+
+// 客户端映射: clientId -> 客户端对象（包括未认证的连接）
+const clients = new Map();
 
 // 用户连接映射: userId -> Set(客户端对象)
 const userConnections = new Map();
 
+// 频道订阅映射: topic -> Set(客户端对象)
+const channels = new Map();
+
+// 会话映射: sessionId -> 会话对象
+const sessions = new Map();
+
+// 用户会话映射: userId -> Set(会话对象)
+const userSessions = new Map();
+
+// 离线消息存储: 用户没有任何会话时暂存推送
+const offlineStore = createOfflineStore(OFFLINE_STORE, {
+  ttl: OFFLINE_MESSAGE_TTL,
+  filePath: process.env.OFFLINE_STORE_PATH ||
+    path.join(__dirname, "storage", OFFLINE_STORE === "sqlite" ? "offline-inbox.db" : "offline-inbox.json"),
+  loadDatabase: () => require("better-sqlite3"),
+});
+
+// 定期清理过期的离线消息
+setInterval(() => {
+  const removed = offlineStore.purgeExpired();
+  if (removed > 0) {
+    console.log(`清理了 ${removed} 条过期离线消息`);
+  }
+}, 60 * 60 * 1000).unref();
+
+// 任务调度: 超出并发限制的任务排队，按优先级和用户轮转开始
+taskProcessor.configure({
+  maxConcurrent: TASK_MAX_CONCURRENT,
+  maxConcurrentPerUser: TASK_MAX_CONCURRENT_PER_USER,
+});
+
+// 任务存储: 服务器重启后继续处理（或中断并通知所有者）重启前未结束的任务
+taskProcessor.useStore(createTaskStore(TASK_STORE, {
+  filePath: process.env.TASK_STORE_PATH,
+}));
+
+const recoveredTasks = taskProcessor.recoverTasks(TASK_RECOVERY, (task) => taskResultCallback(task.requestData));
+if (recoveredTasks > 0) {
+  console.log(`处理了 ${recoveredTasks} 个重启前未结束的任务 (${TASK_RECOVERY})`);
+}
+
+// 定期清理已结束的任务
+setInterval(() => {
+  const removed = taskProcessor.purgeFinished(TASK_RETENTION);
+  if (removed > 0) {
+    console.log(`清理了 ${removed} 个已结束的任务`);
+  }
+}, 60 * 60 * 1000).unref();
+
+// 登录防暴力破解
+const loginGuard = new LoginGuard({
+  windowMs: LOGIN_WINDOW,
+  maxFailuresPerIp: LOGIN_MAX_FAILURES_PER_IP,
+  maxFailuresPerUsername: LOGIN_MAX_FAILURES_PER_USERNAME,
+  lockoutDuration: LOGIN_LOCKOUT_DURATION,
+  delayAfter: LOGIN_DELAY_AFTER,
+  baseDelay: LOGIN_BASE_DELAY,
+  maxDelay: LOGIN_MAX_DELAY,
+  auditLog: LOGIN_AUDIT_LOG,
+});
+
+// 定期清理已过期令牌的吊销记录和过期的登录失败记录
+setInterval(() => {
+  auth.revocationStore.purgeExpired();
+  loginGuard.purgeExpired();
+}, 60 * 60 * 1000).unref();
+
+// 令牌或API密钥被吊销时断开使用它的连接
+auth.revocationStore.on("revoked", disconnectRevoked);
+auth.apiKeyStore.on("revoked", disconnectRevoked);
+
+// API路由 - 背压统计
+app.get("/api/metrics/backpressure", auth.requireAdmin(), (req, res) => {
+  res.json({
+    policy: BACKPRESSURE_POLICY,
+    ...backpressure.getMetrics(),
+  });
+});
+
+// API路由 - API密钥管理（创建、列出、吊销），需要管理权限
+app.get("/api/admin/api-keys", auth.requireAdmin(), (req, res) => {
+  res.json(auth.apiKeyStore.list());
+});
+
+app.post("/api/admin/api-keys", auth.requireAdmin(), (req, res) => {
+  const { name, scopes } = req.body;
+
+  try {
+    // 完整密钥只在创建时返回一次
+    const result = auth.apiKeyStore.create({ name, scopes, createdBy: req.user.userId });
+    console.log(`管理员 ${req.user.userId} 创建了API密钥 ${result.key.id} (${result.key.name})`);
+    res.status(201).json(result);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.delete("/api/admin/api-keys/:id", auth.requireAdmin(), (req, res) => {
+  if (!auth.apiKeyStore.revoke(req.params.id)) {
+    return res.status(404).json({ error: "API密钥不存在或已吊销" });
+  }
+
+  console.log(`管理员 ${req.user.userId} 吊销了API密钥 ${req.params.id}`);
+  res.json({ success: true });
+});
+
+// API路由 - 发布消息，供后端服务向用户或频道推送
+// 凭据为 X-API-Key 请求头或访问令牌，需要publish作用域；向频道推送还需要该频道的权限
+app.post("/api/publish", auth.requirePermission(permissions.canPublish), (req, res) => {
+  const { userId, channel, data } = req.body;
+
+  if (data === undefined || (typeof userId === "string") === (typeof channel === "string")) {
+    return res.status(400).json({ error: "需要提供data，以及userId或channel之一" });
+  }
+
+  if (channel && !permissions.canAccessChannel(req.user.scopes, channel)) {
+    return res.status(403).json({ error: `无权向频道推送: ${channel}`, code: "forbidden" });
+  }
+
+  const delivered = channel
+    ? publishToChannel(channel, { type: "data", payload: data })
+    : sendToUser(userId, { type: "data", payload: data });
+
+  res.json({ success: true, delivered });
+});
+
+// API路由 - 连接管理（列出连接、断开连接、发送公告），需要管理权限
+app.get("/api/admin/connections", auth.requireAdmin(), (req, res) => {
+  const { userId } = req.query;
+  const connections = [];
+
+  for (const clientState of clients.values()) {
+    if (!userId || clientState.userId === userId) {
+      connections.push(describeConnection(clientState));
+    }
+  }
+
+  res.json(connections);
+});
+
+app.post("/api/admin/connections/:clientId/disconnect", auth.requireAdmin(), (req, res) => {
+  const clientState = clients.get(req.params.clientId);
+
+  if (!clientState) {
+    return res.status(404).json({ error: "连接不存在" });
+  }
+
+  const reason = disconnectReason(req.body.reason);
+  console.log(`管理员 ${req.user.userId} 断开了连接 ${clientState.clientId}: ${reason}`);
+  disconnectClient(clientState, reason);
+
+  res.json({ success: true });
+});
+
+app.post("/api/admin/users/:userId/disconnect", auth.requireAdmin(), (req, res) => {
+  const { userId } = req.params;
+  const reason = disconnectReason(req.body.reason);
+  const connections = Array.from(userConnections.get(userId) || []);
+
+  for (const clientState of connections) {
+    disconnectClient(clientState, reason);
+  }
+
+  console.log(`管理员 ${req.user.userId} 断开了用户 ${userId} 的 ${connections.length} 个连接: ${reason}`);
+  res.json({ success: true, disconnected: connections.length });
+});
+
+app.post("/api/admin/announcements", auth.requireAdmin(), (req, res) => {
+  const { message, userIds } = req.body;
+
+  if (typeof message !== "string" || !message.trim() || message.length > ANNOUNCEMENT_MAX_LENGTH) {
+    return res.status(400).json({ error: `公告内容不能为空且不能超过 ${ANNOUNCEMENT_MAX_LENGTH} 个字符` });
+  }
+  if (userIds !== undefined && (!Array.isArray(userIds) || !userIds.every((id) => typeof id === "string"))) {
+    return res.status(400).json({ error: "userIds必须是用户ID数组" });
+  }
+
+  const delivered = broadcastAnnouncement({
+    type: "announcement",
+    message: message.trim(),
+    from: req.user.userId,
+    sentAt: Date.now(),
+  }, userIds);
+
+  console.log(`管理员 ${req.user.userId} 发送了公告，送达 ${delivered} 个连接`);
+  res.json({ success: true, delivered });
+});
+
+// API路由 - 任务列表，只包含当前用户的任务，最近创建的在前
+// 页面刷新后可以据此恢复进行中任务的状态，而不必等待下一次推送
+app.get("/api/tasks", auth.requireAuth(), (req, res) => {
+  const { status } = req.query;
+  const limit = req.query.limit === undefined ? TASK_LIST_DEFAULT_LIMIT : Number(req.query.limit);
+
+  if (status !== undefined && !TASK_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status 必须是 ${TASK_STATUSES.join("、")} 之一` });
+  }
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > TASK_LIST_MAX_LIMIT) {
+    return res.status(400).json({ error: `limit 必须是 1-${TASK_LIST_MAX_LIMIT} 的整数` });
+  }
+
+  res.json(taskProcessor.listTasks(req.user.userId, { status, limit }));
+});
+
+// API路由 - 任务状态，只能查询自己的任务（管理员可以查询任何任务）
+app.get("/api/tasks/:taskId", auth.requireAuth(), (req, res) => {
+  const task = taskProcessor.getTaskStatus(req.params.taskId);
+
+  if (!task || (task.userId !== req.user.userId && !permissions.isAdmin(req.user.scopes))) {
+    return res.status(404).json({ error: "任务不存在" });
+  }
+
+  res.json(task);
+});
+
+// API路由 - 取消任务，只能取消自己的任务（管理员可以取消任何任务）
+app.delete("/api/tasks/:taskId", auth.requireAuth(), (req, res) => {
+  const task = taskProcessor.getTaskStatus(req.params.taskId);
+
+  if (!task || (task.userId !== req.user.userId && !permissions.isAdmin(req.user.scopes))) {
+    return res.status(404).json({ error: "任务不存在" });
+  }
+
+  if (!taskProcessor.cancelTask(task.taskId)) {
+    return res.status(409).json({ error: "任务已结束，无法取消", status: task.status });
+  }
+
+  res.json({ success: true, taskId: task.taskId, status: "cancelled" });
+});
+
+// 公钥集合，供其他服务验证本服务器签发的令牌
+app.get("/.well-known/jwks.json", (req, res) => {
+  res.json(auth.getJWKS());
+});
+
 // API路由 - 登录
-app.post("/api/login", (req, res) => {
+// 失败过多时账号锁定返回423，IP限流返回429，均带有Retry-After
+app.post("/api/login", async (req, res) => {
   const { username, password } = req.body;
+  const usernameKey = String(username);
+
+  const guard = loginGuard.check(req.ip, usernameKey);
+
+  if (!guard.allowed) {
+    res.set("Retry-After", String(guard.retryAfter));
+    return res.status(guard.status).json({
+      error: guard.status === 423 ? "账号已被临时锁定，请稍后再试" : "登录尝试过于频繁，请稍后再试",
+      code: guard.code,
+      retryAfter: guard.retryAfter,
+    });
+  }
+
+  let outcome = null; // success | failure，出错时为null
+
+  try {
+    // 连续失败后逐步延迟响应
+    if (guard.delay > 0) {
+      await new Promise((resolve) => setTimeout(resolve, guard.delay));
+    }
+
+    const authResult = await auth.authenticateUser(username, password);
+
+    if (!authResult) {
+      outcome = "failure";
+      return res.status(401).json({ error: "无效的凭据" });
+    }
 
-  const authResult = auth.authenticateUser(username, password);
+    outcome = "success";
+    res.json(authResult);
+  } catch (error) {
+    console.error("登录处理失败:", error);
+    res.status(500).json({ error: "服务器内部错误" });
+  } finally {
+    // 无论结果如何都要结束进行中的尝试，否则计数不会减少，该IP和用户名最终被一直拒绝
+    if (outcome === "success") {
+      loginGuard.recordSuccess(req.ip, usernameKey);
+    } else if (outcome === "failure") {
+      loginGuard.recordFailure(req.ip, usernameKey);
+    } else {
+      loginGuard.release(req.ip, usernameKey);
+    }
+  }
+});
+
+// API路由 - 刷新令牌
+app.post("/api/token/refresh", (req, res) => {
+  const { refreshToken } = req.body;
+
+  const authResult = refreshToken ? auth.refreshTokens(refreshToken) : null;
 
   if (!authResult) {
-    return res.status(401).json({ error: "无效的凭据" });
+    return res.status(401).json({ error: "无效的刷新令牌" });
   }
 
   res.json(authResult);
 });
 
+// API路由 - 退出登录，吊销访问令牌和刷新令牌
+app.post("/api/logout", (req, res) => {
+  const accessToken = auth.extractToken(req);
+  const { refreshToken } = req.body;
+
+  const revokedAccess = accessToken ? auth.revokeToken(accessToken) : false;
+  const revokedRefresh = refreshToken ? auth.revokeToken(refreshToken) : false;
+
+  if (!revokedAccess && !revokedRefresh) {
+    return res.status(401).json({ error: "无效的令牌" });
+  }
+
+  res.json({ success: true });
+});
+
 // WebSocket连接处理
-wss.on("connection", (ws) => {
+wss.on("connection", (ws, req) => {
   // 为每个连接分配唯一ID
   const clientId = uuidv4();
 
@@ -56,12 +407,63 @@ wss.on("connection", (ws) => {
   const clientState = {
     clientId,
     ws,
+    ip: req.socket.remoteAddress,
+    connectedAt: Date.now(),
     userId: null,
     authenticated: false,
     lastHeartbeat: Date.now(),
+    channels: new Set(), // 已订阅的频道
+    session: null, // 可恢复的推送会话
+    tokenExp: null, // 当前令牌的过期时间（毫秒时间戳）
+    tokenJti: null, // 当前令牌的ID，令牌被吊销时据此断开连接
+    scopes: [], // 当前令牌的作用域，决定可以请求的数据类型和频道
+    tokenTimers: [], // 令牌过期提醒和过期处理定时器
+    acks: false, // 客户端是否在认证时启用了消息确认
+    pendingAcks: new Map(), // messageId -> { message, attempts, sentAt }
+  };
+
+  clients.set(clientId, clientState);
+
+  console.log(`新WebSocket连接: ${clientId} (协议: ${ws.protocol || encoding.DEFAULT_PROTOCOL})`);
+
+  // 按协商的子协议编解码消息
+  ws.codec = encoding.getCodec(ws.protocol);
+
+  // pause策略：暂停产生积压消息的任务，队列清空后恢复
+  // 只暂停该连接的用户自己的任务：频道订阅者消费过慢时不能暂停其他用户的任务，由出站队列按慢消费者断开
+  const pausedTasks = new Set();
+  const pauseProducer = (message) => {
+    const taskId = message.payload && message.payload.taskId;
+    const task = taskId ? taskProcessor.getTaskStatus(taskId) : null;
+
+    if (!task || task.userId !== clientState.userId) {
+      return false;
+    }
+    if (!pausedTasks.has(taskId)) {
+      if (!taskProcessor.pauseTask(taskId, clientId)) {
+        return false;
+      }
+      pausedTasks.add(taskId);
+    }
+    return true;
   };
 
-  console.log(`新WebSocket连接: ${clientId}`);
+  // 出站队列：客户端消费过慢时按背压策略处理
+  ws.outbox = new backpressure.Outbox(ws, {
+    policy: BACKPRESSURE_POLICY,
+    highWaterMark: OUTBOX_HIGH_WATER_MARK,
+    maxQueue: OUTBOX_MAX_QUEUE,
+    encode: ws.codec.encode,
+    pauseProducer,
+    onCoalesce: (older, newer, merged) => coalesceTracked(clientState, older, newer, merged),
+  });
+
+  ws.outbox.on("resume", () => {
+    for (const taskId of pausedTasks) {
+      taskProcessor.resumeTask(taskId, clientId);
+    }
+    pausedTasks.clear();
+  });
 
   // 设置心跳检查定时器
   const heartbeatTimer = setInterval(() => {
@@ -79,7 +481,7 @@ wss.on("connection", (ws) => {
     // 如果连接仍然开启，发送ping
     if (ws.readyState === WebSocket.OPEN) {
       ws.send(
-        JSON.stringify({
+        ws.codec.encode({
           type: "ping",
           timestamp: Date.now(),
         })
@@ -87,6 +489,11 @@ wss.on("connection", (ws) => {
     }
   }, WS_HEARTBEAT_INTERVAL);
 
+  // 定期重发未确认的推送
+  const ackTimer = setInterval(() => {
+    redeliverPending(clientState);
+  }, ACK_TIMEOUT);
+
   // 发送欢迎消息
   sendToClient(ws, {
     type: "welcome",
@@ -94,41 +501,89 @@ wss.on("connection", (ws) => {
     clientId,
   });
 
+  // 握手时已认证的连接直接完成认证，否则等待认证消息
+  if (req.user) {
+    const query = new URL(req.url, "http://localhost").searchParams;
+    authenticateClient(clientState, req.user, { acks: query.get("acks") === "true" });
+  }
+
+  // 超时仍未认证则断开连接
+  const authTimer = setTimeout(() => {
+    if (!clientState.authenticated) {
+      console.log(`客户端 ${clientId} 认证超时，断开连接`);
+      ws.close(AUTH_TIMEOUT_CLOSE_CODE, "Authentication timeout");
+    }
+  }, AUTH_TIMEOUT);
+
   // 消息处理
   ws.on("message", (data) => {
+    let message;
+
     try {
-      const message = JSON.parse(data);
+      message = ws.codec.decode(data);
+    } catch (error) {
+      return sendToClient(ws, protocol.errorMessage(ERROR_CODES.BAD_JSON, "消息无法解码"));
+    }
+
+    // 更新最后心跳时间
+    clientState.lastHeartbeat = Date.now();
 
-      // 更新最后心跳时间
-      clientState.lastHeartbeat = Date.now();
+    // 按协议校验后再分发，不符合协议的消息不进入处理函数
+    const invalid = protocol.validateInbound(message);
+
+    if (invalid) {
+      console.log(`客户端 ${clientId} 发送了无效消息: ${invalid.message}`, invalid.details);
+      return sendToClient(ws, protocol.errorMessage(invalid.code, invalid.message, {
+        requestId: typeof message.requestId === "string" ? message.requestId : undefined,
+        details: invalid.details,
+      }));
+    }
 
+    try {
       // 根据消息类型处理
       switch (message.type) {
         case "auth":
           handleAuth(clientState, message);
           break;
 
+        case "resume":
+          handleResume(clientState, message);
+          break;
+
+        case "reauth":
+          handleReauth(clientState, message);
+          break;
+
+        case "ack":
+          clientState.pendingAcks.delete(message.messageId);
+          break;
+
+        case "ping":
         case "pong":
-          // 客户端心跳响应，已在上面更新了lastHeartbeat
+          // 客户端心跳，已在上面更新了lastHeartbeat
           break;
 
         case "request_data":
           handleDataRequest(clientState, message);
           break;
 
-        default:
-          console.log(`收到未知类型消息: ${message.type}`);
-          sendToClient(ws, {
-            type: "error",
-            message: "未知的消息类型",
-          });
+        case "subscribe":
+          handleSubscribe(clientState, message);
+          break;
+
+        case "unsubscribe":
+          handleUnsubscribe(clientState, message);
+          break;
+
+        case "cancel_task":
+          handleCancelTask(clientState, message);
+          break;
       }
     } catch (error) {
       console.error("处理消息时出错:", error);
-      sendToClient(ws, {
-        type: "error",
-        message: "消息格式错误",
-      });
+      sendToClient(ws, protocol.errorMessage(ERROR_CODES.INTERNAL, "服务器内部错误", {
+        requestId: message.requestId,
+      }));
     }
   });
 
@@ -136,23 +591,33 @@ wss.on("connection", (ws) => {
   ws.on("close", () => {
     console.log(`客户端 ${clientId} 关闭连接`);
     clearInterval(ws.intervalTimer);
+    clients.delete(clientId);
 
     // 从用户连接映射中移除
-    if (clientState.userId) {
-      const connections = userConnections.get(clientState.userId);
+    removeUserConnection(clientState);
 
-      if (connections) {
-        connections.delete(clientState);
+    // 从所有已订阅的频道中移除
+    for (const topic of clientState.channels) {
+      leaveChannel(clientState, topic);
+    }
 
-        // 如果没有连接了，则移除用户
-        if (connections.size === 0) {
-          userConnections.delete(clientState.userId);
-        }
-      }
+    // 与会话解绑，会话在过期前继续缓存推送
+    if (clientState.session) {
+      detachSession(clientState.session, clientState);
     }
 
-    // 清除心跳定时器
+    // 清除心跳、重发和认证超时定时器
     clearInterval(heartbeatTimer);
+    clearInterval(ackTimer);
+    clearTimeout(authTimer);
+    clearTokenTimers(clientState);
+
+    // 丢弃出站队列，撤销该连接对任务的暂停（其他连接仍在暂停的任务保持暂停）
+    ws.outbox.close();
+    for (const taskId of pausedTasks) {
+      taskProcessor.resumeTask(taskId, clientId);
+    }
+    pausedTasks.clear();
   });
 
   // 错误处理
@@ -161,6 +626,39 @@ wss.on("connection", (ws) => {
   });
 });
 
+/**
+ * 在WebSocket升级握手阶段验证令牌（verifyClient回调）
+ * 令牌可以通过 Authorization: Bearer 请求头、?token= 查询参数或 auth_token Cookie 提供；
+ * 提供了无效令牌，或 required 模式下未提供令牌时，以401拒绝升级
+ * @param {object} info - 握手信息，info.req为升级请求
+ * @param {function} callback - 回调 (result, code, message)
+ */
+function verifyHandshake(info, callback) {
+  if (HANDSHAKE_AUTH === "off") {
+    return callback(true);
+  }
+
+  const token = auth.extractToken(info.req);
+
+  if (!token) {
+    // 浏览器无法设置请求头时，仍可在连接后发送认证消息
+    if (HANDSHAKE_AUTH === "required") {
+      return callback(false, 401, "Unauthorized");
+    }
+    return callback(true);
+  }
+
+  const decoded = auth.verifyToken(token);
+
+  if (!decoded) {
+    return callback(false, 401, "Unauthorized");
+  }
+
+  // 保存到请求对象，连接建立后使用
+  info.req.user = decoded;
+  callback(true);
+}
+
 /**
  * 向客户端发送消息
  * @param {WebSocket} ws - WebSocket连接
@@ -168,10 +666,16 @@ wss.on("connection", (ws) => {
  * @returns {boolean} - 是否发送成功
  */
 function sendToClient(ws, data) {
+  if (VALIDATE_OUTBOUND) {
+    const errors = protocol.validateOutbound(data);
+    if (errors) {
+      console.warn(`发出的 ${data.type} 消息不符合协议:`, errors);
+    }
+  }
+
   if (ws.readyState === WebSocket.OPEN) {
     try {
-      ws.send(JSON.stringify(data));
-      return true;
+      return ws.outbox.send(data);
     } catch (error) {
       console.error("发送消息错误:", error);
       return false;
@@ -187,113 +691,781 @@ function sendToClient(ws, data) {
  * @returns {number} - 成功发送的连接数
  */
 function sendToUser(userId, data) {
-  const connections = userConnections.get(userId);
+  const userSessionSet = userSessions.get(userId);
 
-  if (!connections || connections.size === 0) {
-    console.log(`用户 ${userId} 没有活跃连接`);
+  // 推送消息带有唯一ID，供客户端确认和去重
+  data = { ...data, messageId: data.messageId || uuidv4() };
+
+  if (!userSessionSet || userSessionSet.size === 0) {
+    console.log(`用户 ${userId} 没有活跃连接，消息存入离线收件箱`);
+    offlineStore.push(userId, data);
     return 0;
   }
 
   let successCount = 0;
 
-  for (const client of connections) {
-    if (sendToClient(client.ws, data)) {
+  // 逐个会话发送，断线中的会话会缓存消息等待重放
+  for (const session of userSessionSet) {
+    if (sendToSession(session, data)) {
       successCount++;
     }
   }
 
   console.log(
-    `向用户 ${userId} 的 ${successCount}/${connections.size} 个连接发送消息`
+    `向用户 ${userId} 的 ${successCount}/${userSessionSet.size} 个会话发送消息`
   );
   return successCount;
 }
 
 /**
- * 处理认证消息
+ * 向客户端发送消息，已绑定会话的连接会带上序列号
  * @param {object} clientState - 客户端状态
- * @param {object} message - 收到的消息
+ * @param {object} data - 要发送的数据
+ * @returns {boolean} - 是否发送成功
  */
-function handleAuth(clientState, message) {
-  const { token } = message;
-
-  if (!token) {
-    return sendToClient(clientState.ws, {
-      type: "auth_failure",
-      message: "没有提供认证令牌",
-    });
+function sendToClientState(clientState, data) {
+  if (clientState.session) {
+    return sendToSession(clientState.session, data);
   }
+  return sendToClient(clientState.ws, data);
+}
 
-  // 验证令牌
-  const decoded = auth.verifyToken(token);
+/**
+ * 向会话发送消息
+ * 消息会分配递增的序列号并写入重放缓冲区，会话断线时只缓存不发送
+ * @param {object} session - 会话对象
+ * @param {object} data - 要发送的数据
+ * @returns {boolean} - 是否已发送到活跃连接
+ */
+function sendToSession(session, data) {
+  const message = { ...data, seq: ++session.lastSeq };
 
-  if (!decoded) {
-    return sendToClient(clientState.ws, {
-      type: "auth_failure",
-      message: "无效的认证令牌",
-    });
+  session.buffer.push(message);
+  if (session.buffer.length > REPLAY_BUFFER_SIZE) {
+    session.buffer.shift();
   }
 
-  const userId = decoded.userId;
+  if (!session.client) {
+    return false;
+  }
 
-  // 更新客户端状态
-  clientState.userId = userId;
-  clientState.authenticated = true;
+  return sendTracked(session.client, message);
+}
 
-  // 更新用户连接映射
-  if (!userConnections.has(userId)) {
-    userConnections.set(userId, new Set());
+/**
+ * 发送需要确认的推送
+ * 先记录再发送：消息在出站队列中可能与后续消息合并，合并时需要找到双方的确认记录
+ * @param {object} clientState - 客户端状态
+ * @param {object} message - 要发送的消息
+ * @returns {boolean} - 是否发送成功
+ */
+function sendTracked(clientState, message) {
+  trackAck(clientState, message);
+
+  if (sendToClient(clientState.ws, message)) {
+    return true;
   }
-  userConnections.get(userId).add(clientState);
 
-  console.log(`客户端 ${clientState.clientId} 认证成功，用户ID: ${userId}`);
+  clientState.pendingAcks.delete(message.messageId);
+  return false;
+}
 
-  sendToClient(clientState.ws, {
-    type: "auth_success",
-    userId,
+/**
+ * 记录等待确认的推送，只跟踪启用了确认且带有messageId的消息
+ * @param {object} clientState - 客户端状态
+ * @param {object} message - 要发送的消息
+ */
+function trackAck(clientState, message) {
+  if (!clientState.acks || !message.messageId) {
+    return;
+  }
+
+  clientState.pendingAcks.set(message.messageId, {
+    message,
+    attempts: 1,
+    sentAt: Date.now(),
   });
+}
+
+/**
+ * 出站队列合并两条推送后，较新消息的确认记录和重放缓冲区中的消息并入合并后的消息
+ * 合并后的消息沿用较早消息的messageId和seq，客户端确认它即确认了两条消息的内容
+ * @param {object} clientState - 客户端状态
+ * @param {object} older - 较早的消息
+ * @param {object} newer - 较新的消息（不会再单独发送）
+ * @param {object} merged - 合并后的消息
+ */
+function coalesceTracked(clientState, older, newer, merged) {
+  const entry = clientState.pendingAcks.get(older.messageId);
+  if (entry) {
+    entry.message = merged;
+  }
+  clientState.pendingAcks.delete(newer.messageId);
 
-  startSendMockData(clientState.ws);
+  // 重放时发送合并后的消息，不再单独重放较新的消息
+  const session = clientState.session;
+  if (session && merged.seq !== undefined) {
+    session.buffer = session.buffer
+      .filter((msg) => msg.seq !== newer.seq)
+      .map((msg) => (msg.seq === merged.seq ? merged : msg));
+  }
 }
 
-function startSendMockData(ws) {
-  ws.mockDataIndex = 0;
-  ws.intervalTimer = setInterval(() => {
-    sendToClient(ws, {
-      type: "data",
-      idx: [ws.mockDataIndex, ws.mockDataIndex + 1],
-      payload: mockData.slice(ws.mockDataIndex, ws.mockDataIndex + 1),
-    });
-    ws.mockDataIndex++;
-    // clearInterval(ws.intervalTimer);
+/**
+ * 重发超时未确认的推送
+ * 超过最大发送次数仍未确认的消息转入离线收件箱，用户下次认证后补发
+ * @param {object} clientState - 客户端状态
+ */
+function redeliverPending(clientState) {
+  const now = Date.now();
 
-    if (ws.mockDataIndex >= mockData.length) {
-      clearInterval(ws.intervalTimer);
+  for (const [messageId, entry] of clientState.pendingAcks) {
+    if (now - entry.sentAt < ACK_TIMEOUT) {
+      continue;
     }
-  }, 3000);
+
+    if (entry.attempts >= MAX_DELIVERY_ATTEMPTS) {
+      console.log(`消息 ${messageId} 未被确认，存入离线收件箱`);
+      clientState.pendingAcks.delete(messageId);
+
+      const { seq, ...msg } = entry.message;
+      offlineStore.push(clientState.userId, msg);
+      continue;
+    }
+
+    entry.attempts++;
+    entry.sentAt = now;
+    sendToClient(clientState.ws, entry.message);
+  }
 }
 
 /**
- * 处理数据请求
+ * 为已认证的客户端创建新会话
  * @param {object} clientState - 客户端状态
- * @param {object} message - 收到的消息
+ * @returns {object} - 会话对象
  */
-function handleDataRequest(clientState, message) {
-  // 检查认证状态
-  if (!clientState.authenticated) {
-    return sendToClient(clientState.ws, {
-      type: "error",
-      requestId: message.requestId,
-      message: "需要先进行认证",
-    });
-  }
+function createSession(clientState) {
+  const session = {
+    sessionId: uuidv4(),
+    userId: clientState.userId,
+    lastSeq: 0, // 最后分配的序列号
+    buffer: [], // 重放缓冲区，按序列号升序
+    client: null, // 当前绑定的客户端状态
+    expireTimer: null,
+  };
 
-  console.log(`用户 ${clientState.userId} 请求数据:`, message);
+  sessions.set(session.sessionId, session);
 
-  // 创建任务
-  const task = taskProcessor.createTask(clientState.userId, message);
+  if (!userSessions.has(session.userId)) {
+    userSessions.set(session.userId, new Set());
+  }
+  userSessions.get(session.userId).add(session);
 
-  // 告知客户端请求已接受
-  sendToClient(clientState.ws, {
+  attachSession(session, clientState);
+  return session;
+}
+
+/**
+ * 将客户端绑定到会话
+ * @param {object} session - 会话对象
+ * @param {object} clientState - 客户端状态
+ */
+function attachSession(session, clientState) {
+  clearTimeout(session.expireTimer);
+  session.expireTimer = null;
+
+  // 旧连接可能尚未检测到断开（半开连接），直接终止
+  if (session.client && session.client !== clientState) {
+    const previous = session.client;
+    previous.session = null;
+    previous.ws.terminate();
+  }
+
+  session.client = clientState;
+  clientState.session = session;
+}
+
+/**
+ * 将客户端与会话解绑，超过SESSION_TTL未恢复则销毁会话
+ * @param {object} session - 会话对象
+ * @param {object} clientState - 客户端状态
+ */
+function detachSession(session, clientState) {
+  clientState.session = null;
+
+  if (session.client !== clientState) {
+    return;
+  }
+
+  session.client = null;
+
+  // 从最早未确认的消息开始视为未送达
+  session.detachedSeq = session.lastSeq;
+  for (const entry of clientState.pendingAcks.values()) {
+    session.detachedSeq = Math.min(session.detachedSeq, entry.message.seq - 1);
+  }
+  clientState.pendingAcks.clear();
+  session.expireTimer = setTimeout(() => {
+    destroySession(session);
+    redeliverUndelivered(session);
+  }, SESSION_TTL);
+}
+
+/**
+ * 转交过期会话中断线期间未送达的消息
+ * 用户仍有其他会话时转发给这些会话，否则存入离线收件箱
+ * @param {object} session - 已销毁的会话对象
+ */
+function redeliverUndelivered(session) {
+  const undelivered = session.buffer
+    .filter((msg) => msg.seq > session.detachedSeq)
+    .map(({ seq, ...msg }) => msg);
+
+  for (const msg of undelivered) {
+    sendToUser(session.userId, msg);
+  }
+}
+
+/**
+ * 销毁会话
+ * @param {object} session - 会话对象
+ */
+function destroySession(session) {
+  clearTimeout(session.expireTimer);
+  sessions.delete(session.sessionId);
+
+  const userSessionSet = userSessions.get(session.userId);
+  if (userSessionSet) {
+    userSessionSet.delete(session);
+
+    if (userSessionSet.size === 0) {
+      userSessions.delete(session.userId);
+    }
+  }
+
+  console.log(`会话 ${session.sessionId} 已销毁`);
+}
+
+/**
+ * 向订阅了指定频道的所有连接发送消息
+ * @param {string} topic - 频道名称
+ * @param {object} data - 要发送的数据
+ * @returns {number} - 成功发送的连接数
+ */
+function publishToChannel(topic, data) {
+  const subscribers = channels.get(topic);
+
+  if (!subscribers || subscribers.size === 0) {
+    console.log(`频道 ${topic} 没有订阅者`);
+    return 0;
+  }
+
+  let successCount = 0;
+
+  for (const client of subscribers) {
+    const message = { ...data, channel: topic, messageId: uuidv4() };
+    if (sendToClientState(client, message)) {
+      successCount++;
+    }
+  }
+
+  console.log(
+    `向频道 ${topic} 的 ${successCount}/${subscribers.size} 个订阅者发送消息`
+  );
+  return successCount;
+}
+
+/**
+ * 将客户端从频道中移除
+ * @param {object} clientState - 客户端状态
+ * @param {string} topic - 频道名称
+ * @returns {boolean} - 客户端之前是否订阅了该频道
+ */
+function leaveChannel(clientState, topic) {
+  const subscribers = channels.get(topic);
+
+  clientState.channels.delete(topic);
+
+  if (!subscribers || !subscribers.delete(clientState)) {
+    return false;
+  }
+
+  // 如果频道没有订阅者了，则移除频道
+  if (subscribers.size === 0) {
+    channels.delete(topic);
+  }
+  return true;
+}
+
+/**
+ * 处理订阅消息
+ * @param {object} clientState - 客户端状态
+ * @param {object} message - 收到的消息
+ */
+function handleSubscribe(clientState, message) {
+  if (!clientState.authenticated) {
+    return sendToClient(clientState.ws, protocol.errorMessage(ERROR_CODES.UNAUTHENTICATED, "需要先进行认证"));
+  }
+
+  const { topic } = message;
+
+  if (!permissions.canAccessChannel(clientState.scopes, topic)) {
+    return sendForbidden(clientState, undefined, `无权订阅频道: ${topic}`);
+  }
+
+  if (!channels.has(topic)) {
+    channels.set(topic, new Set());
+  }
+  channels.get(topic).add(clientState);
+  clientState.channels.add(topic);
+
+  console.log(`客户端 ${clientState.clientId} 订阅频道: ${topic}`);
+
+  sendToClientState(clientState, {
+    type: "subscribed",
+    topic,
+  });
+}
+
+/**
+ * 处理取消订阅消息
+ * @param {object} clientState - 客户端状态
+ * @param {object} message - 收到的消息
+ */
+function handleUnsubscribe(clientState, message) {
+  const { topic } = message;
+
+  if (!leaveChannel(clientState, topic)) {
+    return sendToClient(clientState.ws, protocol.errorMessage(ERROR_CODES.NOT_SUBSCRIBED, "未订阅该频道"));
+  }
+
+  console.log(`客户端 ${clientState.clientId} 取消订阅频道: ${topic}`);
+
+  sendToClientState(clientState, {
+    type: "unsubscribed",
+    topic,
+  });
+}
+
+/**
+ * 处理认证消息
+ * @param {object} clientState - 客户端状态
+ * @param {object} message - 收到的消息
+ */
+function handleAuth(clientState, message) {
+  const { token, apiKey } = message;
+
+  if (!token && !apiKey) {
+    return sendToClient(clientState.ws, {
+      type: "auth_failure",
+      code: ERROR_CODES.INVALID_CREDENTIALS,
+      message: "没有提供认证令牌或API密钥",
+    });
+  }
+
+  // 验证令牌，后端服务可以用API密钥代替令牌
+  const decoded = apiKey ? auth.verifyApiKey(apiKey) : auth.verifyToken(token);
+
+  if (!decoded) {
+    return sendToClient(clientState.ws, {
+      type: "auth_failure",
+      code: ERROR_CODES.INVALID_CREDENTIALS,
+      message: apiKey ? "无效的API密钥" : "无效的认证令牌",
+    });
+  }
+
+  authenticateClient(clientState, decoded, { acks: message.acks === true });
+}
+
+/**
+ * 完成客户端认证：创建推送会话并补发离线消息
+ * @param {object} clientState - 客户端状态
+ * @param {object} decoded - 解码后的令牌有效载荷
+ * @param {object} options - 选项，options.acks 表示是否启用消息确认
+ */
+function authenticateClient(clientState, decoded, options = {}) {
+  const userId = decoded.userId;
+
+  markAuthenticated(clientState, decoded);
+  clientState.acks = options.acks === true;
+
+  // 重复认证时丢弃旧会话，避免同一连接收到两份推送
+  if (clientState.session) {
+    const previous = clientState.session;
+    detachSession(previous, clientState);
+    destroySession(previous);
+  }
+
+  const session = createSession(clientState);
+
+  console.log(`客户端 ${clientState.clientId} 认证成功，用户ID: ${userId}`);
+
+  sendToClientState(clientState, {
+    type: "auth_success",
+    userId,
+    sessionId: session.sessionId,
+    expiresAt: clientState.tokenExp,
+  });
+
+  // 按顺序补发离线期间的消息
+  const pending = offlineStore.drain(userId);
+  if (pending.length > 0) {
+    console.log(`向用户 ${userId} 补发 ${pending.length} 条离线消息`);
+  }
+  for (const msg of pending) {
+    sendToClientState(clientState, msg);
+  }
+
+  startSendMockData(clientState);
+}
+
+/**
+ * 将客户端标记为已认证并加入用户连接映射
+ * @param {object} clientState - 客户端状态
+ * @param {object} decoded - 解码后的令牌有效载荷
+ */
+function markAuthenticated(clientState, decoded) {
+  const userId = decoded.userId;
+
+  // 换成其他用户的令牌时，连接不再接收原用户的推送
+  if (clientState.userId && clientState.userId !== userId) {
+    removeUserConnection(clientState);
+  }
+
+  clientState.userId = userId;
+  clientState.authenticated = true;
+  applyToken(clientState, decoded);
+
+  if (!userConnections.has(userId)) {
+    userConnections.set(userId, new Set());
+  }
+  userConnections.get(userId).add(clientState);
+}
+
+/**
+ * 将连接从所属用户的连接映射中移除
+ * @param {object} clientState - 客户端状态
+ */
+function removeUserConnection(clientState) {
+  const connections = userConnections.get(clientState.userId);
+
+  if (!connections) {
+    return;
+  }
+
+  connections.delete(clientState);
+
+  // 如果没有连接了，则移除用户
+  if (connections.size === 0) {
+    userConnections.delete(clientState.userId);
+  }
+}
+
+/**
+ * 记录当前令牌的ID和作用域，并根据令牌的exp安排过期提醒和过期处理
+ * 过期前 TOKEN_EXPIRY_WARNING 推送 token_expiring，过期时推送 token_expired 并关闭连接
+ * @param {object} clientState - 客户端状态
+ * @param {object} decoded - 解码后的令牌有效载荷
+ */
+function applyToken(clientState, decoded) {
+  clearTokenTimers(clientState);
+  clientState.tokenJti = decoded.jti || null;
+  clientState.scopes = Array.isArray(decoded.scopes) ? decoded.scopes : [];
+
+  if (!decoded.exp) {
+    clientState.tokenExp = null;
+    return;
+  }
+
+  clientState.tokenExp = decoded.exp * 1000;
+  const remaining = clientState.tokenExp - Date.now();
+
+  clientState.tokenTimers.push(
+    setTimeout(() => {
+      sendToClient(clientState.ws, {
+        type: "token_expiring",
+        expiresAt: clientState.tokenExp,
+      });
+    }, Math.max(0, remaining - TOKEN_EXPIRY_WARNING))
+  );
+
+  clientState.tokenTimers.push(
+    setTimeout(() => {
+      console.log(`客户端 ${clientState.clientId} 的令牌已过期，断开连接`);
+      sendToClient(clientState.ws, {
+        type: "token_expired",
+        message: "认证令牌已过期",
+      });
+      clientState.ws.close(TOKEN_EXPIRED_CLOSE_CODE, "Token expired");
+    }, Math.max(0, remaining))
+  );
+}
+
+/**
+ * 断开所有使用已吊销令牌的连接
+ * @param {string} jti - 被吊销的令牌ID
+ */
+function disconnectRevoked(jti) {
+  for (const clientState of clients.values()) {
+    if (!clientState.authenticated || clientState.tokenJti !== jti) {
+      continue;
+    }
+
+    console.log(`客户端 ${clientState.clientId} 的令牌已被吊销，断开连接`);
+    sendToClient(clientState.ws, {
+      type: "token_revoked",
+      message: "认证令牌已被吊销",
+    });
+    clientState.ws.close(TOKEN_REVOKED_CLOSE_CODE, "Token revoked");
+  }
+}
+
+/**
+ * 连接管理接口返回的连接信息
+ * @param {object} clientState - 客户端状态
+ * @returns {object} - 连接信息
+ */
+function describeConnection(clientState) {
+  return {
+    clientId: clientState.clientId,
+    userId: clientState.userId,
+    authenticated: clientState.authenticated,
+    ip: clientState.ip,
+    protocol: clientState.ws.protocol || encoding.DEFAULT_PROTOCOL,
+    connectedAt: clientState.connectedAt,
+    lastHeartbeat: clientState.lastHeartbeat,
+    subscriptions: Array.from(clientState.channels),
+    sessionId: clientState.session ? clientState.session.sessionId : null,
+    pendingAcks: clientState.pendingAcks.size,
+  };
+}
+
+/**
+ * 规范化管理员提供的断开原因
+ * @param {*} reason - 请求中的原因
+ * @returns {string} - 断开原因
+ */
+function disconnectReason(reason) {
+  return typeof reason === "string" && reason.trim() ? reason.trim().slice(0, 200) : "连接已被管理员断开";
+}
+
+/**
+ * 由管理员断开连接：先告知客户端原因，再以4004关闭，客户端收到后不再自动重连
+ * @param {object} clientState - 客户端状态
+ * @param {string} reason - 断开原因
+ */
+function disconnectClient(clientState, reason) {
+  sendToClient(clientState.ws, {
+    type: "disconnected",
+    reason,
+  });
+  clientState.ws.close(ADMIN_DISCONNECT_CLOSE_CODE, "Disconnected by admin");
+}
+
+/**
+ * 向在线的连接发送公告，不写入离线收件箱
+ * @param {object} announcement - 公告消息
+ * @param {Array<string>} [userIds] - 接收公告的用户，省略时发送给所有已认证的连接
+ * @returns {number} - 成功发送的连接数
+ */
+function broadcastAnnouncement(announcement, userIds) {
+  const recipients = [];
+
+  if (userIds) {
+    for (const userId of new Set(userIds)) {
+      recipients.push(...(userConnections.get(userId) || []));
+    }
+  } else {
+    for (const clientState of clients.values()) {
+      if (clientState.authenticated) {
+        recipients.push(clientState);
+      }
+    }
+  }
+
+  let delivered = 0;
+  for (const clientState of recipients) {
+    if (sendToClient(clientState.ws, announcement)) {
+      delivered++;
+    }
+  }
+  return delivered;
+}
+
+/**
+ * 清除令牌过期相关的定时器
+ * @param {object} clientState - 客户端状态
+ */
+function clearTokenTimers(clientState) {
+  for (const timer of clientState.tokenTimers) {
+    clearTimeout(timer);
+  }
+  clientState.tokenTimers = [];
+}
+
+/**
+ * 处理令牌刷新消息
+ * 用新令牌替换连接当前的令牌，不需要重新连接；新令牌必须属于同一用户
+ * @param {object} clientState - 客户端状态
+ * @param {object} message - 收到的消息，包含新的token
+ */
+function handleReauth(clientState, message) {
+  if (!clientState.authenticated) {
+    return sendToClient(clientState.ws, {
+      type: "reauth_failure",
+      code: ERROR_CODES.UNAUTHENTICATED,
+      message: "需要先进行认证",
+    });
+  }
+
+  const decoded = auth.verifyToken(message.token);
+
+  if (!decoded || decoded.userId !== clientState.userId) {
+    return sendToClient(clientState.ws, {
+      type: "reauth_failure",
+      code: ERROR_CODES.INVALID_CREDENTIALS,
+      message: "无效的认证令牌",
+    });
+  }
+
+  applyToken(clientState, decoded);
+
+  console.log(`客户端 ${clientState.clientId} 已刷新令牌`);
+
+  sendToClient(clientState.ws, {
+    type: "reauth_success",
+    expiresAt: clientState.tokenExp,
+  });
+}
+
+/**
+ * 处理会话恢复消息
+ * 验证令牌后将连接绑定到原会话，并按顺序重放lastSeq之后的消息
+ * @param {object} clientState - 客户端状态
+ * @param {object} message - 收到的消息，包含token、sessionId和lastSeq
+ */
+function handleResume(clientState, message) {
+  const { token, sessionId } = message;
+  const lastSeq = message.lastSeq || 0;
+
+  const decoded = auth.verifyToken(token);
+
+  if (!decoded) {
+    return sendToClient(clientState.ws, {
+      type: "auth_failure",
+      code: ERROR_CODES.INVALID_CREDENTIALS,
+      message: "无效的认证令牌",
+    });
+  }
+
+  const session = sessions.get(sessionId);
+
+  // 会话不存在或不属于该用户时，按普通认证创建新会话
+  if (!session || session.userId !== decoded.userId) {
+    sendToClient(clientState.ws, {
+      type: "resume_failed",
+      code: ERROR_CODES.SESSION_NOT_FOUND,
+      sessionId,
+      message: "会话不存在或已过期",
+    });
+    return handleAuth(clientState, message);
+  }
+
+  // 连接已有会话（如握手时已认证）时，改用要恢复的会话
+  if (clientState.session && clientState.session !== session) {
+    const previous = clientState.session;
+    detachSession(previous, clientState);
+    destroySession(previous);
+  }
+
+  markAuthenticated(clientState, decoded);
+  clientState.acks = message.acks === true;
+  attachSession(session, clientState);
+
+  // 缓冲区已丢弃了部分消息时，客户端无法得到完整的补发
+  const pending = session.buffer.filter((msg) => msg.seq > lastSeq);
+  const complete =
+    lastSeq >= session.lastSeq ||
+    (pending.length > 0 && pending[0].seq === lastSeq + 1);
+
+  console.log(
+    `客户端 ${clientState.clientId} 恢复会话 ${sessionId}，重放 ${pending.length} 条消息`
+  );
+
+  sendToClient(clientState.ws, {
+    type: "resumed",
+    userId: session.userId,
+    sessionId,
+    lastSeq: session.lastSeq,
+    replayed: pending.length,
+    expiresAt: clientState.tokenExp,
+    complete,
+  });
+
+  for (const msg of pending) {
+    sendTracked(clientState, msg);
+  }
+}
+
+function startSendMockData(clientState) {
+  const ws = clientState.ws;
+
+  // 已认证的连接重新认证（或恢复会话失败后改为认证）时从头推送，先停止之前的定时器，避免重复推送
+  clearInterval(ws.intervalTimer);
+
+  ws.mockDataIndex = 0;
+  ws.intervalTimer = setInterval(() => {
+    sendToClientState(clientState, {
+      type: "data",
+      messageId: uuidv4(),
+      idx: [ws.mockDataIndex, ws.mockDataIndex + 1],
+      payload: mockData.slice(ws.mockDataIndex, ws.mockDataIndex + 1),
+    });
+    ws.mockDataIndex++;
+    // clearInterval(ws.intervalTimer);
+
+    if (ws.mockDataIndex >= mockData.length) {
+      clearInterval(ws.intervalTimer);
+    }
+  }, 3000);
+}
+
+/**
+ * 处理数据请求
+ * @param {object} clientState - 客户端状态
+ * @param {object} message - 收到的消息
+ */
+function handleDataRequest(clientState, message) {
+  // 检查认证状态
+  if (!clientState.authenticated) {
+    return sendToClient(clientState.ws, protocol.errorMessage(ERROR_CODES.UNAUTHENTICATED, "需要先进行认证", {
+      requestId: message.requestId,
+    }));
+  }
+
+  const dataType = message.dataType || "default";
+
+  if (!taskHandlers.hasHandler(dataType)) {
+    return sendToClient(clientState.ws, protocol.errorMessage(ERROR_CODES.UNKNOWN_DATA_TYPE, `未知的数据类型: ${dataType}`, {
+      requestId: message.requestId,
+    }));
+  }
+
+  if (!permissions.canRequestDataType(clientState.scopes, dataType)) {
+    return sendForbidden(clientState, message.requestId, `无权请求数据类型: ${dataType}`);
+  }
+
+  if (message.channel && !permissions.canAccessChannel(clientState.scopes, message.channel)) {
+    return sendForbidden(clientState, message.requestId, `无权向频道推送: ${message.channel}`);
+  }
+
+  console.log(`用户 ${clientState.userId} 请求数据:`, message);
+
+  // 创建任务
+  const task = taskProcessor.createTask(clientState.userId, message);
+
+  // 告知客户端请求已接受
+  sendToClientState(clientState, {
     type: "request_accepted",
     requestId: message.requestId,
     taskId: task.taskId,
@@ -301,13 +1473,67 @@ function handleDataRequest(clientState, message) {
   });
 
   // 开始处理任务
-  taskProcessor.processTask(task.taskId, (userId, result) => {
-    // 任务完成后，向用户发送结果
-    sendToUser(userId, {
-      type: "data",
-      payload: result,
-    });
-  });
+  taskProcessor.processTask(task.taskId, taskResultCallback(message));
+}
+
+/**
+ * 创建推送任务结果的回调
+ * 请求指定了频道时只推送给该频道的订阅者，否则推送给用户的所有连接；
+ * 服务器重启导致的中断只通知任务所有者
+ * @param {object} message - 创建任务的 request_data 消息
+ * @returns {function} - (userId, result) => void
+ */
+function taskResultCallback(message) {
+  return (userId, result) => {
+    if (message.channel && result.status !== "interrupted") {
+      publishToChannel(message.channel, {
+        type: "data",
+        payload: result,
+      });
+    } else {
+      sendToUser(userId, {
+        type: "data",
+        payload: result,
+      });
+    }
+  };
+}
+
+/**
+ * 处理取消任务消息，任务可以通过taskId或客户端的requestId指定
+ * 取消成功后客户端会收到 status 为 cancelled 的最终推送
+ * @param {object} clientState - 客户端状态
+ * @param {object} message - 收到的消息
+ */
+function handleCancelTask(clientState, message) {
+  if (!clientState.authenticated) {
+    return sendToClient(clientState.ws, protocol.errorMessage(ERROR_CODES.UNAUTHENTICATED, "需要先进行认证", {
+      requestId: message.requestId,
+    }));
+  }
+
+  const taskId = message.taskId || taskProcessor.findTaskByRequest(clientState.userId, message.requestId);
+  const task = taskId ? taskProcessor.getTaskStatus(taskId) : null;
+
+  if (!task || task.userId !== clientState.userId || !taskProcessor.cancelTask(taskId)) {
+    return sendToClient(clientState.ws, protocol.errorMessage(ERROR_CODES.TASK_NOT_FOUND, "任务不存在或已结束", {
+      requestId: message.requestId,
+    }));
+  }
+
+  console.log(`用户 ${clientState.userId} 取消了任务 ${taskId}`);
+}
+
+/**
+ * 回复权限不足错误
+ * @param {object} clientState - 客户端状态
+ * @param {string} requestId - 相关的请求ID（可选）
+ * @param {string} message - 错误信息
+ */
+function sendForbidden(clientState, requestId, message) {
+  console.log(`用户 ${clientState.userId} 权限不足: ${message}`);
+
+  sendToClient(clientState.ws, protocol.errorMessage(ERROR_CODES.FORBIDDEN, message, { requestId }));
 }
 
 // 启动服务器
@@ -316,3 +1542,11 @@ server.listen(PORT, () => {
   console.log(`WebSocket地址: ws://localhost:${PORT}`);
   console.log(`REST API地址: http://localhost:${PORT}`);
 });
+
+// 退出前写入尚未保存的离线消息（文件存储异步写入）
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.on(signal, () => {
+    offlineStore.close();
+    process.exit(0);
+  });
+}
@@ -0,0 +1,76 @@
+// task-handlers.js - 任务处理器注册表
+// 任务处理器按 request_data 的 dataType 注册，TaskProcessor 根据任务的数据类型选择处理器。
+//
+// 处理器约定: handler(params, context) 返回异步迭代器（通常是 async function*），每次产出一批数据项（数组）
+//   params: { taskId, userId, requestId, dataType, options }，options 为 request_data 中的 options
+//   context.signal: AbortSignal，任务被取消时触发；处理器应停止等待并尽快返回（此后产出的批次会被丢弃）
+//   context.reportProgress({ processedItems, totalItems, progress }): 报告进度，在产出一批之前调用，
+//     推送中的进度以最近一次报告为准；未报告时按已产出的数据项数计算，progress 为百分比。
+//     按字节读取数据的处理器还可以报告 bytesRead 和 totalBytes，一并推送给用户；
+//     读取文件的处理器可以报告识别出的数据格式 format，只在第一次推送中发送
+//   context.resumeFrom: 恢复重启前的任务时已发送的数据项数，处理器应跳过这些数据项
+// 已处理的数据项达到 totalItems 时，该批即为最后一批；迭代结束时未达到 totalItems（或未报告总数）的，
+// 处理器会再推送一条不含数据项的最终结果。处理器抛出的错误以 status 为 error 的结果推送给用户
+
+const path = require('path');
+const { createJsonFileHandler } = require('./json-file-handler');
+
+// dataType -> 处理器
+const handlers = new Map();
+
+/**
+ * 注册任务处理器，已注册的数据类型会被替换
+ * 新的数据类型还需要在 permissions.js 中授予相应的作用域，用户才能请求
+ * @param {string} dataType - 数据类型
+ * @param {function} handler - 任务处理器
+ */
+function registerHandler(dataType, handler) {
+  if (typeof dataType !== 'string' || !dataType) {
+    throw new Error('数据类型不能为空');
+  }
+  if (typeof handler !== 'function') {
+    throw new Error(`数据类型 ${dataType} 的处理器必须是函数`);
+  }
+
+  handlers.set(dataType, handler);
+}
+
+/**
+ * 获取数据类型的处理器
+ * @param {string} dataType - 数据类型
+ * @returns {function|null} - 任务处理器，未注册返回null
+ */
+function getHandler(dataType) {
+  return handlers.get(dataType) || null;
+}
+
+/**
+ * 判断数据类型是否有处理器
+ * @param {string} dataType - 数据类型
+ * @returns {boolean} - 是否已注册
+ */
+function hasHandler(dataType) {
+  return handlers.has(dataType);
+}
+
+/**
+ * 列出已注册的数据类型
+ * @returns {Array<string>} - 数据类型
+ */
+function listDataTypes() {
+  return Array.from(handlers.keys());
+}
+
+// 内置处理器：分批推送示例数据文件
+const dataDir = path.join(__dirname, 'data');
+registerHandler('default', createJsonFileHandler(path.join(dataDir, 'graph_insert_hierachy.json')));
+registerHandler('analysis', createJsonFileHandler(path.join(dataDir, 'graph_insert_hierachy.json')));
+registerHandler('report', createJsonFileHandler(path.join(dataDir, 'graph_insert_nodes.json')));
+registerHandler('metrics', createJsonFileHandler(path.join(dataDir, 'graph_update_explanation.json')));
+
+module.exports = {
+  registerHandler,
+  getHandler,
+  hasHandler,
+  listDataTypes
+};
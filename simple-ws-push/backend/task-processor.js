@@ -1,17 +1,104 @@
 // task-processor.js - 处理长时间运行的任务
 
 const { v4: uuidv4 } = require('uuid');
-const fs = require('fs');
-const path = require('path');
+const { MemoryTaskStore } = require('./task-store');
+const taskHandlers = require('./task-handlers');
+
+// 优先级 -> 同一用户队列内的顺序，数值大的先调度；request_data 未指定时为 normal
+const PRIORITIES = { high: 2, normal: 1, low: 0 };
+
+// 任务的最终状态，进入这些状态后不再变化
+const FINAL_STATUSES = ['completed', 'error', 'cancelled', 'interrupted'];
+
+// 持久化的任务字段（回调、取消信号和暂停状态只在进程内有效）
+const RECORD_FIELDS = [
+  'taskId', 'userId', 'requestData', 'status', 'transitions',
+  'createdAt', 'startedAt', 'updatedAt', 'completedAt',
+  'batchCount', 'totalItems', 'processedItems', 'progress', 'error'
+];
 
 /**
  * 任务处理器类 - 模拟异步任务处理
  */
 class TaskProcessor {
   constructor() {
-    this.tasks = new Map(); // 存储正在进行的任务
-    // 示例数据文件路径（你需要创建这个文件）
-    this.dataFilePath = path.join(__dirname, 'data/graph_insert_hierachy.json');
+    this.tasks = new Map(); // 存储所有任务（包括已结束的）
+    this.store = new MemoryTaskStore(); // 任务持久化存储，通过 useStore 替换
+    this.maxConcurrent = 4; // 同时处理的任务数上限
+    this.maxConcurrentPerUser = 2; // 每个用户同时处理的任务数上限
+    this.running = new Set(); // 正在处理的任务（包括被暂停的）
+    this.userQueues = new Map(); // userId -> 排队的任务，按优先级排序
+    this.userOrder = []; // 有排队任务的用户，按轮转顺序
+  }
+  
+  /**
+   * 设置并发限制，已超出新限制的任务继续处理
+   * @param {object} options - 配置选项
+   * @param {number} options.maxConcurrent - 同时处理的任务数上限
+   * @param {number} options.maxConcurrentPerUser - 每个用户同时处理的任务数上限
+   */
+  configure(options = {}) {
+    this.maxConcurrent = options.maxConcurrent || this.maxConcurrent;
+    this.maxConcurrentPerUser = options.maxConcurrentPerUser || this.maxConcurrentPerUser;
+    this._schedule();
+  }
+  
+  /**
+   * 使用持久化存储，并加载其中的任务
+   * 重启前未结束的任务需要再调用 recoverTasks 处理
+   * @param {object} store - 任务存储，见 task-store.js
+   */
+  useStore(store) {
+    this.store = store;
+    this.tasks = new Map(store.loadAll().map(record => [record.taskId, record]));
+    
+    if (this.tasks.size > 0) {
+      console.log(`已加载 ${this.tasks.size} 个任务记录`);
+    }
+  }
+  
+  /**
+   * 处理重启前未结束的任务（pending、queued 或 processing）
+   * @param {string} mode - resume：从进度游标继续处理；interrupt：标记为 interrupted 并通知任务所有者
+   * @param {function} createCallback - 参数为任务，返回该任务的推送回调（与 processTask 的回调相同）
+   * @returns {number} - 处理的任务数
+   */
+  recoverTasks(mode, createCallback) {
+    let count = 0;
+    
+    for (const task of this.tasks.values()) {
+      if (task.status !== 'pending' && task.status !== 'queued' && task.status !== 'processing') {
+        continue;
+      }
+      
+      count++;
+      const onComplete = createCallback(task);
+      
+      if (mode === 'resume') {
+        console.log(`恢复任务 ${task.taskId}，从第 ${task.processedItems + 1} 项继续`);
+        this.processTask(task.taskId, onComplete);
+        continue;
+      }
+      
+      this._setStatus(task, 'interrupted');
+      console.log(`任务 ${task.taskId} 因服务器重启而中断`);
+      
+      // 用户不在线时推送进入离线收件箱，重新连接后收到
+      onComplete(task.userId, {
+        taskId: task.taskId,
+        status: 'interrupted',
+        requestId: task.requestData.requestId,
+        message: '服务器重启，任务已中断',
+        timestamp: task.completedAt,
+        data: {
+          totalItems: task.totalItems,
+          processedItems: task.processedItems,
+          progress: task.progress
+        }
+      });
+    }
+    
+    return count;
   }
   
   /**
@@ -23,15 +110,26 @@ class TaskProcessor {
   createTask(userId, requestData) {
     const taskId = uuidv4();
     
+    const now = Date.now();
     const task = {
       taskId,
       userId,
       requestData,
       status: 'pending',
-      createdAt: Date.now()
+      transitions: [{ status: 'pending', at: now }],
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      completedAt: null,
+      batchCount: 0,
+      totalItems: null,
+      processedItems: 0,
+      progress: 0,
+      error: null
     };
     
     this.tasks.set(taskId, task);
+    this._persist(task);
     
     return {
       taskId,
@@ -40,7 +138,8 @@ class TaskProcessor {
   }
   
   /**
-   * 开始处理任务
+   * 提交任务：任务进入所属用户的队列，按优先级、并发限制和用户间轮转调度
+   * 不能立即开始时通过回调推送 status 为 queued 的消息，带有预计的排队位置
    * @param {string} taskId - 任务ID
    * @param {function} onComplete - 任务完成时的回调函数
    */
@@ -52,265 +151,492 @@ class TaskProcessor {
       return false;
     }
     
-    console.log(`开始处理任务 ${taskId} (用户 ${task.userId})`);
+    // 保存回调，开始处理、排队位置变化和取消时都通过它推送
+    task.onComplete = onComplete;
+    this._enqueue(task);
+    this._schedule();
     
-    // 更新任务状态
-    task.status = 'processing';
+    return true;
+  }
+  
+  /**
+   * 开始处理任务
+   * @private
+   * @param {object} task - 任务对象
+   */
+  _startTask(task) {
+    console.log(`开始处理任务 ${task.taskId} (用户 ${task.userId})`);
     
-    // 读取JSON文件
-    this._processJsonFile(task, onComplete);
+    // 恢复的任务保留最初的开始时间
+    task.startedAt = task.startedAt || Date.now();
+    task.queuePosition = null;
+    this.running.add(task);
+    this._setStatus(task, 'processing');
     
-    return true;
+    // 按数据类型选择处理器
+    this._runHandler(task, task.onComplete).catch(error => {
+      console.error(`推送任务 ${task.taskId} 的结果失败:`, error);
+    });
   }
+  
+  /**
+   * 将任务加入所属用户的队列（同一优先级内按提交顺序）
+   * @private
+   * @param {object} task - 任务对象
+   */
+  _enqueue(task) {
+    if (!this.userQueues.has(task.userId)) {
+      this.userQueues.set(task.userId, []);
+      this.userOrder.push(task.userId);
+    }
+    
+    const queue = this.userQueues.get(task.userId);
+    const priority = taskPriority(task);
+    const index = queue.findIndex(queued => taskPriority(queued) < priority);
     
+    queue.splice(index === -1 ? queue.length : index, 0, task);
+    this._setStatus(task, 'queued');
+  }
+  
   /**
-   * 处理JSON文件并分批发送数据
+   * 将任务移出队列（排队中被取消）
    * @private
    * @param {object} task - 任务对象
-   * @param {function} onComplete - 回调函数
    */
-  _processJsonFile(task, onComplete) {
-    // 检查文件是否存在，如果不存在则创建示例数据
-    if (!fs.existsSync(this.dataFilePath)) {
-      this._createSampleData();
+  _removeFromQueue(task) {
+    const queue = this.userQueues.get(task.userId);
+    
+    if (!queue || !queue.includes(task)) {
+      return;
     }
     
-    // 读取JSON文件
-    fs.readFile(this.dataFilePath, 'utf8', (err, data) => {
-      if (err) {
-        console.error('读取JSON文件失败:', err);
-        
-        // 通知错误
-        onComplete(task.userId, {
-          taskId: task.taskId,
-          status: 'error',
-          requestId: task.requestData.requestId,
-          error: '读取数据文件失败',
-          timestamp: Date.now()
-        });
-        
-        return;
+    queue.splice(queue.indexOf(task), 1);
+    if (queue.length === 0) {
+      this.userQueues.delete(task.userId);
+      this.userOrder.splice(this.userOrder.indexOf(task.userId), 1);
+    }
+  }
+  
+  /**
+   * 在并发限制内开始排队的任务，然后推送排队位置的变化
+   * 按用户轮转，每次开始被选中用户队首的任务（用户自己的队列按优先级排序），被选中的用户移到轮转顺序末尾
+   * @private
+   */
+  _schedule() {
+    while (this.running.size < this.maxConcurrent) {
+      const userId = nextUser(this.userOrder, candidate => {
+        return this._runningCount(candidate) < this.maxConcurrentPerUser;
+      });
+      
+      if (userId === null) {
+        break;
       }
       
-      // 处理JSONL格式（每行一个JSON对象）
-      const lines = data.split('\n').filter(line => line.trim() !== '');
-      const jsonData = [];
-      let lineNumber = 0;
+      const task = this.userQueues.get(userId)[0];
+      this._removeFromQueue(task);
       
-      console.log(`总共读取了 ${lines.length} 行JSON数据`);
+      // 仍有排队任务的用户移到轮转顺序末尾
+      if (this.userQueues.has(userId)) {
+        this.userOrder.splice(this.userOrder.indexOf(userId), 1);
+        this.userOrder.push(userId);
+      }
       
-      for (const line of lines) {
-        lineNumber++;
-        try {
-          const obj = JSON.parse(line);
-          jsonData.push(obj);
-        } catch (e) {
-          console.error(`【行 ${lineNumber} 解析失败】`);
-          console.error(`错误类型: ${e.name}`);
-          console.error(`错误消息: ${e.message}`);
-          
-          // 找出可能的错误位置
-          if (e.message.includes('position')) {
-            const posMatch = e.message.match(/position (\d+)/);
-            if (posMatch && posMatch[1]) {
-              const pos = parseInt(posMatch[1]);
-              const start = Math.max(0, pos - 20);
-              const end = Math.min(line.length, pos + 20);
-              console.error(`错误位置附近: "${line.substring(start, pos)}👉${line.substring(pos, end)}"`);
-            }
-          }
-          
-          // 输出行内容片段，避免过长
-          const previewLength = 200;
-          const linePreview = line.length > previewLength 
-            ? line.substring(0, previewLength) + "..." 
-            : line;
-          console.error(`行内容预览: ${linePreview}`);
-          
-          // 尝试检测常见JSON格式问题
-          if (line.includes('\\"')) {
-            console.warn("可能的问题: 字符串中包含转义的引号");
-          }
-          if ((line.match(/"/g) || []).length % 2 !== 0) {
-            console.warn("可能的问题: 引号数量不匹配");
-          }
-          if (line.includes('\\')) {
-            console.warn("可能的问题: 包含反斜杠，可能需要额外转义");
-          }
-          
-          // 尝试简单修复并重新解析
-          let fixedLine = line;
-          
-          // 尝试修复1: 处理结尾多余逗号
-          fixedLine = fixedLine.replace(/,\s*}$/, '}').replace(/,\s*]$/, ']');
-          
-          // 尝试修复2: 处理JSON中的换行符
-          fixedLine = fixedLine.replace(/\n/g, '\\n').replace(/\r/g, '\\r');
-          
-          // 检查是否修复成功
-          try {
-            const fixedObj = JSON.parse(fixedLine);
-            console.log(`✅ 自动修复成功! 添加到数据集`);
-            jsonData.push(fixedObj);
-          } catch (fixError) {
-            console.error(`❌ 自动修复失败: ${fixError.message}`);
-            
-            // 保存失败的行到日志文件，方便后续分析
-            try {
-              const logDir = path.join(__dirname, 'logs');
-              if (!fs.existsSync(logDir)) {
-                fs.mkdirSync(logDir);
-              }
-              
-              const logFile = path.join(logDir, 'json_parse_errors.log');
-              fs.appendFileSync(
-                logFile, 
-                `--- 行 ${lineNumber} (${new Date().toISOString()}) ---\n${line}\n\n`,
-                'utf8'
-              );
-              console.log(`已将失败的行保存到: ${logFile}`);
-            } catch (logError) {
-              console.error(`无法保存日志: ${logError.message}`);
-            }
-          }
-        }
+      this._startTask(task);
+    }
+    
+    this._notifyQueuePositions();
+  }
+  
+  /**
+   * 用户正在处理的任务数
+   * @private
+   * @param {string} userId - 用户ID
+   * @returns {number} - 任务数
+   */
+  _runningCount(userId) {
+    let count = 0;
+    for (const task of this.running) {
+      if (task.userId === userId) {
+        count++;
       }
+    }
+    return count;
+  }
+  
+  /**
+   * 向排队位置发生变化的任务推送 status 为 queued 的消息
+   * 位置按调度规则估算（不考虑每个用户的并发限制），从1开始
+   * @private
+   */
+  _notifyQueuePositions() {
+    const queues = new Map(Array.from(this.userQueues, ([userId, queue]) => [userId, queue.slice()]));
+    const order = this.userOrder.slice();
+    let position = 0;
+    
+    for (let userId = nextUser(order); userId !== null; userId = nextUser(order)) {
+      const task = queues.get(userId).shift();
+      position++;
       
-      console.log(`成功解析了 ${jsonData.length}/${lines.length} 个JSON对象 (${(jsonData.length/lines.length*100).toFixed(2)}%)`);
+      order.splice(order.indexOf(userId), 1);
+      if (queues.get(userId).length > 0) {
+        order.push(userId);
+      }
       
-      if (jsonData.length === 0) {
-        console.error('没有有效的JSON对象');
-        
-        // 通知错误
-        onComplete(task.userId, {
-          taskId: task.taskId,
-          status: 'error',
-          requestId: task.requestData.requestId,
-          error: '没有有效的JSON数据',
-          timestamp: Date.now()
-        });
-        
-        return;
+      if (task.queuePosition === position) {
+        continue;
       }
       
-      // 开始分批处理数据
-      this._sendDataInBatches(task, jsonData, onComplete);
-    });
+      task.queuePosition = position;
+      task.onComplete(task.userId, {
+        taskId: task.taskId,
+        status: 'queued',
+        requestId: task.requestData.requestId,
+        queuePosition: position,
+        message: `排队中，前面还有 ${position - 1} 个任务`,
+        timestamp: Date.now()
+      });
+    }
   }
-
-  
+    
   /**
-   * 分批发送数据
+   * 运行任务的处理器，逐批推送处理器产出的数据项
    * @private
    * @param {object} task - 任务对象
-   * @param {object} data - JSON数据
    * @param {function} onComplete - 回调函数
    */
-  _sendDataInBatches(task, data, onComplete) {
-    // 如果数据是数组，直接使用；否则将其变成数组
-    const items = Array.isArray(data) ? data : [data];
-    const totalItems = items.length;
+  async _runHandler(task, onComplete) {
+    const { taskId, userId } = task;
+    const requestId = task.requestData.requestId;
+    const dataType = task.requestData.dataType || 'default';
+    const handler = taskHandlers.getHandler(dataType);
     
-    if (totalItems === 0) {
-      // 没有数据，直接完成
-      onComplete(task.userId, {
-        taskId: task.taskId,
-        status: 'completed',
-        requestId: task.requestData.requestId,
-        message: '没有数据需要处理',
-        timestamp: Date.now(),
-        data: {
-          totalItems: 0,
-          processedItems: 0,
-          results: []
-        }
-      });
+    // 数据类型在提交时已检查，这里处理恢复的任务对应的处理器已不存在的情况
+    if (!handler) {
+      this._failTask(task, `未知的数据类型: ${dataType}`);
+      onComplete(userId, { taskId, status: 'error', requestId, error: task.error, timestamp: Date.now() });
       return;
     }
     
-    let processedItems = 0;
-    let batchNumber = 0;
+    const controller = new AbortController();
+    task.abortController = controller;
     
-    // 发送第一批数据的函数
-    const sendNextBatch = () => {
-      // 随机决定这一批处理多少项
-      const batchSize = Math.min(
-        totalItems - processedItems,
-        Math.floor(Math.random() * 10) + 1 // 每批1-10个项目
-      );
-      
-      // 提取这一批的数据
-      const batchItems = items.slice(processedItems, processedItems + batchSize);
-      processedItems += batchSize;
-      batchNumber++;
-      
-      // 构建结果对象
-      const result = {
-        taskId: task.taskId,
-        status: processedItems >= totalItems ? 'completed' : 'processing',
-        requestId: task.requestData.requestId,
-        timestamp: Date.now(),
-        batchNumber,
-        data: {
-          totalItems,
-          processedItems,
-          progress: Math.round((processedItems / totalItems) * 100),
-          isFinal: processedItems >= totalItems,
-          results: batchItems
+    let reported = {};
+    let processedItems = task.processedItems;
+    let batchNumber = task.batchCount;
+    let formatSent = false;
+    
+    const context = {
+      signal: controller.signal,
+      resumeFrom: task.processedItems,
+      reportProgress: (progress) => {
+        reported = { ...reported, ...progress };
+      }
+    };
+    const params = { taskId, userId, requestId, dataType, options: task.requestData.options || {} };
+    
+    try {
+      for await (const batchItems of handler(params, context)) {
+        // 任务已被取消，不再发送（退出循环时处理器随之结束）
+        if (controller.signal.aborted) {
+          return;
+        }
+        
+        batchNumber++;
+        processedItems = reported.processedItems !== undefined ? reported.processedItems : processedItems + batchItems.length;
+        
+        const totalItems = reported.totalItems !== undefined ? reported.totalItems : null;
+        const isFinal = totalItems !== null && processedItems >= totalItems;
+        const progress = reported.progress !== undefined
+          ? reported.progress
+          : (totalItems ? Math.round((processedItems / totalItems) * 100) : null);
+        
+        // 构建结果对象
+        const result = {
+          taskId,
+          status: isFinal ? 'completed' : 'processing',
+          requestId,
+          timestamp: Date.now(),
+          batchNumber,
+          data: {
+            totalItems,
+            processedItems,
+            progress,
+            isFinal,
+            results: batchItems
+          }
+        };
+        
+        // 处理器识别出的数据格式只在第一次推送中发送
+        if (reported.format !== undefined && !formatSent) {
+          result.data.format = reported.format;
+          formatSent = true;
         }
-      };
+        
+        if (reported.totalBytes !== undefined) {
+          result.data.bytesRead = reported.bytesRead;
+          result.data.totalBytes = reported.totalBytes;
+        }
+        
+        // 记录进度，供查询任务状态
+        task.batchCount = batchNumber;
+        task.totalItems = totalItems;
+        task.processedItems = processedItems;
+        task.progress = progress;
+        task.updatedAt = result.timestamp;
+        
+        // 发送这一批数据
+        onComplete(userId, result);
+        
+        if (isFinal) {
+          this._setStatus(task, 'completed');
+          return;
+        }
+        
+        // 保存进度游标，重启后从这里继续
+        this._persist(task);
+        
+        // 任务被暂停（客户端消费过慢）时等待恢复
+        if (task.paused) {
+          await new Promise(resolve => {
+            task.resumeBatch = resolve;
+          });
+          
+          if (controller.signal.aborted) {
+            return;
+          }
+        }
+      }
+    } catch (error) {
+      // 取消导致处理器中止
+      if (controller.signal.aborted) {
+        return;
+      }
       
-      // 发送这一批数据
-      onComplete(task.userId, result);
+      console.error(`任务 ${taskId} 处理失败:`, error);
       
-      // 如果还有更多数据，设置超时继续发送
-      if (processedItems < totalItems) {
-        // 随机等待时间，模拟处理时间
-        const delay = Math.floor(Math.random() * 2000) + 500; // 500-2500ms
-        setTimeout(sendNextBatch, delay);
-      } else {
-        // 所有数据已处理完成，更新任务状态
-        task.status = 'completed';
-        task.completedAt = Date.now();
+      // 通知错误
+      this._failTask(task, error.message);
+      onComplete(userId, { taskId, status: 'error', requestId, error: task.error, timestamp: Date.now() });
+      return;
+    }
+    
+    if (controller.signal.aborted) {
+      return;
+    }
+    
+    // 处理器结束时没有报告总数，或产出的数据项少于报告的总数，单独推送最终结果
+    task.totalItems = processedItems;
+    task.progress = 100;
+    this._setStatus(task, 'completed');
+    
+    onComplete(userId, {
+      taskId,
+      status: 'completed',
+      requestId,
+      message: batchNumber === 0 ? '没有数据需要处理' : '处理完成',
+      timestamp: task.completedAt,
+      batchNumber,
+      data: {
+        totalItems: processedItems,
+        processedItems,
+        progress: 100,
+        isFinal: true,
+        results: []
       }
-    };
+    });
+  }
+  
+  /**
+   * 暂停任务，当前批次发送后不再继续
+   * 每个暂停方（如消费过慢的连接）分别记录，所有暂停方都恢复后任务才继续
+   * @param {string} taskId - 任务ID
+   * @param {string} holder - 暂停方，如连接ID
+   * @returns {boolean} - 是否找到任务
+   */
+  pauseTask(taskId, holder) {
+    const task = this.tasks.get(taskId);
+    
+    if (!task || task.status !== 'processing') {
+      return false;
+    }
     
-    // 开始发送第一批
-    sendNextBatch();
+    if (!task.paused) {
+      console.log(`任务 ${taskId} 已暂停`);
+      task.pausedBy = new Set();
+    }
+    task.pausedBy.add(holder);
+    task.paused = true;
+    return true;
   }
   
   /**
-   * 创建示例JSON数据文件
-   * @private
+   * 撤销一个暂停方对任务的暂停，没有其他暂停方时恢复任务
+   * @param {string} taskId - 任务ID
+   * @param {string} holder - 暂停方，与 pauseTask 一致
+   * @returns {boolean} - 是否找到被暂停的任务
    */
-  _createSampleData() {
-    console.log('创建示例数据文件...');
-    
-    // 创建一个包含100项的示例数据数组
-    const sampleData = [];
-    for (let i = 0; i < 100; i++) {
-      sampleData.push({
-        id: uuidv4(),
-        name: `项目 ${i + 1}`,
-        value: Math.round(Math.random() * 1000),
-        timestamp: new Date().toISOString(),
-        status: ['进行中', '已完成', '已暂停', '已取消'][Math.floor(Math.random() * 4)],
-        metrics: {
-          accuracy: Math.random().toFixed(2),
-          performance: Math.random().toFixed(2),
-          reliability: Math.random().toFixed(2)
-        }
+  resumeTask(taskId, holder) {
+    const task = this.tasks.get(taskId);
+    
+    if (!task || !task.paused) {
+      return false;
+    }
+    
+    task.pausedBy.delete(holder);
+    if (task.pausedBy.size > 0) {
+      return true;
+    }
+    
+    console.log(`任务 ${taskId} 已恢复`);
+    task.paused = false;
+    
+    if (task.resumeBatch) {
+      const resumeBatch = task.resumeBatch;
+      task.resumeBatch = null;
+      setTimeout(resumeBatch, 0);
+    }
+    return true;
+  }
+  
+  /**
+   * 取消任务：停止尚未发送的批次，并推送 status 为 cancelled 的最终结果
+   * @param {string} taskId - 任务ID
+   * @returns {boolean} - 是否取消成功（任务不存在或已结束时返回false）
+   */
+  cancelTask(taskId) {
+    const task = this.tasks.get(taskId);
+    
+    if (!task || (task.status !== 'pending' && task.status !== 'queued' && task.status !== 'processing')) {
+      return false;
+    }
+    
+    this._removeFromQueue(task);
+    
+    if (task.abortController) {
+      task.abortController.abort();
+    }
+    
+    // 被暂停的任务在等待恢复，唤醒后发现已取消即结束
+    if (task.resumeBatch) {
+      task.resumeBatch();
+      task.resumeBatch = null;
+    }
+    task.paused = false;
+    task.pausedBy = null;
+    this._setStatus(task, 'cancelled');
+    
+    console.log(`任务 ${taskId} 已取消`);
+    
+    if (task.onComplete) {
+      task.onComplete(task.userId, {
+        taskId,
+        status: 'cancelled',
+        requestId: task.requestData.requestId,
+        message: '任务已取消',
+        timestamp: task.completedAt
       });
     }
     
-    // 写入文件
-    fs.writeFileSync(
-      this.dataFilePath,
-      JSON.stringify(sampleData, null, 2),
-      'utf8'
-    );
+    // 排队中的任务被取消后，其后任务的排队位置前移
+    this._notifyQueuePositions();
+    return true;
+  }
+  
+  /**
+   * 将任务标记为失败
+   * @private
+   * @param {object} task - 任务对象
+   * @param {string} error - 错误信息
+   */
+  _failTask(task, error) {
+    task.error = error;
+    this._setStatus(task, 'error');
+  }
+  
+  /**
+   * 更新任务状态，记录状态变化并保存
+   * @private
+   * @param {object} task - 任务对象
+   * @param {string} status - 新状态
+   */
+  _setStatus(task, status) {
+    const now = Date.now();
+    
+    task.status = status;
+    task.updatedAt = now;
+    task.transitions.push({ status, at: now });
     
-    console.log(`示例数据文件已创建: ${this.dataFilePath}`);
+    if (FINAL_STATUSES.includes(status)) {
+      task.completedAt = now;
+    }
+    
+    this._persist(task);
+    
+    // 任务结束后释放并发名额，调度下一个任务
+    if (FINAL_STATUSES.includes(status) && this.running.delete(task)) {
+      this._schedule();
+    }
+  }
+  
+  /**
+   * 将任务写入持久化存储
+   * @private
+   * @param {object} task - 任务对象
+   */
+  _persist(task) {
+    const record = {};
+    for (const field of RECORD_FIELDS) {
+      record[field] = task[field];
+    }
+    
+    try {
+      this.store.save(record);
+    } catch (error) {
+      console.error(`保存任务 ${task.taskId} 失败:`, error.message);
+    }
+  }
+  
+  /**
+   * 清理结束时间超过保留期的任务
+   * @param {number} retention - 保留时间（毫秒）
+   * @returns {number} - 清理的任务数
+   */
+  purgeFinished(retention) {
+    const before = Date.now() - retention;
+    const taskIds = [];
+    
+    for (const task of this.tasks.values()) {
+      if (FINAL_STATUSES.includes(task.status) && task.completedAt < before) {
+        taskIds.push(task.taskId);
+      }
+    }
+    
+    for (const taskId of taskIds) {
+      this.tasks.delete(taskId);
+    }
+    
+    try {
+      this.store.remove(taskIds);
+    } catch (error) {
+      console.error('清理任务记录失败:', error.message);
+    }
+    
+    return taskIds.length;
+  }
+  
+  /**
+   * 按请求ID查找用户的任务
+   * @param {string} userId - 用户ID
+   * @param {string} requestId - 客户端的请求ID
+   * @returns {string|null} - 任务ID，不存在返回null
+   */
+  findTaskByRequest(userId, requestId) {
+    for (const task of this.tasks.values()) {
+      if (task.userId === userId && task.requestData.requestId === requestId) {
+        return task.taskId;
+      }
+    }
+    return null;
   }
   
   /**
@@ -325,13 +651,80 @@ class TaskProcessor {
       return null;
     }
     
+    return this._describeTask(task);
+  }
+  
+  /**
+   * 列出用户的任务，最近创建的在前
+   * @param {string} userId - 用户ID
+   * @param {object} options - 过滤选项
+   * @param {string} [options.status] - 只返回该状态的任务
+   * @param {number} [options.limit] - 最多返回的任务数
+   * @returns {Array<object>} - 任务状态
+   */
+  listTasks(userId, options = {}) {
+    const tasks = [];
+    
+    for (const task of this.tasks.values()) {
+      if (task.userId === userId && (!options.status || task.status === options.status)) {
+        tasks.push(task);
+      }
+    }
+    
+    tasks.sort((a, b) => b.createdAt - a.createdAt);
+    
+    return tasks.slice(0, options.limit || tasks.length).map(task => this._describeTask(task));
+  }
+  
+  /**
+   * 任务的对外状态（不含回调和定时器等内部字段）
+   * @private
+   * @param {object} task - 任务对象
+   * @returns {object} - 任务状态
+   */
+  _describeTask(task) {
     return {
       taskId: task.taskId,
+      userId: task.userId,
+      requestId: task.requestData.requestId,
+      dataType: task.requestData.dataType || 'default',
       status: task.status,
+      priority: task.requestData.priority || 'normal',
+      queuePosition: task.status === 'queued' ? task.queuePosition : null,
+      paused: Boolean(task.paused),
+      progress: task.progress,
+      batchCount: task.batchCount,
+      totalItems: task.totalItems,
+      processedItems: task.processedItems,
+      error: task.error,
       createdAt: task.createdAt,
+      startedAt: task.startedAt,
+      updatedAt: task.updatedAt,
       completedAt: task.completedAt
     };
   }
 }
 
+/**
+ * 任务的优先级
+ * @param {object} task - 任务对象
+ * @returns {number} - 调度顺序，数值大的先调度
+ */
+function taskPriority(task) {
+  const priority = PRIORITIES[task.requestData.priority];
+  return priority === undefined ? PRIORITIES.normal : priority;
+}
+
+/**
+ * 选择下一个开始任务的用户：轮转顺序中第一个能开始新任务的用户
+ * 优先级只在用户自己的队列内排序，客户端提交的优先级不影响其他用户
+ * @param {Array<string>} order - 用户的轮转顺序
+ * @param {function} [eligible] - 用户能否开始新任务，默认都可以
+ * @returns {string|null} - 用户ID，没有可开始的任务时返回null
+ */
+function nextUser(order, eligible = () => true) {
+  const selected = order.find(userId => eligible(userId));
+  return selected === undefined ? null : selected;
+}
+
 module.exports = new TaskProcessor();
\ No newline at end of file
@@ -0,0 +1,208 @@
+// task-store.js - 任务持久化存储
+// 保存任务的元数据、进度游标（已发送的批次数和数据项数）和状态变化记录，
+// 服务器重启后任务处理器据此恢复或中断重启前未结束的任务
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * 内存任务存储 - 进程重启后数据丢失
+ */
+class MemoryTaskStore {
+  constructor() {
+    this.tasks = new Map(); // taskId -> 任务记录
+  }
+
+  /**
+   * 保存任务记录（已存在时覆盖）
+   * @param {object} record - 任务记录，必须包含 taskId
+   */
+  save(record) {
+    this.tasks.set(record.taskId, { ...record });
+  }
+
+  /**
+   * 加载所有任务记录
+   * @returns {Array<object>} - 任务记录
+   */
+  loadAll() {
+    return Array.from(this.tasks.values(), record => ({ ...record }));
+  }
+
+  /**
+   * 删除任务记录
+   * @param {Array<string>} taskIds - 任务ID
+   */
+  remove(taskIds) {
+    for (const taskId of taskIds) {
+      this.tasks.delete(taskId);
+    }
+  }
+}
+
+/**
+ * 文件任务存储 - 变更后异步写入JSON文件，进程重启后可恢复
+ * 每次写入整个文件，写入期间的变更合并为下一次写入；进程意外退出时可能丢失最后几次进度更新，
+ * 恢复的任务会从稍早的游标处重新推送少量批次
+ */
+class FileTaskStore extends MemoryTaskStore {
+  /**
+   * @param {object} options - 配置选项
+   * @param {string} options.filePath - 存储文件路径
+   */
+  constructor(options = {}) {
+    super();
+    this.filePath = options.filePath || path.join(__dirname, 'storage', 'tasks.json');
+    this.saving = false; // 正在写入文件
+    this.dirty = false; // 有尚未写入文件的变更
+    this._load();
+  }
+
+  save(record) {
+    super.save(record);
+    this._save();
+  }
+
+  remove(taskIds) {
+    if (taskIds.length > 0) {
+      super.remove(taskIds);
+      this._save();
+    }
+  }
+
+  /**
+   * 从文件加载任务记录
+   * @private
+   */
+  _load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    try {
+      const records = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.tasks = new Map(records.map(record => [record.taskId, record]));
+      console.log(`已加载任务记录: ${this.filePath}`);
+    } catch (error) {
+      console.error('加载任务文件失败:', error.message);
+    }
+  }
+
+  /**
+   * 安排将任务记录写入文件，不阻塞事件循环；写入期间的变更在本次写入完成后合并为一次写入
+   * @private
+   */
+  _save() {
+    this.dirty = true;
+
+    if (!this.saving) {
+      this.saving = true;
+      this._flush().finally(() => {
+        this.saving = false;
+      });
+    }
+  }
+
+  /**
+   * 写入文件直到没有新的变更（先写临时文件再重命名，避免写到一半时损坏）
+   * @private
+   */
+  async _flush() {
+    while (this.dirty) {
+      this.dirty = false;
+
+      try {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+        const tmpPath = `${this.filePath}.tmp`;
+        await fs.promises.writeFile(tmpPath, JSON.stringify(Array.from(this.tasks.values())), 'utf8');
+        await fs.promises.rename(tmpPath, this.filePath);
+      } catch (error) {
+        console.error('保存任务文件失败:', error.message);
+      }
+    }
+  }
+}
+
+/**
+ * SQLite任务存储 - 需要安装 better-sqlite3；每次进度更新只写一行，适合任务较多的场景
+ */
+class SqliteTaskStore {
+  /**
+   * @param {object} options - 配置选项
+   * @param {string} options.filePath - 数据库文件路径
+   */
+  constructor(options = {}) {
+    // 只有使用SQLite存储时才需要加载原生模块
+    const Database = require('better-sqlite3');
+
+    this.filePath = options.filePath || path.join(__dirname, 'storage', 'tasks.db');
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    this.db = new Database(this.filePath);
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS tasks (
+        task_id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        status TEXT NOT NULL,
+        record TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      )
+    `);
+  }
+
+  save(record) {
+    this.db
+      .prepare(`
+        INSERT INTO tasks (task_id, user_id, status, record, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT(task_id) DO UPDATE SET status = excluded.status, record = excluded.record, updated_at = excluded.updated_at
+      `)
+      .run(record.taskId, record.userId, record.status, JSON.stringify(record), record.createdAt, record.updatedAt);
+  }
+
+  loadAll() {
+    return this.db
+      .prepare('SELECT record FROM tasks ORDER BY created_at')
+      .all()
+      .map(row => JSON.parse(row.record));
+  }
+
+  remove(taskIds) {
+    const remove = this.db.prepare('DELETE FROM tasks WHERE task_id = ?');
+    this.db.transaction(() => {
+      for (const taskId of taskIds) {
+        remove.run(taskId);
+      }
+    })();
+  }
+}
+
+/**
+ * 根据类型创建任务存储
+ * @param {string} type - 存储类型 (memory|file|sqlite)
+ * @param {object} options - 配置选项
+ * @returns {MemoryTaskStore|SqliteTaskStore} - 任务存储实例
+ */
+function createTaskStore(type, options = {}) {
+  switch (type) {
+    case 'memory':
+      return new MemoryTaskStore(options);
+
+    case 'file':
+      return new FileTaskStore(options);
+
+    case 'sqlite':
+      return new SqliteTaskStore(options);
+
+    default:
+      throw new Error(`未知的任务存储类型: ${type}`);
+  }
+}
+
+module.exports = {
+  MemoryTaskStore,
+  FileTaskStore,
+  SqliteTaskStore,
+  createTaskStore
+};
@@ -0,0 +1,157 @@
+// tests/backpressure.test.js - 出站队列背压策略的单元测试
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { Outbox, SLOW_CONSUMER_CLOSE_CODE, getMetrics } = require('../../../shared/backpressure');
+
+/**
+ * 模拟发送缓冲区已满的WebSocket连接
+ * @returns {object} - 连接，sent 为已写入的消息，closeCode 为断开时的关闭码
+ */
+function slowSocket() {
+  return {
+    readyState: 1,
+    bufferedAmount: 2 * 1024 * 1024,
+    sent: [],
+    closeCode: null,
+    send(data) {
+      this.sent.push(JSON.parse(data));
+    },
+    close(code) {
+      this.closeCode = code;
+      this.readyState = 3;
+    }
+  };
+}
+
+/**
+ * 创建出站队列，测试结束时关闭
+ * @param {object} t - 测试上下文
+ * @param {WebSocket} ws - 连接
+ * @param {object} options - 出站队列配置
+ * @returns {Outbox} - 出站队列
+ */
+function createOutbox(t, ws, options) {
+  const outbox = new Outbox(ws, { highWaterMark: 1024, maxQueue: 10, ...options });
+  t.after(() => outbox.close());
+  return outbox;
+}
+
+/**
+ * 任务的分批结果推送，与服务器发给会话的消息相同：带有messageId和seq
+ * @param {number} seq - 序列号
+ * @param {string} taskId - 任务ID
+ * @param {number} batchNumber - 批次号
+ * @returns {object} - 推送消息
+ */
+function batchPush(seq, taskId, batchNumber) {
+  return {
+    type: 'data',
+    messageId: `m${seq}`,
+    seq,
+    payload: {
+      taskId,
+      requestId: `r-${taskId}`,
+      status: 'processing',
+      batchNumber,
+      data: { processedItems: batchNumber, progress: batchNumber, isFinal: false, results: [`${taskId}-${batchNumber}`] }
+    }
+  };
+}
+
+/**
+ * 等待出站队列轮询一次
+ * @returns {Promise<void>}
+ */
+function nextFlush() {
+  return new Promise(resolve => setTimeout(resolve, 100));
+}
+
+test('drop_oldest 丢弃最旧的任务推送，慢客户端保持连接', async (t) => {
+  const ws = slowSocket();
+  const outbox = createOutbox(t, ws, { policy: 'drop_oldest' });
+  const before = getMetrics();
+
+  assert.strictEqual(outbox.send({ type: 'auth_success', userId: 'u1', seq: 1 }), true);
+  for (let i = 1; i <= 50; i++) {
+    assert.strictEqual(outbox.send(batchPush(i + 1, 't1', i)), true);
+  }
+
+  assert.strictEqual(ws.closeCode, null);
+  assert.strictEqual(outbox.queue.length, 10);
+  assert.strictEqual(getMetrics().dropped - before.dropped, 41);
+  assert.strictEqual(getMetrics().disconnected, before.disconnected);
+
+  // 控制消息不会被丢弃，缓冲区回落后按顺序发送
+  ws.bufferedAmount = 0;
+  await nextFlush();
+
+  assert.deepStrictEqual(ws.sent.map(message => message.seq), [1, 43, 44, 45, 46, 47, 48, 49, 50, 51]);
+});
+
+test('coalesce 合并同一任务的分批推送，慢客户端保持连接且不丢失结果', async (t) => {
+  const ws = slowSocket();
+  const merges = [];
+  const outbox = createOutbox(t, ws, {
+    policy: 'coalesce',
+    onCoalesce: (older, newer, merged) => merges.push({ older, newer, merged })
+  });
+  const before = getMetrics();
+
+  // 两个任务交替推送
+  for (let i = 1; i <= 50; i++) {
+    assert.strictEqual(outbox.send(batchPush(2 * i - 1, 't1', i)), true);
+    assert.strictEqual(outbox.send(batchPush(2 * i, 't2', i)), true);
+  }
+
+  assert.strictEqual(ws.closeCode, null);
+  assert.ok(outbox.queue.length <= 11);
+  assert.strictEqual(getMetrics().dropped, before.dropped);
+  assert.strictEqual(getMetrics().disconnected, before.disconnected);
+
+  // 合并后的消息沿用较早消息的messageId和seq
+  const { older, newer, merged } = merges[0];
+  assert.strictEqual(merged.messageId, older.messageId);
+  assert.strictEqual(merged.seq, older.seq);
+  assert.strictEqual(merged.payload.batchNumber, newer.payload.batchNumber);
+
+  ws.bufferedAmount = 0;
+  await nextFlush();
+
+  // 序列号递增，每个批次的结果恰好收到一次
+  const seqs = ws.sent.map(message => message.seq);
+  assert.deepStrictEqual(seqs, [...seqs].sort((a, b) => a - b));
+
+  for (const taskId of ['t1', 't2']) {
+    const results = ws.sent
+      .filter(message => message.payload.taskId === taskId)
+      .flatMap(message => message.payload.data.results);
+    assert.deepStrictEqual(results, Array.from({ length: 50 }, (_, i) => `${taskId}-${i + 1}`));
+  }
+});
+
+test('coalesce 移除仍在队列中的重复消息', (t) => {
+  const ws = slowSocket();
+  const merges = [];
+  const outbox = createOutbox(t, ws, { policy: 'coalesce', maxQueue: 1, onCoalesce: () => merges.push(true) });
+  const push = batchPush(1, 't1', 1);
+
+  // 确认超时重发同一条消息
+  outbox.send(push);
+  outbox.send(push);
+
+  assert.strictEqual(outbox.queue.length, 1);
+  assert.strictEqual(outbox.queue[0].payload.data.results.length, 1);
+  assert.strictEqual(merges.length, 0);
+});
+
+test('只有控制消息积压时以慢消费者断开', (t) => {
+  const ws = slowSocket();
+  const outbox = createOutbox(t, ws, { policy: 'drop_oldest', maxQueue: 2 });
+
+  outbox.send({ type: 'pong' });
+  outbox.send({ type: 'pong' });
+
+  assert.strictEqual(outbox.send({ type: 'pong' }), false);
+  assert.strictEqual(ws.closeCode, SLOW_CONSUMER_CLOSE_CODE);
+});
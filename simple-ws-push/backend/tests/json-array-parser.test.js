@@ -0,0 +1,89 @@
+// tests/json-array-parser.test.js - JSON数组增量解析器的单元测试
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { JsonArrayParser } = require('../json-array-parser');
+
+/**
+ * 按给定的文本块解析，返回所有元素解析后的值
+ * @param {Array<string>} chunks - 文本块
+ * @returns {object} - { values, last, parser }，last 为缺少 ] 时未结束的最后一个元素
+ */
+function parseChunks(chunks) {
+  const parser = new JsonArrayParser();
+  const values = [];
+
+  for (const chunk of chunks) {
+    for (const element of parser.write(chunk)) {
+      values.push(JSON.parse(element.text));
+    }
+  }
+
+  const last = parser.end();
+  return { values, last, parser };
+}
+
+test('逐个读出顶层数组的元素', () => {
+  const { values, last } = parseChunks(['[{"a":1}, [1,2], "x", 3, null]']);
+
+  assert.deepStrictEqual(values, [{ a: 1 }, [1, 2], 'x', 3, null]);
+  assert.strictEqual(last, null);
+});
+
+test('字符串中的 , ] } 和转义的引号不影响切分', () => {
+  const text = '[{"s":"a,]}b"},{"s":"\\"],{"},"[,{",{"s":"\\\\"}]';
+  const { values } = parseChunks([text]);
+
+  assert.deepStrictEqual(values, [{ s: 'a,]}b' }, { s: '"],{' }, '[,{', { s: '\\' }]);
+});
+
+test('元素跨文本块时拼接完整', () => {
+  const text = '[{"name":"跨块","tags":["a,b","c]"]},{"n":12345},"转义\\"引号"]';
+  const expected = [{ name: '跨块', tags: ['a,b', 'c]'] }, { n: 12345 }, '转义"引号'];
+
+  // 逐字符输入，文本块在字符串、转义符和嵌套结构的任意位置断开
+  assert.deepStrictEqual(parseChunks(text.split('')).values, expected);
+
+  for (let i = 1; i < text.length; i++) {
+    assert.deepStrictEqual(parseChunks([text.slice(0, i), text.slice(i)]).values, expected, `在位置 ${i} 断开`);
+  }
+});
+
+test('元素的 end 为该元素在文本块中的结束位置', () => {
+  const parser = new JsonArrayParser();
+  const chunk = '[1, 22 ,3]';
+
+  assert.deepStrictEqual(parser.write(chunk).map(element => element.end), [3, 8, 10]);
+});
+
+test('跳过开头的BOM和空白', () => {
+  const { values } = parseChunks(['\uFEFF', ' \n [1,', '2]']);
+
+  assert.deepStrictEqual(values, [1, 2]);
+});
+
+test('缺少结尾的 ] 时由 end 返回最后一个元素', () => {
+  const { values, last, parser } = parseChunks(['[{"a":1},', '{"b":2}\n']);
+
+  assert.deepStrictEqual(values, [{ a: 1 }]);
+  assert.strictEqual(last, '{"b":2}');
+  assert.strictEqual(parser.ended, false);
+});
+
+test('空数组和多余的逗号不产生元素', () => {
+  assert.deepStrictEqual(parseChunks(['[ ]']).values, []);
+  assert.deepStrictEqual(parseChunks(['[1,,2,]']).values, [1, 2]);
+});
+
+test('数组结束后的内容标记为 trailing', () => {
+  const { values, parser } = parseChunks(['[1]\n', '[2]']);
+
+  assert.deepStrictEqual(values, [1]);
+  assert.strictEqual(parser.trailing, true);
+  assert.strictEqual(parseChunks(['[1]\n\n']).parser.trailing, false);
+});
+
+test('不是JSON数组时抛出错误', () => {
+  assert.throws(() => new JsonArrayParser().write('{"a":1}'), /数据不是JSON数组/);
+  assert.throws(() => new JsonArrayParser().end(), /数据不是JSON数组/);
+});
@@ -0,0 +1,91 @@
+// tests/json-file-handler.test.js - 数据文件格式识别和读取的单元测试
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { createJsonFileHandler, detectFormat } = require('../json-file-handler');
+
+test('detectFormat 识别JSON数组', () => {
+  assert.strictEqual(detectFormat('[{"a":1},{"a":2}]'), 'json-array');
+  assert.strictEqual(detectFormat('[\n  {"a":1},\n  {"a":2}\n]\n'), 'json-array');
+  assert.strictEqual(detectFormat('[{"a":1},\n{"a":2}]'), 'json-array');
+  assert.strictEqual(detectFormat('  \n[1, 2, 3]'), 'json-array');
+});
+
+test('detectFormat 识别JSON Lines', () => {
+  assert.strictEqual(detectFormat('{"a":1}\n{"a":2}\n'), 'jsonl');
+  assert.strictEqual(detectFormat('{"a":1}\r\n"x"\r\n'), 'jsonl');
+  assert.strictEqual(detectFormat('"x"\n"y"'), 'jsonl');
+});
+
+test('detectFormat 把第一行是数组的JSON Lines识别为 jsonl', () => {
+  assert.strictEqual(detectFormat('[1,2]\n[3,4]\n'), 'jsonl');
+  assert.strictEqual(detectFormat('["a",{"b":1}]\n{"c":2}\n'), 'jsonl');
+  // 只有一行时是普通的数组
+  assert.strictEqual(detectFormat('[1,2]\n'), 'json-array');
+});
+
+test('detectFormat 识别单个JSON对象', () => {
+  assert.strictEqual(detectFormat('{"a":1}'), 'json-object');
+  assert.strictEqual(detectFormat('{\n  "a": 1,\n  "b": [1, 2]\n}\n'), 'json-object');
+});
+
+test('detectFormat 忽略开头的BOM', () => {
+  assert.strictEqual(detectFormat('\uFEFF[1]'), 'json-array');
+  assert.strictEqual(detectFormat('\uFEFF{"a":1}\n{"a":2}'), 'jsonl');
+  assert.strictEqual(detectFormat('\uFEFF{\n"a": 1\n}'), 'json-object');
+});
+
+/**
+ * 运行处理器读完整个文件
+ * @param {string} filePath - 数据文件路径
+ * @returns {Promise<object>} - { items, progress }，progress 为最后一次报告的进度
+ */
+async function readAll(filePath) {
+  const handler = createJsonFileHandler(filePath);
+  const items = [];
+  let progress = null;
+
+  const context = {
+    signal: new AbortController().signal,
+    resumeFrom: 0,
+    reportProgress: (reported) => {
+      progress = reported;
+    }
+  };
+
+  for await (const batch of handler({}, context)) {
+    items.push(...batch);
+  }
+
+  return { items, progress };
+}
+
+test('读取gzip压缩的数据文件', async (t) => {
+  // 每批10个数据项，测试数据只有一批，不需要等待批次间隔
+  t.mock.method(Math, 'random', () => 0.99);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-file-handler-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const cases = [
+    { name: 'array.json.gz', content: '\uFEFF[{"id":1,"s":",]}"},\n{"id":2}]', type: 'json-array', items: [{ id: 1, s: ',]}' }, { id: 2 }] },
+    { name: 'lines.jsonl.gz', content: '[1,2]\n[3,4]\n', type: 'jsonl', items: [[1, 2], [3, 4]] },
+    { name: 'object.json.gz', content: '{\n  "id": 1\n}\n', type: 'json-object', items: [{ id: 1 }] }
+  ];
+
+  for (const { name, content, type, items: expected } of cases) {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, zlib.gzipSync(content));
+
+    const { items, progress } = await readAll(filePath);
+
+    assert.deepStrictEqual(items, expected, name);
+    assert.deepStrictEqual(progress.format, { type, compression: 'gzip' }, name);
+    assert.strictEqual(progress.totalItems, items.length, name);
+    assert.strictEqual(progress.bytesRead, fs.statSync(filePath).size, name);
+  }
+});
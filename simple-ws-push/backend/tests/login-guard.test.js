@@ -0,0 +1,200 @@
+// tests/login-guard.test.js - 登录保护（shared/login-guard.js）的单元测试
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { LoginGuard } = require('../../../shared/login-guard');
+
+const IP = '10.0.0.1';
+
+/**
+ * 创建测试用的登录保护，不写审计日志
+ * @param {object} options - 覆盖的配置
+ * @returns {LoginGuard} - 登录保护
+ */
+function createGuard(options = {}) {
+  return new LoginGuard({
+    windowMs: 60 * 1000,
+    maxFailuresPerIp: 10,
+    maxFailuresPerUsername: 5,
+    lockoutDuration: 30 * 1000,
+    delayAfter: 2,
+    baseDelay: 100,
+    maxDelay: 1000,
+    ...options
+  });
+}
+
+/**
+ * 固定 Date.now，返回的对象用 tick 推进时间
+ * @param {object} t - 测试上下文
+ * @returns {object} - { tick(ms) }
+ */
+function mockClock(t) {
+  let now = Date.now();
+  t.mock.method(Date, 'now', () => now);
+  return { tick: (ms) => { now += ms; } };
+}
+
+/**
+ * 一次失败的登录：检查后记录失败
+ * @param {LoginGuard} guard - 登录保护
+ * @param {string} username - 用户名
+ * @param {string} [ip] - 客户端IP
+ * @returns {object} - check 的结果
+ */
+function fail(guard, username, ip = IP) {
+  const result = guard.check(ip, username);
+  if (result.allowed) {
+    guard.recordFailure(ip, username);
+  }
+  return result;
+}
+
+test('失败超过 delayAfter 次后逐步延迟，不超过 maxDelay', () => {
+  const guard = createGuard({ maxFailuresPerUsername: 10, maxDelay: 300 });
+  const delays = [];
+
+  for (let i = 0; i < 6; i++) {
+    delays.push(fail(guard, 'alice').delay);
+  }
+
+  assert.deepStrictEqual(delays, [0, 0, 0, 100, 200, 300]);
+});
+
+test('同一用户名失败达到上限后锁定账号', (t) => {
+  const clock = mockClock(t);
+  const guard = createGuard();
+
+  for (let i = 0; i < 5; i++) {
+    assert.strictEqual(fail(guard, 'alice').allowed, true);
+  }
+
+  const locked = guard.check(IP, 'alice');
+  assert.strictEqual(locked.allowed, false);
+  assert.strictEqual(locked.status, 423);
+  assert.strictEqual(locked.code, 'account_locked');
+  assert.strictEqual(locked.retryAfter, 30);
+
+  // 锁定只针对该用户名
+  assert.strictEqual(guard.check(IP, 'bob').allowed, true);
+
+  // 锁定结束后可以再次尝试
+  clock.tick(30 * 1000);
+  assert.strictEqual(guard.check(IP, 'alice').allowed, true);
+});
+
+test('同一IP失败过多时限流', () => {
+  const guard = createGuard({ maxFailuresPerIp: 3 });
+
+  fail(guard, 'a');
+  fail(guard, 'b');
+  fail(guard, 'c');
+
+  const limited = guard.check(IP, 'd');
+  assert.strictEqual(limited.allowed, false);
+  assert.strictEqual(limited.status, 429);
+  assert.strictEqual(limited.code, 'too_many_attempts');
+  assert.ok(limited.retryAfter > 0 && limited.retryAfter <= 60);
+
+  // 其他IP不受影响
+  assert.strictEqual(guard.check('10.0.0.2', 'd').allowed, true);
+});
+
+test('失败记录超出窗口后不再计算', (t) => {
+  const clock = mockClock(t);
+  const guard = createGuard({ maxFailuresPerIp: 3 });
+
+  fail(guard, 'a');
+  fail(guard, 'b');
+  fail(guard, 'c');
+  assert.strictEqual(guard.check(IP, 'd').allowed, false);
+
+  clock.tick(60 * 1000 + 1);
+  assert.strictEqual(guard.check(IP, 'd').allowed, true);
+});
+
+test('并发的尝试按进行中计数，不能超过失败上限', () => {
+  const guard = createGuard();
+  const results = [];
+
+  // 结果出来之前同时发起10次尝试
+  for (let i = 0; i < 10; i++) {
+    results.push(guard.check(IP, 'alice'));
+  }
+
+  const allowed = results.filter(result => result.allowed);
+  assert.strictEqual(allowed.length, 5);
+  assert.deepStrictEqual(allowed.map(result => result.delay), [0, 0, 0, 100, 200]);
+
+  for (const result of results.filter(result => !result.allowed)) {
+    assert.strictEqual(result.status, 429);
+    assert.strictEqual(result.retryAfter, 1);
+  }
+
+  // 进行中的尝试全部失败后账号被锁定
+  for (let i = 0; i < allowed.length; i++) {
+    guard.recordFailure(IP, 'alice');
+  }
+  assert.strictEqual(guard.check(IP, 'alice').status, 423);
+});
+
+test('进行中的尝试也计入IP的上限', () => {
+  const guard = createGuard({ maxFailuresPerIp: 2 });
+
+  assert.strictEqual(guard.check(IP, 'a').allowed, true);
+  assert.strictEqual(guard.check(IP, 'b').allowed, true);
+  assert.strictEqual(guard.check(IP, 'c').status, 429);
+
+  // 结束一次尝试后释放名额
+  guard.recordSuccess(IP, 'a');
+  assert.strictEqual(guard.check(IP, 'c').allowed, true);
+});
+
+test('release 结束进行中的尝试，不计为失败', () => {
+  const guard = createGuard({ maxFailuresPerUsername: 2 });
+
+  for (let i = 0; i < 5; i++) {
+    assert.strictEqual(guard.check(IP, 'alice').allowed, true);
+    guard.release(IP, 'alice');
+  }
+
+  assert.strictEqual(guard.ipPending.size, 0);
+  assert.strictEqual(guard.usernamePending.size, 0);
+  assert.strictEqual(guard.usernameFailures.size, 0);
+});
+
+test('登录成功清除该用户名的失败记录，保留IP的失败记录', () => {
+  const guard = createGuard({ maxFailuresPerIp: 5 });
+
+  for (let i = 0; i < 4; i++) {
+    fail(guard, 'alice');
+  }
+  assert.strictEqual(guard.check(IP, 'alice').delay, 200);
+  guard.recordSuccess(IP, 'alice');
+
+  assert.strictEqual(guard.check(IP, 'alice').delay, 0);
+  guard.recordSuccess(IP, 'alice');
+
+  fail(guard, 'bob');
+  assert.strictEqual(guard.check(IP, 'carol').status, 429);
+});
+
+test('purgeExpired 清除过期的失败记录和锁定', (t) => {
+  const clock = mockClock(t);
+  const guard = createGuard();
+
+  for (let i = 0; i < 5; i++) {
+    fail(guard, 'alice');
+  }
+  fail(guard, 'bob');
+
+  assert.strictEqual(guard.lockedUntil.size, 1);
+  assert.strictEqual(guard.usernameFailures.size, 1);
+
+  clock.tick(60 * 1000 + 1);
+  guard.purgeExpired();
+
+  assert.strictEqual(guard.lockedUntil.size, 0);
+  assert.strictEqual(guard.usernameFailures.size, 0);
+  assert.strictEqual(guard.ipFailures.size, 0);
+});
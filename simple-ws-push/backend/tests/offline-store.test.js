@@ -0,0 +1,69 @@
+// tests/offline-store.test.js - 离线消息存储的单元测试
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createOfflineStore } = require('../../../shared/offline-store');
+
+/**
+ * 创建临时目录，测试结束时删除
+ * @param {object} t - 测试上下文
+ * @returns {string} - 目录路径
+ */
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'offline-store-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * 检查存储按入队顺序补发、超出上限时丢弃最旧的消息、取出后清空
+ * @param {object} store - 离线消息存储
+ */
+function assertInboxBehaviour(store) {
+  for (let i = 1; i <= 4; i++) {
+    store.push('u1', { type: 'data', n: i });
+  }
+  store.push('u2', { type: 'data', n: 0 });
+
+  const messages = store.drain('u1');
+
+  assert.deepStrictEqual(messages.map(message => message.n), [2, 3, 4]);
+  assert.ok(messages.every(message => typeof message.queuedAt === 'number'));
+  assert.deepStrictEqual(store.drain('u1'), []);
+  assert.strictEqual(store.drain('u2').length, 1);
+}
+
+test('内存存储按顺序补发离线消息', () => {
+  assertInboxBehaviour(createOfflineStore('memory', { maxPerUser: 3 }));
+});
+
+test('文件存储异步写入，关闭时写入尚未保存的变更', async (t) => {
+  const filePath = path.join(tempDir(t), 'offline-inbox.json');
+  const store = createOfflineStore('file', { filePath, maxPerUser: 3 });
+
+  assertInboxBehaviour(store);
+  store.push('u1', { type: 'data', n: 5 });
+
+  assert.strictEqual(fs.existsSync(filePath), false);
+
+  store.close();
+
+  const saved = () => JSON.parse(fs.readFileSync(filePath, 'utf8')).u1.map(entry => entry.message.n);
+  assert.deepStrictEqual(saved(), [5]);
+
+  // 关闭前开始的异步写入结束后不会用旧内容覆盖文件
+  while (store.saving) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  assert.deepStrictEqual(saved(), [5]);
+  assert.strictEqual(createOfflineStore('file', { filePath }).inbox.get('u1').length, 1);
+});
+
+test('文件和SQLite存储需要文件路径', () => {
+  assert.throws(() => createOfflineStore('file'), /缺少离线消息文件路径/);
+  assert.throws(() => createOfflineStore('sqlite', { filePath: 'x.db' }), /loadDatabase/);
+  assert.throws(() => createOfflineStore('redis'), /未知的离线存储类型/);
+});
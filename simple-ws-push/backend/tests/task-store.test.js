@@ -0,0 +1,63 @@
+// tests/task-store.test.js - 文件任务存储的单元测试
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileTaskStore } = require('../task-store');
+
+/**
+ * 等待文件存储写完所有变更
+ * @param {FileTaskStore} store - 任务存储
+ * @returns {Promise<void>}
+ */
+async function settled(store) {
+  while (store.saving) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+/**
+ * 创建临时目录中的文件任务存储
+ * @param {object} t - 测试上下文
+ * @returns {string} - 存储文件路径
+ */
+function tempStorePath(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'task-store-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'tasks.json');
+}
+
+test('save 不同步写入文件，连续的变更合并写入', async (t) => {
+  const filePath = tempStorePath(t);
+  const store = new FileTaskStore({ filePath });
+  const writes = t.mock.method(fs.promises, 'writeFile');
+
+  for (let batch = 1; batch <= 100; batch++) {
+    store.save({ taskId: 't1', userId: 'u1', status: 'processing', batchesSent: batch });
+  }
+
+  assert.strictEqual(fs.existsSync(filePath), false);
+
+  await settled(store);
+
+  assert.ok(writes.mock.callCount() <= 2, `写入了 ${writes.mock.callCount()} 次`);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')), [
+    { taskId: 't1', userId: 'u1', status: 'processing', batchesSent: 100 }
+  ]);
+});
+
+test('重新打开时加载最后写入的任务记录', async (t) => {
+  const filePath = tempStorePath(t);
+  const store = new FileTaskStore({ filePath });
+
+  store.save({ taskId: 't1', userId: 'u1', status: 'completed' });
+  store.save({ taskId: 't2', userId: 'u2', status: 'processing' });
+  store.remove(['t1']);
+  await settled(store);
+
+  assert.deepStrictEqual(new FileTaskStore({ filePath }).loadAll(), [
+    { taskId: 't2', userId: 'u2', status: 'processing' }
+  ]);
+});
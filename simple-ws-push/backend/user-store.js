@@ -0,0 +1,26 @@
+// user-store.js - 用户存储
+// 实现在 shared/user-store.js，与消息队列版共用同一个存储；这里传入本服务器的角色配置和SQLite驱动
+
+const shared = require('../../shared/user-store');
+const { ROLE_SCOPES, DEFAULT_ROLE } = require('./permissions');
+
+/**
+ * 根据类型创建用户存储
+ * @param {string} type - 存储类型 (json|sqlite)
+ * @param {object} options - 配置选项
+ * @param {string} options.filePath - 存储文件路径，默认与消息队列版共用 shared/storage/ 下的文件
+ * @returns {object} - 用户存储实例
+ */
+function createUserStore(type, options = {}) {
+  return shared.createUserStore(type, {
+    ...options,
+    roles: ROLE_SCOPES,
+    defaultRole: DEFAULT_ROLE,
+    loadDatabase: () => require('better-sqlite3')
+  });
+}
+
+module.exports = {
+  ...shared,
+  createUserStore
+};
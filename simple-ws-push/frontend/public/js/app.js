@@ -16,6 +16,8 @@ document.addEventListener('DOMContentLoaded', function() {
       requestForm: document.getElementById('request-form'),
       requestCard: document.getElementById('request-card'),
       loggedUser: document.getElementById('logged-user'),
+      logoutButton: document.getElementById('logout-button'),
+      cancelRequest: document.getElementById('cancel-request'),
       messages: document.getElementById('messages'),
       clearMessages: document.getElementById('clear-messages'),
       pushData: document.getElementById('push-data')
@@ -24,7 +26,9 @@ document.addEventListener('DOMContentLoaded', function() {
     // 应用状态
     const state = {
       token: localStorage.getItem('auth_token'), // 从本地存储获取令牌
+      refreshToken: localStorage.getItem('refresh_token'), // 刷新令牌，访问令牌过期前用于换取新令牌
       wsClient: null, // WebSocket客户端实例
+      activeRequestId: null, // 正在进行的数据请求，可以取消
       userId: null    // 用户ID
     };
     
@@ -34,7 +38,9 @@ document.addEventListener('DOMContentLoaded', function() {
     function initWebSocketClient() {
       state.wsClient = new WSClient(config.wsUrl, {
         heartbeatInterval: 25000, // 25秒发送一次心跳
+        encoding: 'msgpack', // 图操作数据较大，优先使用二进制编码
         authToken: state.token,  // 自动使用令牌认证
+        getToken: refreshAccessToken, // 令牌即将过期时换取新令牌
         
         // 连接成功回调
         onConnect: () => {
@@ -66,8 +72,17 @@ document.addEventListener('DOMContentLoaded', function() {
         onAuthFailure: (data) => {
           logMessage(`认证失败: ${data.message}`, 'error');
           // 清除无效的令牌
-          localStorage.removeItem('auth_token');
-          state.token = null;
+          clearTokens();
+        },
+        
+        // 管理员公告回调
+        onAnnouncement: (data) => {
+          logMessage(`公告: ${data.message}`, 'info');
+        },
+        
+        // 不属于任何请求的服务器错误
+        onError: (error) => {
+          logMessage(`服务器错误 (${error.code}): ${error.message}`, 'error');
         },
         
         // 消息接收回调
@@ -141,8 +156,7 @@ document.addEventListener('DOMContentLoaded', function() {
         logMessage('登录成功', 'success');
         
         // 保存令牌
-        state.token = data.token;
-        localStorage.setItem('auth_token', data.token);
+        saveTokens(data);
         
         // 如果WebSocket客户端已存在，则进行认证
         if (state.wsClient) {
@@ -157,6 +171,80 @@ document.addEventListener('DOMContentLoaded', function() {
       }
     }
     
+    /**
+     * 保存访问令牌和刷新令牌
+     * @param {object} data - 登录或刷新接口的响应
+     */
+    function saveTokens(data) {
+      state.token = data.token;
+      state.refreshToken = data.refreshToken;
+      localStorage.setItem('auth_token', data.token);
+      localStorage.setItem('refresh_token', data.refreshToken);
+    }
+    
+    /**
+     * 清除保存的令牌
+     */
+    function clearTokens() {
+      state.token = null;
+      state.refreshToken = null;
+      localStorage.removeItem('auth_token');
+      localStorage.removeItem('refresh_token');
+    }
+    
+    /**
+     * 用刷新令牌换取新的访问令牌
+     * @returns {Promise<string|null>} - 新的访问令牌，刷新失败返回null
+     */
+    async function refreshAccessToken() {
+      if (!state.refreshToken) {
+        return null;
+      }
+      
+      const response = await fetch(`${config.apiUrl}/api/token/refresh`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ refreshToken: state.refreshToken })
+      });
+      
+      if (!response.ok) {
+        logMessage('刷新令牌已失效，请重新登录', 'error');
+        clearTokens();
+        return null;
+      }
+      
+      const data = await response.json();
+      saveTokens(data);
+      logMessage('已刷新认证令牌', 'info');
+      return data.token;
+    }
+    
+    /**
+     * 处理退出登录按钮点击，吊销令牌后服务器会断开当前连接
+     */
+    async function handleLogout() {
+      try {
+        await fetch(`${config.apiUrl}/api/logout`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${state.token}`
+          },
+          body: JSON.stringify({ refreshToken: state.refreshToken })
+        });
+      } catch (error) {
+        logMessage(`退出登录错误: ${error.message}`, 'error');
+      }
+      
+      clearTokens();
+      state.userId = null;
+      elements.loggedUser.textContent = '未登录';
+      elements.requestCard.style.display = 'none';
+      logMessage('已退出登录', 'info');
+    }
+    
     /**
      * 处理数据请求表单提交
      * @param {Event} event - 表单提交事件
@@ -166,15 +254,18 @@ document.addEventListener('DOMContentLoaded', function() {
       
       const dataType = document.getElementById('data-type').value;
       const detailLevel = document.getElementById('detail-level').value;
+      const priority = document.getElementById('priority').value;
       
       // 生成请求ID
       const requestId = 'req-' + Date.now();
       
       logMessage(`发送数据请求 (${requestId})...`, 'info');
+      setActiveRequest(requestId);
       
       // 发送请求
       state.wsClient.requestData(requestId, {
         dataType,
+        priority,
         options: {
           detail: detailLevel
         }
@@ -184,15 +275,27 @@ document.addEventListener('DOMContentLoaded', function() {
           logMessage(`请求已接受: ${data.message} (任务ID: ${data.taskId})`, 'success');
         },
         
+        // 排队回调，排队位置变化时也会调用
+        onQueued: (data) => {
+          logMessage(`请求排队中，第 ${data.queuePosition} 位`, 'info');
+        },
+        
         // 数据接收回调
         // 在app.js中的onData回调中添加以下逻辑
         onData: (data) => {
+          // 第一批带有数据文件的格式
+          if (data.data.format) {
+            const { type, compression } = data.data.format;
+            logMessage(`数据格式: ${type}${compression ? ` (${compression})` : ''}`, 'info');
+          }
+          
           // 显示这批数据
           logMessage(`收到批次 ${data.batchNumber}，进度: ${data.data.progress}%`, 'success');
           
           // 更新UI显示
           if (data.data.isFinal) {
             // 最终批次
+            setActiveRequest(null);
             elements.pushData.textContent = JSON.stringify(data, null, 2);
           } else {
             // 非最终批次，追加或更新显示
@@ -214,15 +317,44 @@ document.addEventListener('DOMContentLoaded', function() {
           }
         },
         
+        // 取消回调
+        onCancelled: () => {
+          logMessage(`请求已取消 (${requestId})`, 'info');
+          setActiveRequest(null);
+        },
+        
         // 错误回调
-        onError: (data) => {
-          logMessage(`请求错误: ${data.message}`, 'error');
+        onError: (error) => {
+          setActiveRequest(null);
+          if (error instanceof WSPermissionError) {
+            logMessage(`没有权限: ${error.message}`, 'error');
+          } else {
+            logMessage(`请求错误 (${error.code}): ${error.message}`, 'error');
+          }
         },
         
         once: true // 一次性回调
       });
     }
     
+    /**
+     * 记录正在进行的请求，有请求时才允许取消
+     * @param {string|null} requestId - 请求ID
+     */
+    function setActiveRequest(requestId) {
+      state.activeRequestId = requestId;
+      elements.cancelRequest.disabled = !requestId;
+    }
+    
+    /**
+     * 处理取消请求按钮点击
+     */
+    function handleCancelRequest() {
+      if (state.activeRequestId && state.wsClient.cancelRequest(state.activeRequestId)) {
+        logMessage(`正在取消请求 (${state.activeRequestId})...`, 'info');
+      }
+    }
+    
     /**
      * 处理清除消息按钮点击
      */
@@ -234,7 +366,9 @@ document.addEventListener('DOMContentLoaded', function() {
     // 注册事件监听器
     elements.loginForm.addEventListener('submit', handleLogin);
     elements.requestForm.addEventListener('submit', handleRequestData);
+    elements.cancelRequest.addEventListener('click', handleCancelRequest);
     elements.clearMessages.addEventListener('click', handleClearMessages);
+    elements.logoutButton.addEventListener('click', handleLogout);
     
     /**
      * 应用初始化
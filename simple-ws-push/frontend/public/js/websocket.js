@@ -1,3 +1,82 @@
+/**
+ * 服务器返回的错误码，与后端 protocol.js 中的 ERROR_CODES 一致
+ */
+const WS_ERROR_CODES = {
+  BAD_JSON: 'E_BAD_JSON', // 消息无法解码
+  UNKNOWN_TYPE: 'E_UNKNOWN_TYPE', // 未知的消息类型
+  BAD_PAYLOAD: 'E_BAD_PAYLOAD', // 消息字段不符合协议
+  UNKNOWN_DATA_TYPE: 'E_UNKNOWN_DATA_TYPE', // 请求的数据类型不存在
+  UNAUTHENTICATED: 'E_UNAUTHENTICATED', // 需要先认证
+  INVALID_CREDENTIALS: 'E_INVALID_CREDENTIALS', // 令牌或API密钥无效
+  FORBIDDEN: 'E_FORBIDDEN', // 权限不足
+  NOT_SUBSCRIBED: 'E_NOT_SUBSCRIBED', // 取消订阅未订阅的频道
+  TASK_NOT_FOUND: 'E_TASK_NOT_FOUND', // 要取消的任务不存在或已结束
+  SESSION_NOT_FOUND: 'E_SESSION_NOT_FOUND', // 要恢复的会话不存在或已过期
+  INTERNAL: 'E_INTERNAL' // 服务器内部错误
+};
+
+/**
+ * 服务器返回的错误，按错误码分为以下子类，可用 instanceof 区分
+ */
+class WSError extends Error {
+  /**
+   * @param {string} code - 错误码
+   * @param {string} message - 错误描述
+   * @param {object} data - 服务器返回的消息
+   */
+  constructor(code, message, data = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.requestId = data.requestId || null;
+    this.details = data.details || [];
+    this.data = data;
+  }
+
+  /**
+   * 根据服务器消息创建对应类型的错误
+   * @param {object} data - error、auth_failure等带有code的消息
+   * @returns {WSError} - 错误实例
+   */
+  static fromMessage(data) {
+    const ErrorClass = WS_ERROR_CLASSES[data.code] || WSError;
+    return new ErrorClass(data.code || null, data.message || '未知错误', data);
+  }
+}
+
+// 客户端发送的消息不符合协议，通常是客户端的bug
+class WSProtocolError extends WSError {}
+
+// 未认证或凭据无效
+class WSAuthenticationError extends WSError {}
+
+// 权限不足
+class WSPermissionError extends WSError {}
+
+// 取消订阅未订阅的频道
+class WSSubscriptionError extends WSError {}
+
+// 要取消的任务不存在或已结束
+class WSTaskError extends WSError {}
+
+// 服务器内部错误，可以稍后重试
+class WSServerError extends WSError {}
+
+// 错误码 -> 错误类型
+const WS_ERROR_CLASSES = {
+  [WS_ERROR_CODES.BAD_JSON]: WSProtocolError,
+  [WS_ERROR_CODES.UNKNOWN_TYPE]: WSProtocolError,
+  [WS_ERROR_CODES.BAD_PAYLOAD]: WSProtocolError,
+  [WS_ERROR_CODES.UNKNOWN_DATA_TYPE]: WSProtocolError,
+  [WS_ERROR_CODES.UNAUTHENTICATED]: WSAuthenticationError,
+  [WS_ERROR_CODES.INVALID_CREDENTIALS]: WSAuthenticationError,
+  [WS_ERROR_CODES.SESSION_NOT_FOUND]: WSAuthenticationError,
+  [WS_ERROR_CODES.FORBIDDEN]: WSPermissionError,
+  [WS_ERROR_CODES.NOT_SUBSCRIBED]: WSSubscriptionError,
+  [WS_ERROR_CODES.TASK_NOT_FOUND]: WSTaskError,
+  [WS_ERROR_CODES.INTERNAL]: WSServerError
+};
+
 /**
  * WebSocket客户端封装类
  * 负责管理WebSocket连接、认证、心跳和重连
@@ -17,12 +96,18 @@ class WSClient {
         reconnectInterval: options.reconnectInterval || 3000, // 重连间隔（毫秒）
         heartbeatInterval: options.heartbeatInterval || 30000, // 心跳间隔（毫秒）
         authToken: options.authToken || null, // 认证令牌
+        acks: options.acks !== false, // 是否确认收到的推送（至少一次投递）
+        encoding: options.encoding || 'json', // 消息编码 (json|msgpack)，msgpack需要先加载MessagePack库
+        handshakeAuth: options.handshakeAuth || false, // 是否在握手时通过?token=认证，而不是连接后发送认证消息
+        getToken: options.getToken || null, // 获取新令牌的函数（可返回Promise），令牌即将过期时调用
         onMessage: options.onMessage || this._defaultMessageHandler, // 消息回调
         onReconnect: options.onReconnect || (() => {}), // 重连回调
         onConnect: options.onConnect || (() => {}), // 连接回调
         onDisconnect: options.onDisconnect || (() => {}), // 断开回调
         onAuthSuccess: options.onAuthSuccess || (() => {}), // 认证成功回调
-        onAuthFailure: options.onAuthFailure || (() => {}) // 认证失败回调
+        onAuthFailure: options.onAuthFailure || (() => {}), // 认证失败回调，参数为服务器消息和WSAuthenticationError
+        onAnnouncement: options.onAnnouncement || (() => {}), // 管理员公告回调
+        onError: options.onError || (error => console.error('服务器错误:', error)) // 不属于任何请求的错误回调，参数为WSError
       };
       
       // 内部状态
@@ -32,10 +117,17 @@ class WSClient {
       this.authenticated = false; // 是否已认证
       this.isConnecting = false; // 是否正在连接
       this.userId = null; // 用户ID
+      this.tokenExpiresAt = null; // 当前令牌的过期时间（毫秒时间戳）
+      this.sessionId = null; // 推送会话ID，用于断线后恢复
+      this.lastSeq = 0; // 最后收到的消息序列号
+      this.recentMessageIds = new Set(); // 最近处理过的推送ID，用于去重
       
       // 保存请求回调的映射
       this.requestCallbacks = new Map();
       
+      // 频道订阅映射: topic -> 消息处理函数
+      this.subscriptions = new Map();
+      
       // 如果没有明确禁用自动连接，则立即连接
       if (options.autoConnect !== false) {
         this.connect();
@@ -57,8 +149,12 @@ class WSClient {
       
       this.isConnecting = true;
       
-      // 创建新的WebSocket连接
-      this.socket = new WebSocket(this.baseUrl);
+      // 创建新的WebSocket连接，通过子协议协商编码，服务器不支持msgpack时回退到JSON
+      const protocols = this.options.encoding === 'msgpack' && typeof MessagePack !== 'undefined'
+        ? ['push.msgpack.v1', 'push.json.v1']
+        : ['push.json.v1'];
+      this.socket = new WebSocket(this._buildUrl(), protocols);
+      this.socket.binaryType = 'arraybuffer';
       
       // 设置事件处理器
       this.socket.onopen = this._handleOpen.bind(this);
@@ -67,6 +163,21 @@ class WSClient {
       this.socket.onerror = this._handleError.bind(this);
     }
     
+    /**
+     * 构造连接地址，启用握手认证时附带令牌
+     * 恢复会话时令牌随resume消息发送，不放在地址中
+     * @private
+     * @returns {string} - WebSocket地址
+     */
+    _buildUrl() {
+      if (!this.options.handshakeAuth || !this.options.authToken || this.sessionId) {
+        return this.baseUrl;
+      }
+      
+      const separator = this.baseUrl.includes('?') ? '&' : '?';
+      return `${this.baseUrl}${separator}token=${encodeURIComponent(this.options.authToken)}&acks=${this.options.acks}`;
+    }
+    
     /**
      * 处理连接打开事件
      * @private
@@ -76,8 +187,16 @@ class WSClient {
       this.isConnecting = false;
       this.reconnectAttempts = 0;
       
-      // 如果有认证令牌，自动进行认证
-      if (this.options.authToken) {
+      // 如果有认证令牌，自动进行认证；已有会话时请求恢复会话以补收断线期间的消息
+      if (this.options.authToken && this.sessionId) {
+        this.send({
+          type: 'resume',
+          token: this.options.authToken,
+          sessionId: this.sessionId,
+          lastSeq: this.lastSeq,
+          acks: this.options.acks
+        });
+      } else if (this.options.authToken && !this.options.handshakeAuth) {
         this.authenticate(this.options.authToken);
       }
       
@@ -95,23 +214,94 @@ class WSClient {
      */
     _handleMessage(event) {
       try {
-        const data = JSON.parse(event.data);
+        // msgpack编码的消息以二进制帧传输
+        const data = event.data instanceof ArrayBuffer
+          ? MessagePack.decode(new Uint8Array(event.data))
+          : JSON.parse(event.data);
+        
+        // 丢弃已处理过的消息（重放或重发），但仍需再次确认，否则服务器会继续重发
+        if (this._isDuplicate(data)) {
+          this._ack(data);
+          return;
+        }
         
         // 根据消息类型处理
         switch (data.type) {
           case 'auth_success':
-            // 认证成功
+          case 'resumed':
+            // 认证成功或会话已恢复
             this.authenticated = true;
             this.userId = data.userId;
-            console.log('认证成功，用户ID:', data.userId);
+            this.tokenExpiresAt = data.expiresAt || null;
+            if (data.type === 'auth_success') {
+              this.sessionId = data.sessionId;
+              this.lastSeq = data.seq || 0;
+              console.log('认证成功，用户ID:', data.userId);
+            } else {
+              console.log(`会话已恢复，补发 ${data.replayed} 条消息`);
+              if (!data.complete) {
+                console.warn('部分断线期间的消息已丢失');
+              }
+            }
+            
+            // 重连后服务端的订阅已丢失，重新订阅所有频道
+            for (const topic of this.subscriptions.keys()) {
+              this.send({ type: 'subscribe', topic });
+            }
+            
             this.options.onAuthSuccess(data);
             break;
             
+          case 'resume_failed':
+            // 会话已失效，服务器会继续按普通认证处理
+            console.warn('会话恢复失败:', data.message);
+            this.sessionId = null;
+            this.lastSeq = 0;
+            break;
+            
+          case 'token_expiring':
+            // 令牌即将过期，获取新令牌后在当前连接上刷新
+            console.warn('认证令牌即将过期');
+            this.refreshToken();
+            break;
+            
+          case 'reauth_success':
+            this.tokenExpiresAt = data.expiresAt || null;
+            console.log('令牌已刷新');
+            break;
+            
+          case 'reauth_failure':
+            console.error(`令牌刷新失败 (${data.code}):`, data.message);
+            break;
+            
+          case 'token_expired':
+            // 服务器随后会以4002关闭连接，重连前会先获取新令牌
+            console.warn('认证令牌已过期');
+            break;
+            
+          case 'token_revoked':
+            // 令牌已被吊销（如已退出登录），服务器随后会以4003关闭连接，之后不再使用该令牌
+            console.warn('认证令牌已被吊销');
+            this.options.authToken = null;
+            this.sessionId = null;
+            this.lastSeq = 0;
+            break;
+            
+          case 'announcement':
+            // 管理员发送的公告
+            this.options.onAnnouncement(data);
+            break;
+            
+          case 'disconnected':
+            // 连接被管理员断开，服务器随后会以4004关闭连接，之后不再自动重连
+            console.warn('连接已被管理员断开:', data.reason);
+            break;
+            
           case 'auth_failure':
             // 认证失败
             this.authenticated = false;
-            console.error('认证失败:', data.message);
-            this.options.onAuthFailure(data);
+            console.error(`认证失败 (${data.code}):`, data.message);
+            this.options.onAuthFailure(data, WSError.fromMessage(data));
             break;
             
           case 'ping':
@@ -127,41 +317,74 @@ class WSClient {
             // 请求已被接受
             if (data.requestId && this.requestCallbacks.has(data.requestId)) {
               const callback = this.requestCallbacks.get(data.requestId);
+              callback.taskId = data.taskId; // 取消请求时使用
               if (callback.onAccepted) {
                 callback.onAccepted(data);
               }
             }
             break;
             
+          case 'subscribed':
+          case 'unsubscribed':
+            console.log(`频道 ${data.topic} ${data.type === 'subscribed' ? '订阅' : '取消订阅'}成功`);
+            break;
+            
           case 'data':
+            // 收到频道推送数据
+            if (data.channel && this.subscriptions.has(data.channel)) {
+              this.subscriptions.get(data.channel)(data.payload, data);
+            }
+            
+            // 请求已被取消，这是该请求的最后一条推送
+            if (data.payload && data.payload.status === 'cancelled' && this.requestCallbacks.has(data.payload.requestId)) {
+              const callback = this.requestCallbacks.get(data.payload.requestId);
+              this.requestCallbacks.delete(data.payload.requestId);
+              if (callback.onCancelled) {
+                callback.onCancelled(data.payload);
+              }
+              break;
+            }
+            
+            // 请求在服务器排队，排队位置变化时也会收到
+            if (data.payload && data.payload.status === 'queued' && this.requestCallbacks.has(data.payload.requestId)) {
+              const callback = this.requestCallbacks.get(data.payload.requestId);
+              if (callback.onQueued) {
+                callback.onQueued(data.payload);
+              }
+              break;
+            }
+            
             // 收到推送数据
             if (data.payload && data.payload.requestId && this.requestCallbacks.has(data.payload.requestId)) {
               const callback = this.requestCallbacks.get(data.payload.requestId);
               if (callback.onData) {
                 callback.onData(data.payload);
                 
-                // 如果是一次性回调，则移除
-                if (callback.once) {
+                // 一次性回调在请求结束（最后一批或出错）后移除，分批推送期间保留以便取消
+                if (callback.once && data.payload.status !== 'processing') {
                   this.requestCallbacks.delete(data.payload.requestId);
                 }
               }
             }
             break;
             
-          case 'error':
-            // 错误消息
-            if (data.requestId && this.requestCallbacks.has(data.requestId)) {
-              const callback = this.requestCallbacks.get(data.requestId);
-              if (callback.onError) {
-                callback.onError(data);
-                
-                // 错误通常表示请求结束
-                if (callback.once) {
-                  this.requestCallbacks.delete(data.requestId);
-                }
+          case 'error': {
+            // 错误消息，按错误码转换为对应类型的错误
+            const error = WSError.fromMessage(data);
+            const callback = data.requestId && this.requestCallbacks.get(data.requestId);
+            
+            if (callback && callback.onError) {
+              callback.onError(error);
+              
+              // 错误通常表示请求结束
+              if (callback.once) {
+                this.requestCallbacks.delete(data.requestId);
               }
+            } else {
+              this.options.onError(error);
             }
             break;
+          }
             
           default:
             console.log('收到未知类型消息:', data);
@@ -169,11 +392,57 @@ class WSClient {
         
         // 调用全局消息处理回调
         this.options.onMessage(data);
+        
+        // 处理完成后确认推送
+        this._ack(data);
       } catch (error) {
         console.error('处理消息时出错:', error);
       }
     }
     
+    /**
+     * 检查消息是否已处理过，并记录新消息的序列号和ID
+     * @private
+     * @param {object} data - 收到的消息
+     * @returns {boolean} - 是否为重复消息
+     */
+    _isDuplicate(data) {
+      if (typeof data.seq === 'number') {
+        if (data.seq <= this.lastSeq) {
+          return true;
+        }
+        this.lastSeq = data.seq;
+      }
+      
+      if (data.messageId) {
+        if (this.recentMessageIds.has(data.messageId)) {
+          return true;
+        }
+        this.recentMessageIds.add(data.messageId);
+        
+        // 只保留最近的1000个ID
+        if (this.recentMessageIds.size > 1000) {
+          this.recentMessageIds.delete(this.recentMessageIds.values().next().value);
+        }
+      }
+      
+      return false;
+    }
+    
+    /**
+     * 确认收到带有messageId的推送
+     * @private
+     * @param {object} data - 收到的消息
+     */
+    _ack(data) {
+      if (this.options.acks && data.messageId) {
+        this.send({
+          type: 'ack',
+          messageId: data.messageId
+        });
+      }
+    }
+    
     /**
      * 处理连接关闭事件
      * @private
@@ -187,6 +456,17 @@ class WSClient {
       console.log(`WebSocket连接已关闭: ${event.code} ${event.reason}`);
       this.options.onDisconnect(event);
       
+      // 被管理员断开的连接不再自动重连
+      if (event.code === 4004) {
+        return;
+      }
+      
+      // 因令牌过期被关闭时，先获取新令牌再重连，否则会话无法恢复
+      if (event.code === 4002 && this.options.getToken) {
+        this._fetchToken().then(() => this._reconnect());
+        return;
+      }
+      
       // 自动重连
       this._reconnect();
     }
@@ -247,6 +527,26 @@ class WSClient {
       }, delay);
     }
     
+    /**
+     * 通过getToken获取新令牌并保存
+     * @private
+     * @returns {Promise<string|null>} - 新令牌，获取失败时为null
+     */
+    _fetchToken() {
+      return Promise.resolve()
+        .then(() => this.options.getToken())
+        .then(token => {
+          if (token) {
+            this.options.authToken = token;
+          }
+          return token || null;
+        })
+        .catch(error => {
+          console.error('获取新令牌失败:', error);
+          return null;
+        });
+    }
+    
     /**
      * 默认消息处理函数
      * @private
@@ -264,16 +564,44 @@ class WSClient {
     authenticate(token) {
       this.options.authToken = token;
       
+      // 服务器会为本次认证创建新会话
+      this.sessionId = null;
+      this.lastSeq = 0;
+      
       return this.send({
         type: 'auth',
-        token: token
+        token: token,
+        acks: this.options.acks
+      });
+    }
+    
+    /**
+     * 在当前连接上刷新令牌，不需要重新连接
+     * @param {string} [token] - 新令牌，省略时通过getToken获取
+     * @returns {Promise<boolean>} - 是否成功发送刷新请求
+     */
+    refreshToken(token) {
+      const tokenPromise = token
+        ? Promise.resolve(token)
+        : (this.options.getToken ? this._fetchToken() : Promise.resolve(null));
+      
+      return tokenPromise.then(newToken => {
+        if (!newToken || !this.authenticated) {
+          return false;
+        }
+        
+        this.options.authToken = newToken;
+        return this.send({
+          type: 'reauth',
+          token: newToken
+        });
       });
     }
     
     /**
      * 请求数据
      * @param {string} requestId - 请求ID
-     * @param {object} params - 请求参数
+     * @param {object} params - 请求参数 { dataType, options, channel, priority }，priority 为 low|normal|high
      * @param {object} callbacks - 回调函数集合
      * @returns {boolean} - 是否成功发送请求
      */
@@ -281,7 +609,7 @@ class WSClient {
       if (!this.authenticated) {
         console.error('无法请求数据: 未认证');
         if (callbacks.onError) {
-          callbacks.onError({ message: '未认证' });
+          callbacks.onError(new WSAuthenticationError(WS_ERROR_CODES.UNAUTHENTICATED, '未认证', { requestId }));
         }
         return false;
       }
@@ -291,7 +619,10 @@ class WSClient {
         onAccepted: callbacks.onAccepted,
         onData: callbacks.onData,
         onError: callbacks.onError,
-        once: callbacks.once !== false
+        onCancelled: callbacks.onCancelled,
+        onQueued: callbacks.onQueued,
+        once: callbacks.once !== false,
+        taskId: null
       });
       
       // 发送请求
@@ -299,7 +630,64 @@ class WSClient {
         type: 'request_data',
         requestId: requestId,
         dataType: params.dataType || 'default',
-        options: params.options || {}
+        options: params.options || {},
+        channel: params.channel,
+        priority: params.priority
+      });
+    }
+    
+    /**
+     * 取消请求，服务器停止处理后通过请求的onCancelled回调通知
+     * @param {string} requestId - 请求ID
+     * @returns {boolean} - 是否成功发送取消请求
+     */
+    cancelRequest(requestId) {
+      if (!this.authenticated) {
+        return false;
+      }
+      
+      // 请求已被接受时按任务ID取消，否则由服务器按请求ID查找任务
+      const callback = this.requestCallbacks.get(requestId);
+      const message = callback && callback.taskId
+        ? { type: 'cancel_task', taskId: callback.taskId, requestId }
+        : { type: 'cancel_task', requestId };
+      
+      return this.send(message);
+    }
+    
+    /**
+     * 订阅频道
+     * @param {string} topic - 频道名称
+     * @param {function} handler - 收到该频道数据时的回调
+     * @returns {boolean} - 是否成功发送请求
+     */
+    subscribe(topic, handler = () => {}) {
+      this.subscriptions.set(topic, handler);
+      
+      // 未认证时只记录订阅，认证成功后自动发送
+      if (!this.authenticated) {
+        return false;
+      }
+      
+      return this.send({
+        type: 'subscribe',
+        topic: topic
+      });
+    }
+    
+    /**
+     * 取消订阅频道
+     * @param {string} topic - 频道名称
+     * @returns {boolean} - 是否成功发送请求
+     */
+    unsubscribe(topic) {
+      if (!this.subscriptions.delete(topic) || !this.authenticated) {
+        return false;
+      }
+      
+      return this.send({
+        type: 'unsubscribe',
+        topic: topic
       });
     }
     
@@ -315,7 +703,12 @@ class WSClient {
       }
       
       try {
-        const message = typeof data === 'string' ? data : JSON.stringify(data);
+        let message = data;
+        if (typeof data !== 'string') {
+          message = this.socket.protocol === 'push.msgpack.v1'
+            ? MessagePack.encode(data)
+            : JSON.stringify(data);
+        }
         this.socket.send(message);
         return true;
       } catch (error) {
@@ -330,8 +723,11 @@ class WSClient {
     disconnect() {
       this._stopHeartbeat();
       
-      // 清理所有请求回调
+      // 清理所有请求回调和订阅
       this.requestCallbacks.clear();
+      this.subscriptions.clear();
+      this.sessionId = null;
+      this.lastSeq = 0;
       
       if (this.socket) {
         this.socket.close();
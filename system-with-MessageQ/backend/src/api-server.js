@@ -5,6 +5,13 @@ const cors = require('cors');
 const { v4: uuidv4 } = require('uuid');
 const config = require('./config');
 const jwtUtils = require('./auth/jwt');
+const messageQueue = require('./utils/message-queue');
+const { TaskStatusStore, isFinalStatus } = require('./utils/task-status-store');
+const { createUserStore, hashPassword, verifyPassword } = require('./auth/user-store');
+const permissions = require('./auth/permissions');
+const { KeyStore } = require('../../../shared/key-store');
+const { ApiKeyStore } = require('../../../shared/api-key-store');
+const { LoginGuard } = require('../../../shared/login-guard');
 
 const app = express();
 
@@ -12,63 +19,455 @@ const app = express();
 app.use(cors());
 app.use(bodyParser.json());
 
-// 模拟用户数据库
-const users = [
-  { id: '1', username: 'user1', password: 'password1' },
-  { id: '2', username: 'user2', password: 'password2' }
-];
+// 用户存储，通过 npm run seed:users 创建账号
+const userStore = createUserStore(config.users.store, config.users);
+
+// 服务端发布者的API密钥
+const apiKeyStore = new ApiKeyStore({ ...config.apiKeys, scopes: config.permissions.scopes });
+
+// API密钥被吊销时按密钥ID加入吊销列表，随令牌吊销一起广播，WebSocket节点据此断开使用该密钥的连接
+apiKeyStore.on('revoked', (id) => jwtUtils.revocationStore.revoke(id));
+
+// 登录防暴力破解
+const loginGuard = new LoginGuard(config.loginProtection);
+setInterval(() => loginGuard.purgeExpired(), 60 * 60 * 1000).unref();
+
+// 任务状态由WebSocket节点和任务处理器写入，取消任务前检查
+const taskStatusStore = new TaskStatusStore(config.tasks.status);
+
+// 用户不存在时也计算一次哈希，避免通过响应时间判断用户名是否存在
+const dummyPasswordHash = hashPassword('dummy-password');
+
+// 签名密钥，定期轮换；WebSocket节点通过 /.well-known/jwks.json 获取公钥
+const keyStore = config.jwt.algorithm === 'HS256' ? null : new KeyStore({
+  algorithm: config.jwt.algorithm,
+  ...config.jwt.keys
+});
+
+if (keyStore) {
+  jwtUtils.useKeySet(keyStore);
+  keyStore.startRotation();
+}
+
+// 访问令牌的有效载荷：用户ID、角色和角色对应的作用域
+function tokenPayload(user) {
+  return { userId: user.id, role: user.role, scopes: permissions.scopesForRole(user.role) };
+}
+
+// 刷新令牌的有效载荷：带有签发时的密码修改时间，修改密码后之前签发的刷新令牌都无法再使用
+function refreshPayload(user) {
+  return { userId: user.id, passwordChangedAt: user.passwordChangedAt || null };
+}
+
+// 返回给客户端的用户信息（不含密码哈希）
+function publicUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    displayName: user.displayName,
+    preferences: user.preferences
+  };
+}
+
+// 检查新密码是否满足要求，返回错误信息或null
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < config.users.passwordMinLength) {
+    return `Password must be at least ${config.users.passwordMinLength} characters`;
+  }
+  return null;
+}
+
+// 检查资料修改，返回错误信息或null
+function validateProfile({ displayName, preferences }) {
+  if (displayName !== undefined && displayName !== null) {
+    if (typeof displayName !== 'string' || !displayName.trim() || displayName.length > config.users.displayNameMaxLength) {
+      return `Display name must be 1-${config.users.displayNameMaxLength} characters`;
+    }
+  }
+  
+  if (preferences !== undefined) {
+    if (!preferences || typeof preferences !== 'object' || Array.isArray(preferences)) {
+      return 'Preferences must be an object';
+    }
+    
+    for (const [key, value] of Object.entries(preferences)) {
+      if (!config.users.preferences.includes(key)) {
+        return `Unknown preference: ${key}`;
+      }
+      // null 表示清除该项
+      if (value !== null && (typeof value !== 'string' || value.length > config.users.preferenceMaxLength)) {
+        return `Preference ${key} must be a string of at most ${config.users.preferenceMaxLength} characters`;
+      }
+    }
+  }
+  
+  return null;
+}
+
+// 认证中间件 - 验证访问令牌，解码后的有效载荷保存在 req.user
+function authenticate(req, res, next) {
+  const authHeader = req.headers.authorization;
+  
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({ error: 'Authorization header required' });
+  }
+  
+  const token = authHeader.split(' ')[1];
+  const decoded = jwtUtils.verifyToken(token);
+  
+  if (!decoded) {
+    return res.status(401).json({ error: 'Invalid token' });
+  }
+  
+  req.user = decoded;
+  next();
+}
+
+// 检查权限的中间件，凭据可以是 X-API-Key 请求头或访问令牌
+// 未提供有效凭据时返回401，凭据的作用域不满足 check 时返回403
+function requirePermission(check) {
+  return (req, res, next) => {
+    const apiKey = req.headers['x-api-key'];
+    const token = apiKey ? null : jwtUtils.extractToken(req);
+    const decoded = apiKey ? apiKeyStore.authenticate(apiKey) : (token ? jwtUtils.verifyToken(token) : null);
+    
+    if (!decoded) {
+      return res.status(401).json({ error: 'Authentication required', code: 'unauthorized' });
+    }
+    if (!check(decoded.scopes)) {
+      return res.status(403).json({ error: 'Forbidden', code: 'forbidden' });
+    }
+    
+    req.user = decoded;
+    next();
+  };
+}
+
+// 将本进程中的令牌吊销广播到所有WebSocket节点，由节点断开使用该令牌的连接
+jwtUtils.revocationStore.on('revoked', (jti, expiresAt) => {
+  messageQueue.publishRevocation(jti, expiresAt).catch(error => {
+    console.error(`Failed to publish revocation of token ${jti}:`, error);
+  });
+});
+
+// 公钥集合 - 供WebSocket节点和其他服务验证令牌
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.json(keyStore ? keyStore.toJWKS() : { keys: [] });
+});
 
 // 登录路由 - 生成JWT令牌
-app.post('/api/login', (req, res) => {
+// 失败过多时账号锁定返回423，IP限流返回429，均带有Retry-After
+app.post('/api/login', async (req, res) => {
   const { username, password } = req.body;
+  const usernameKey = String(username);
   
-  // 简单的身份验证
-  const user = users.find(u => u.username === username && u.password === password);
+  const guard = loginGuard.check(req.ip, usernameKey);
   
-  if (!user) {
-    return res.status(401).json({ error: 'Invalid credentials' });
+  if (!guard.allowed) {
+    res.set('Retry-After', String(guard.retryAfter));
+    return res.status(guard.status).json({
+      error: guard.status === 423 ? 'Account temporarily locked' : 'Too many login attempts',
+      code: guard.code,
+      retryAfter: guard.retryAfter
+    });
   }
   
-  // 生成JWT令牌
-  const token = jwtUtils.generateToken({ userId: user.id });
+  let outcome = null; // success | failure，出错时为null
   
-  res.json({
-    token,
-    user: {
-      id: user.id,
-      username: user.username
+  try {
+    // 连续失败后逐步延迟响应
+    if (guard.delay > 0) {
+      await new Promise(resolve => setTimeout(resolve, guard.delay));
     }
-  });
+    
+    if (typeof username !== 'string' || typeof password !== 'string') {
+      outcome = 'failure';
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+    
+    const user = userStore.findByUsername(username);
+    const passwordValid = await verifyPassword(password, user ? user.passwordHash : await dummyPasswordHash);
+    
+    if (!user || !passwordValid) {
+      outcome = 'failure';
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+    
+    // 生成访问令牌和刷新令牌
+    const token = jwtUtils.generateToken(tokenPayload(user));
+    const refreshToken = jwtUtils.generateRefreshToken(refreshPayload(user));
+    
+    outcome = 'success';
+    res.json({
+      token,
+      refreshToken,
+      user: publicUser(user)
+    });
+  } catch (error) {
+    console.error('Login failed:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    // 无论结果如何都要结束进行中的尝试，否则计数不会减少，该IP和用户名最终被一直拒绝
+    if (outcome === 'success') {
+      loginGuard.recordSuccess(req.ip, usernameKey);
+    } else if (outcome === 'failure') {
+      loginGuard.recordFailure(req.ip, usernameKey);
+    } else {
+      loginGuard.release(req.ip, usernameKey);
+    }
+  }
 });
 
-// 受保护的路由 - 需要验证JWT令牌
-app.get('/api/user', (req, res) => {
-  const authHeader = req.headers.authorization;
+// 注册路由 - 创建角色为默认角色的账号，成功后直接登录
+app.post('/api/register', async (req, res) => {
+  if (!config.users.registration) {
+    return res.status(403).json({ error: 'Registration is disabled' });
+  }
   
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ error: 'Authorization header required' });
+  const { username, password, displayName } = req.body;
+  
+  if (typeof username !== 'string' || !config.users.usernamePattern.test(username)) {
+    return res.status(400).json({ error: 'Username must be 3-32 letters, digits, dots, dashes or underscores' });
   }
   
-  const token = authHeader.split(' ')[1];
-  const decoded = jwtUtils.verifyToken(token);
+  const validationError = validatePassword(password) || validateProfile({ displayName });
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  
+  let user;
+  try {
+    user = await userStore.create({ username, password, displayName: displayName ? displayName.trim() : null });
+  } catch (error) {
+    // 用户名已被占用
+    return res.status(409).json({ error: 'Username already exists' });
+  }
+  
+  console.log(`User registered: ${user.username} (${user.id})`);
+  
+  res.status(201).json({
+    token: jwtUtils.generateToken(tokenPayload(user)),
+    refreshToken: jwtUtils.generateRefreshToken(refreshPayload(user)),
+    user: publicUser(user)
+  });
+});
+
+// 刷新路由 - 用刷新令牌换取新的访问令牌
+// 刷新令牌只能使用一次，使用后吊销并签发新的刷新令牌
+app.post('/api/token/refresh', (req, res) => {
+  const { refreshToken } = req.body;
+  
+  const decoded = refreshToken ? jwtUtils.verifyRefreshToken(refreshToken) : null;
   
   if (!decoded) {
+    return res.status(401).json({ error: 'Invalid refresh token' });
+  }
+  
+  const user = userStore.findById(decoded.userId);
+  
+  // 签发后用户修改过密码
+  if (!user || (decoded.passwordChangedAt || null) !== (user.passwordChangedAt || null)) {
+    return res.status(401).json({ error: 'Invalid refresh token' });
+  }
+  
+  jwtUtils.revocationStore.revoke(decoded.jti, decoded.exp * 1000);
+  
+  // 按用户当前的角色签发，角色变更在下次刷新时生效
+  res.json({
+    token: jwtUtils.generateToken(tokenPayload(user)),
+    refreshToken: jwtUtils.generateRefreshToken(refreshPayload(user)),
+    user: publicUser(user)
+  });
+});
+
+// 退出登录路由 - 吊销访问令牌和刷新令牌
+app.post('/api/logout', (req, res) => {
+  const authHeader = req.headers.authorization;
+  const accessToken = authHeader && authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
+  const { refreshToken } = req.body;
+  
+  const revokedAccess = accessToken ? jwtUtils.revokeToken(accessToken) : null;
+  const revokedRefresh = refreshToken ? jwtUtils.revokeToken(refreshToken) : null;
+  
+  if (!revokedAccess && !revokedRefresh) {
     return res.status(401).json({ error: 'Invalid token' });
   }
   
-  const user = users.find(u => u.id === decoded.userId);
+  res.json({ success: true });
+});
+
+// 受保护的路由 - 需要验证JWT令牌
+app.get('/api/user', authenticate, (req, res) => {
+  const user = userStore.findById(req.user.userId);
   
   if (!user) {
     return res.status(404).json({ error: 'User not found' });
   }
   
+  res.json(publicUser(user));
+});
+
+// 修改资料 - 显示名称和偏好设置，偏好设置按项合并，值为null的项被清除
+// 修改后向该用户的所有WebSocket连接推送 profile_updated
+app.patch('/api/user', authenticate, async (req, res) => {
+  const user = userStore.findById(req.user.userId);
+  
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  
+  const { displayName, preferences } = req.body;
+  
+  const validationError = validateProfile({ displayName, preferences });
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  
+  const changes = {};
+  
+  if (displayName !== undefined) {
+    changes.displayName = displayName === null ? null : displayName.trim();
+  }
+  
+  if (preferences !== undefined) {
+    changes.preferences = { ...user.preferences, ...preferences };
+    for (const [key, value] of Object.entries(preferences)) {
+      if (value === null) {
+        delete changes.preferences[key];
+      }
+    }
+  }
+  
+  let updated;
+  try {
+    updated = await userStore.update(user.id, changes);
+  } catch (error) {
+    // 计算密码哈希期间用户被删除
+    return res.status(404).json({ error: 'User not found' });
+  }
+  
+  messageQueue.publishUserEvent(updated.id, {
+    type: 'profile_updated',
+    user: publicUser(updated)
+  }).catch(error => {
+    console.error(`Failed to publish profile update of user ${updated.id}:`, error);
+  });
+  
+  res.json(publicUser(updated));
+});
+
+// 修改密码 - 需要提供当前密码
+// 修改后之前签发的刷新令牌全部失效（见 refreshPayload），返回新的令牌对
+app.post('/api/user/password', authenticate, async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+  
+  const user = userStore.findById(req.user.userId);
+  
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  
+  if (typeof currentPassword !== 'string' || !(await verifyPassword(currentPassword, user.passwordHash))) {
+    return res.status(403).json({ error: 'Current password is incorrect' });
+  }
+  
+  const validationError = validatePassword(newPassword);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  
+  let updated;
+  try {
+    updated = await userStore.update(user.id, { password: newPassword });
+  } catch (error) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  
+  console.log(`User ${user.id} changed password`);
+  
   res.json({
-    id: user.id,
-    username: user.username
+    success: true,
+    token: jwtUtils.generateToken(tokenPayload(updated)),
+    refreshToken: jwtUtils.generateRefreshToken(refreshPayload(updated))
   });
 });
 
+// API密钥管理 - 创建、列出、吊销，需要管理权限（API密钥不能带有admin作用域）
+app.get('/api/admin/api-keys', requirePermission(permissions.isAdmin), (req, res) => {
+  res.json(apiKeyStore.list());
+});
+
+app.post('/api/admin/api-keys', requirePermission(permissions.isAdmin), (req, res) => {
+  const { name, scopes } = req.body;
+  
+  try {
+    // 完整密钥只在创建时返回一次
+    const result = apiKeyStore.create({ name, scopes, createdBy: req.user.userId });
+    console.log(`Admin ${req.user.userId} created API key ${result.key.id} (${result.key.name})`);
+    res.status(201).json(result);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.delete('/api/admin/api-keys/:id', requirePermission(permissions.isAdmin), (req, res) => {
+  if (!apiKeyStore.revoke(req.params.id)) {
+    return res.status(404).json({ error: 'API key not found or already revoked' });
+  }
+  
+  console.log(`Admin ${req.user.userId} revoked API key ${req.params.id}`);
+  res.json({ success: true });
+});
+
+// 发布路由 - 供后端服务向用户推送消息，需要publish作用域
+// 消息与任务结果一样经结果交换机路由到持有该用户连接的节点，用户不在线时转入离线收件箱
+app.post('/api/publish', requirePermission(permissions.canPublish), async (req, res) => {
+  const { userId, data } = req.body;
+  
+  if (typeof userId !== 'string' || data === undefined) {
+    return res.status(400).json({ error: 'userId and data are required' });
+  }
+  
+  try {
+    await messageQueue.sendResult(userId, data);
+    res.status(202).json({ success: true });
+  } catch (error) {
+    console.error('Failed to publish message:', error);
+    res.status(503).json({ error: 'Message queue unavailable' });
+  }
+});
+
+// 取消任务 - 取消请求广播给所有任务处理器，只能取消自己的任务（管理员可以取消任何任务）
+// 任务不存在时返回404，已结束时返回409；否则返回202，取消后任务所有者会收到 status 为 cancelled 的推送
+app.delete('/api/tasks/:taskId', authenticate, async (req, res) => {
+  const { taskId } = req.params;
+  const task = taskStatusStore.get(taskId);
+  
+  if (!task || (task.userId !== String(req.user.userId) && !permissions.isAdmin(req.user.scopes))) {
+    return res.status(404).json({ error: 'Task not found' });
+  }
+  
+  if (isFinalStatus(task.status)) {
+    return res.status(409).json({ error: 'Task already finished', status: task.status });
+  }
+  
+  try {
+    await messageQueue.publishCancellation({
+      taskId,
+      userId: req.user.userId,
+      admin: permissions.isAdmin(req.user.scopes)
+    });
+    res.status(202).json({ success: true, taskId, status: 'cancelling' });
+  } catch (error) {
+    console.error(`Failed to cancel task ${taskId}:`, error);
+    res.status(503).json({ error: 'Message queue unavailable' });
+  }
+});
+
 // 启动服务器
+messageQueue.connect();
+
 app.listen(config.port.api, () => {
   console.log(`API server listening on port ${config.port.api}`);
 });
\ No newline at end of file
@@ -1,33 +1,219 @@
 // auth/jwt.js
+const path = require('path');
 const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
 const config = require('../config');
+const { createRevocationStore } = require('../../../../shared/revocation-store');
+
+// 已吊销令牌的jti列表，同一台主机上的API服务器和WebSocket节点默认打开同一个SQLite文件，重启后仍然有效
+const revocationStore = createRevocationStore(config.revocation.store, {
+  filePath: config.revocation.filePath ||
+    path.join(__dirname, '../../storage', config.revocation.store === 'sqlite' ? 'revoked-tokens.db' : 'revoked-tokens.json'),
+  loadDatabase: () => require('better-sqlite3')
+});
+
+// 签名/验证密钥集合：API服务器使用本地的 KeyStore，WebSocket节点使用从JWKS加载的 RemoteKeySet
+let keySet = null;
+
+/**
+ * 设置本进程使用的密钥集合（HS256时不需要）
+ * @param {KeyStore|RemoteKeySet} set - 密钥集合
+ */
+function useKeySet(set) {
+  keySet = set;
+}
 
 /**
- * 生成JWT令牌
+ * 生成JWT访问令牌
  * @param {Object} payload - 令牌的有效载荷
  * @return {String} JWT令牌
  */
 function generateToken(payload) {
-  return jwt.sign(payload, config.jwt.secret, {
-    expiresIn: config.jwt.expiresIn
+  return signToken(payload, {
+    expiresIn: config.jwt.expiresIn,
+    jwtid: uuidv4()
+  });
+}
+
+/**
+ * 生成刷新令牌，只能用于 /api/token/refresh 换取新的访问令牌
+ * @param {Object} payload - 令牌的有效载荷
+ * @return {String} 刷新令牌
+ */
+function generateRefreshToken(payload) {
+  return signToken({ ...payload, type: 'refresh' }, {
+    expiresIn: config.jwt.refreshExpiresIn,
+    jwtid: uuidv4()
   });
 }
 
 /**
- * 验证JWT令牌
+ * 使用当前的签名密钥签发令牌，令牌头中的kid标识所用的密钥
+ * @param {Object} payload - 有效载荷
+ * @param {Object} options - jsonwebtoken签名选项
+ * @return {String} JWT令牌
+ */
+function signToken(payload, options) {
+  if (config.jwt.algorithm === 'HS256') {
+    return jwt.sign(payload, config.jwt.secret, { ...options, algorithm: 'HS256' });
+  }
+  
+  const key = keySet && keySet.getSigningKey ? keySet.getSigningKey() : null;
+  if (!key) {
+    throw new Error('No signing key available');
+  }
+  
+  return jwt.sign(payload, key.privateKey, { ...options, algorithm: key.alg, keyid: key.kid });
+}
+
+/**
+ * 按令牌头中的kid选择密钥并验证签名和有效期
+ * @param {String} token - JWT令牌
+ * @return {Object} 解码后的有效载荷，验证失败时抛出异常
+ */
+function verifySignature(token) {
+  if (config.jwt.algorithm === 'HS256') {
+    return jwt.verify(token, config.jwt.secret, { algorithms: ['HS256'] });
+  }
+  
+  const decoded = jwt.decode(token, { complete: true });
+  const key = decoded && keySet ? keySet.getKey(decoded.header.kid) : null;
+  
+  if (!key) {
+    throw new Error('unknown signing key');
+  }
+  
+  return jwt.verify(token, key.publicKey, { algorithms: [key.alg] });
+}
+
+/**
+ * 确保验证令牌所需的公钥已加载（WebSocket节点遇到API服务器新轮换的kid时会刷新JWKS）
+ * 在同步的 verifyToken 之前调用
+ * @param {String} token - JWT令牌
+ * @return {Promise<void>}
+ */
+async function loadVerificationKey(token) {
+  if (config.jwt.algorithm === 'HS256' || !keySet || !token) {
+    return;
+  }
+  
+  // 格式错误的令牌（如有效载荷不是JSON）会使 decode 抛出异常，交给 verifyToken 拒绝
+  let decoded;
+  try {
+    decoded = jwt.decode(token, { complete: true });
+  } catch (error) {
+    return;
+  }
+  
+  if (decoded && decoded.header.kid) {
+    await keySet.ensureKey(decoded.header.kid);
+  }
+}
+
+/**
+ * 验证JWT访问令牌
  * @param {String} token - JWT令牌
- * @return {Object|null} 解码后的有效载荷或null(如果验证失败)
+ * @return {Object|null} 解码后的有效载荷或null(如果验证失败、是刷新令牌或已被吊销)
  */
 function verifyToken(token) {
   try {
-    return jwt.verify(token, config.jwt.secret);
+    const decoded = verifySignature(token);
+    
+    if (decoded.type === 'refresh') {
+      throw new Error('refresh token cannot be used for authentication');
+    }
+    if (decoded.jti && revocationStore.isRevoked(decoded.jti)) {
+      throw new Error('token revoked');
+    }
+    
+    return decoded;
   } catch (error) {
     console.error('Token verification failed:', error.message);
     return null;
   }
 }
 
+/**
+ * 验证刷新令牌
+ * @param {String} token - 刷新令牌
+ * @return {Object|null} 解码后的有效载荷或null(如果验证失败或已被吊销)
+ */
+function verifyRefreshToken(token) {
+  try {
+    const decoded = verifySignature(token);
+    
+    if (decoded.type !== 'refresh') {
+      throw new Error('not a refresh token');
+    }
+    if (revocationStore.isRevoked(decoded.jti)) {
+      throw new Error('refresh token revoked');
+    }
+    
+    return decoded;
+  } catch (error) {
+    console.error('Refresh token verification failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * 吊销令牌（访问令牌或刷新令牌），令牌过期前都无法再通过验证
+ * @param {String} token - JWT令牌
+ * @return {Object|null} 被吊销令牌的有效载荷，令牌无效或已过期时返回null
+ */
+function revokeToken(token) {
+  let decoded;
+  
+  try {
+    decoded = verifySignature(token);
+  } catch (error) {
+    return null;
+  }
+  
+  if (!decoded.jti) {
+    return null;
+  }
+  
+  revocationStore.revoke(decoded.jti, decoded.exp * 1000);
+  return decoded;
+}
+
+/**
+ * 从HTTP请求（如WebSocket升级请求）中提取令牌
+ * 依次检查 Authorization: Bearer 请求头、?token= 查询参数和 auth_token Cookie
+ * @param {http.IncomingMessage} req - HTTP请求
+ * @return {String|null} 令牌，未提供返回null
+ */
+function extractToken(req) {
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.slice('Bearer '.length);
+  }
+  
+  const queryToken = new URL(req.url, 'http://localhost').searchParams.get('token');
+  if (queryToken) {
+    return queryToken;
+  }
+  
+  const cookies = req.headers.cookie ? req.headers.cookie.split(';') : [];
+  for (const cookie of cookies) {
+    const [name, ...value] = cookie.trim().split('=');
+    if (name === 'auth_token') {
+      return decodeURIComponent(value.join('='));
+    }
+  }
+  
+  return null;
+}
+
 module.exports = {
+  useKeySet,
+  loadVerificationKey,
   generateToken,
-  verifyToken
+  generateRefreshToken,
+  verifyToken,
+  verifyRefreshToken,
+  revokeToken,
+  extractToken,
+  revocationStore
 };
\ No newline at end of file
@@ -0,0 +1,59 @@
+// auth/permissions.js - 角色与作用域权限判断
+// 签发令牌时按用户角色写入scopes，服务器根据令牌中的scopes判断是否允许操作；映射关系见 config.permissions
+const config = require('../config');
+
+/**
+ * 获取角色的作用域
+ * @param {String} role - 角色
+ * @return {Array<String>} 作用域列表，未知角色返回空列表
+ */
+function scopesForRole(role) {
+  return (config.permissions.roles[role] || []).slice();
+}
+
+/**
+ * 判断作用域是否允许请求某种数据类型
+ * @param {Array<String>} scopes - 令牌中的作用域
+ * @param {String} dataType - 数据类型
+ * @return {Boolean} 是否允许
+ */
+function canRequestDataType(scopes, dataType) {
+  return permissionsOf(scopes).some(p => (p.dataTypes || []).includes(dataType));
+}
+
+/**
+ * 判断作用域是否允许通过发布接口推送消息
+ * @param {Array<String>} scopes - 令牌或API密钥的作用域
+ * @return {Boolean} 是否允许
+ */
+function canPublish(scopes) {
+  return permissionsOf(scopes).some(p => p.publish === true);
+}
+
+/**
+ * 判断作用域是否允许管理操作
+ * @param {Array<String>} scopes - 令牌中的作用域
+ * @return {Boolean} 是否允许
+ */
+function isAdmin(scopes) {
+  return permissionsOf(scopes).some(p => p.admin === true);
+}
+
+/**
+ * 获取作用域对应的权限配置
+ * @param {Array<String>} scopes - 令牌中的作用域
+ * @return {Array<Object>} 权限配置列表
+ */
+function permissionsOf(scopes) {
+  if (!Array.isArray(scopes)) {
+    return [];
+  }
+  return scopes.map(scope => config.permissions.scopes[scope]).filter(Boolean);
+}
+
+module.exports = {
+  scopesForRole,
+  canRequestDataType,
+  canPublish,
+  isAdmin
+};
@@ -0,0 +1,26 @@
+// auth/user-store.js - 用户存储
+// 实现在 shared/user-store.js，与简易版共用同一个存储；这里传入本服务器的角色配置和SQLite驱动
+
+const shared = require('../../../../shared/user-store');
+const config = require('../config');
+
+/**
+ * 根据类型创建用户存储
+ * @param {String} type - 存储类型 (json|sqlite)
+ * @param {Object} options - 配置选项
+ * @param {String} options.filePath - 存储文件路径，默认与简易版共用 shared/storage/ 下的文件
+ * @return {Object} 用户存储实例
+ */
+function createUserStore(type, options = {}) {
+  return shared.createUserStore(type, {
+    ...options,
+    roles: config.permissions.roles,
+    defaultRole: config.permissions.defaultRole,
+    loadDatabase: () => require('better-sqlite3')
+  });
+}
+
+module.exports = {
+  ...shared,
+  createUserStore
+};
@@ -1,4 +1,5 @@
 // config.js
+const path = require('path');
 require('dotenv').config();
 
 module.exports = {
@@ -7,16 +8,101 @@ module.exports = {
     api: process.env.API_PORT || 3000
   },
   jwt: {
-    secret: process.env.JWT_SECRET || 'your-secret-key',
-    expiresIn: process.env.JWT_EXPIRES_IN || '1h'
+    algorithm: process.env.JWT_ALGORITHM || 'RS256', // RS256 | ES256 | HS256（共享密钥，仅为兼容旧部署保留）
+    secret: process.env.JWT_SECRET || 'your-secret-key', // 仅HS256使用
+    expiresIn: process.env.JWT_EXPIRES_IN || '1h',
+    refreshExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
+    keys: {
+      filePath: process.env.JWT_KEYS_PATH || path.join(__dirname, '../storage/jwt-keys.json'), // API服务器的签名密钥（含私钥）
+      rotationInterval: 24 * 60 * 60 * 1000, // 签名密钥轮换间隔
+      retention: 7 * 24 * 60 * 60 * 1000 // 旧密钥继续用于验证的时间，应不小于刷新令牌的有效期
+    },
+    jwks: {
+      url: process.env.JWKS_URL || `http://localhost:${process.env.API_PORT || 3000}/.well-known/jwks.json`, // WebSocket节点获取公钥的地址
+      refreshInterval: 5 * 60 * 1000,
+      minRefreshInterval: 30 * 1000 // 遇到未知kid时触发刷新的最小间隔
+    }
   },
   rabbitmq: {
     url: process.env.RABBITMQ_URL || 'amqp://localhost',
     taskQueue: 'task_queue',
-    resultQueue: 'task_results'
+    resultQueue: 'task_results', // 无节点在线的用户的结果
+    resultExchange: 'task_results_exchange', // 按userId路由结果到持有连接的节点
+    unroutedExchange: 'task_results_unrouted',
+    resultPrefetch: 50, // 每个结果消费者最多持有的未确认消息数（结果交付后即确认，不等待客户端确认）
+    revocationExchange: 'token_revocations', // 广播令牌吊销事件到所有WebSocket节点
+    cancellationExchange: 'task_cancellations' // 广播任务取消请求到所有任务处理器
+  },
+  tasks: {
+    cancellationTTL: 60 * 60 * 1000, // 取消请求对尚在队列中的任务保留多久
+    status: {
+      filePath: process.env.TASK_STATUS_STORE_PATH, // 默认 storage/task-status.db，WebSocket节点、任务处理器和API服务器需要在同一台主机上访问同一个文件
+      retention: 24 * 60 * 60 * 1000 // 任务状态记录在最后一次更新后保留多久，之后取消该任务返回404
+    }
   },
   ws: {
     heartbeatInterval: 30000,
-    heartbeatTimeout: 60000
+    heartbeatTimeout: 60000,
+    ackTimeout: 10000, // 启用确认的连接，推送超过该时间未确认则重发
+    maxDeliveryAttempts: 3, // 单个连接上的最大发送次数，超过后转入离线收件箱
+    handshakeAuth: process.env.WS_HANDSHAKE_AUTH || 'optional', // off | optional | required
+    authTimeout: 30000, // 未认证连接的最长保留时间
+    tokenExpiryWarning: 60000, // 令牌过期前多久推送 token_expiring
+    validateOutbound: process.env.PROTOCOL_VALIDATE_OUTBOUND === 'true', // 是否校验发出的消息（开发时使用）
+    announcementMaxLength: 1000, // 管理员公告的最大长度
+    backpressure: {
+      policy: process.env.BACKPRESSURE_POLICY || 'coalesce', // coalesce | drop_oldest | pause | disconnect（结果消费者不能为单个连接暂停，pause 等同于 disconnect）
+      highWaterMark: 1024 * 1024, // 连接发送缓冲区高水位（字节）
+      maxQueue: 100 // 连接出站队列最大长度
+    }
+  },
+  permissions: {
+    defaultRole: 'user',
+    // 角色 -> 作用域，签发令牌时写入scopes
+    roles: {
+      user: ['data:basic'],
+      analyst: ['data:basic', 'data:reports'],
+      admin: ['data:basic', 'data:reports', 'publish', 'admin']
+    },
+    // 作用域 -> 允许的资源：dataTypes 允许请求的数据类型，publish 是否允许通过 /api/publish 推送，admin 是否允许管理操作（如 /metrics）
+    scopes: {
+      'data:basic': { dataTypes: ['default', 'analysis', 'metrics'] },
+      'data:reports': { dataTypes: ['report'] },
+      publish: { publish: true },
+      admin: { admin: true }
+    }
+  },
+  loginProtection: {
+    windowMs: 15 * 60 * 1000, // 统计登录失败次数的滑动窗口
+    maxFailuresPerIp: parseInt(process.env.LOGIN_MAX_FAILURES_PER_IP, 10) || 20, // 窗口内同一IP最多失败次数，超过后返回429
+    maxFailuresPerUsername: parseInt(process.env.LOGIN_MAX_FAILURES_PER_USERNAME, 10) || 5, // 窗口内同一用户名最多失败次数，达到后锁定账号
+    lockoutDuration: parseInt(process.env.LOGIN_LOCKOUT_DURATION, 10) || 15 * 60 * 1000, // 账号锁定时间，锁定期间返回423
+    delayAfter: 2, // 同一用户名失败超过该次数后开始延迟响应
+    baseDelay: 500, // 首次延迟，之后每次失败翻倍
+    maxDelay: 8000,
+    auditLog: process.env.LOGIN_AUDIT_LOG || path.join(__dirname, '../logs/login-audit.log') // 失败和被拒绝的登录（JSON Lines）
+  },
+  revocation: {
+    store: process.env.REVOCATION_STORE || 'sqlite', // sqlite（同一台主机上的API服务器和节点共用同一个数据库文件，不能跨主机共用）| file | memory
+    filePath: process.env.REVOCATION_STORE_PATH // 默认 storage/revoked-tokens.db，file 存储为 storage/revoked-tokens.json
+  },
+  apiKeys: {
+    filePath: process.env.API_KEY_STORE_PATH || path.join(__dirname, '../storage/api-keys.json') // API服务器和WebSocket节点需要访问同一个文件
+  },
+  users: {
+    store: process.env.USER_STORE || 'json', // json | sqlite
+    filePath: process.env.USER_STORE_PATH, // 默认 storage/users.json 或 storage/users.db
+    registration: process.env.USER_REGISTRATION !== 'off', // 是否允许通过 POST /api/register 自助注册
+    usernamePattern: /^[A-Za-z0-9_.-]{3,32}$/,
+    passwordMinLength: 8,
+    displayNameMaxLength: 64,
+    preferences: ['defaultDataset', 'defaultDataType'], // 允许保存的偏好设置，值为字符串
+    preferenceMaxLength: 64
+  },
+  offline: {
+    store: process.env.OFFLINE_STORE || 'sqlite', // sqlite（同一台主机上的节点共用同一个数据库文件，不能跨主机共用）| file | memory（后两者只在单个节点内有效）
+    filePath: process.env.OFFLINE_STORE_PATH, // 默认 storage/offline-inbox.db，file 存储为 storage/offline-inbox.json
+    ttl: parseInt(process.env.OFFLINE_MESSAGE_TTL, 10) || 24 * 60 * 60 * 1000,
+    maxPerUser: 1000
   }
 };
\ No newline at end of file
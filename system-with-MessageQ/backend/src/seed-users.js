@@ -0,0 +1,108 @@
+// seed-users.js - 用户账号管理命令
+// 用法:
+//   npm run seed:users [-- seed --admin-password <password>] 创建示例账号（已存在则跳过），未指定管理员密码时生成随机密码并打印一次
+//   npm run seed:users -- add <username> <password> [role] 创建账号，角色默认为user
+//   npm run seed:users -- set-role <username> <role>       修改账号角色
+//   npm run seed:users -- import <users.json>              导入用户，支持本存储导出的文件和旧的明文 { id, username, password } 数组
+//   npm run seed:users -- list                             列出所有账号
+// 通过 USER_STORE (json|sqlite) 和 USER_STORE_PATH 环境变量选择存储，与API服务器一致
+const crypto = require('crypto');
+const fs = require('fs');
+const config = require('./config');
+const { createUserStore } = require('./auth/user-store');
+
+// 示例账号，user1、user2与原先硬编码的用户一致
+const DEMO_USERS = [
+  { id: '1', username: 'user1', password: 'password1', role: 'analyst' },
+  { id: '2', username: 'user2', password: 'password2', role: 'user' }
+];
+
+// 示例管理员账号，密码不固定
+const DEMO_ADMIN = { id: '3', username: 'admin', role: 'admin' };
+
+const userStore = createUserStore(config.users.store, config.users);
+
+// 创建用户，用户名已存在时跳过
+async function createIfMissing(data) {
+  if (userStore.findByUsername(data.username)) {
+    console.log(`Skipping existing user: ${data.username}`);
+    return false;
+  }
+  
+  const user = await userStore.create(data);
+  console.log(`Created user: ${user.username} (ID: ${user.id}, role: ${user.role})`);
+  return true;
+}
+
+const [command = 'seed', ...args] = process.argv.slice(2);
+
+// 执行命令行指定的命令
+async function main() {
+  switch (command) {
+    case 'seed': {
+      const passwordIndex = args.indexOf('--admin-password');
+      const adminPassword = passwordIndex >= 0 ? args[passwordIndex + 1] : crypto.randomBytes(12).toString('base64url');
+      if (!adminPassword) {
+        throw new Error('Usage: npm run seed:users -- seed [--admin-password <password>]');
+      }
+      
+      for (const data of DEMO_USERS) {
+        await createIfMissing(data);
+      }
+      if (await createIfMissing({ ...DEMO_ADMIN, password: adminPassword }) && passwordIndex < 0) {
+        console.log(`Generated password for ${DEMO_ADMIN.username} (shown only once): ${adminPassword}`);
+      }
+      break;
+    }
+    
+    case 'add': {
+      const [username, password, role] = args;
+      if (!username || !password) {
+        throw new Error('Usage: npm run seed:users -- add <username> <password> [role]');
+      }
+      const user = await userStore.create({ username, password, role });
+      console.log(`Created user: ${user.username} (ID: ${user.id}, role: ${user.role})`);
+      break;
+    }
+    
+    case 'set-role': {
+      const [username, role] = args;
+      if (!username || !role) {
+        throw new Error('Usage: npm run seed:users -- set-role <username> <role>');
+      }
+      const user = userStore.setRole(username, role);
+      console.log(`Set role of user ${user.username} to ${user.role}`);
+      break;
+    }
+    
+    case 'import': {
+      const [filePath] = args;
+      if (!filePath) {
+        throw new Error('Usage: npm run seed:users -- import <users.json>');
+      }
+      const users = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      let created = 0;
+      for (const data of users) {
+        if (await createIfMissing(data)) {
+          created++;
+        }
+      }
+      console.log(`Import finished, ${created} users created`);
+      break;
+    }
+    
+    case 'list':
+      for (const user of userStore.list()) {
+        console.log(`${user.id}\t${user.username}\t${user.role}\t${new Date(user.createdAt).toISOString()}`);
+      }
+      break;
+    
+    default:
+      throw new Error(`Unknown command: ${command}`);
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -1,17 +1,92 @@
 // server.js
 const WebSocket = require('ws');
 const http = require('http');
+const path = require('path');
+const bodyParser = require('body-parser');
 const { v4: uuidv4 } = require('uuid');
 const config = require('./config');
 const jwtUtils = require('./auth/jwt');
+const permissions = require('./auth/permissions');
+const { RemoteKeySet } = require('../../../shared/key-store');
+const { ApiKeyStore } = require('../../../shared/api-key-store');
 const messageQueue = require('./utils/message-queue');
+const { createOfflineStore } = require('../../../shared/offline-store');
+const { TaskStatusStore } = require('./utils/task-status-store');
+const backpressure = require('../../../shared/backpressure');
+const encoding = require('./utils/encoding');
+const protocol = require('./utils/protocol');
+const taskHandlers = require('./task-handlers');
+
+const { ERROR_CODES } = protocol;
+
+// 管理接口的JSON请求体解析（WebSocket服务器的HTTP端口不使用express）
+const parseJsonBody = bodyParser.json();
+
+/**
+ * 解码URL路径中的参数
+ * @param {String} segment - 路径片段
+ * @return {String|null} 解码后的值，编码无效（如单独的%）时返回null
+ */
+function decodePathSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    return null;
+  }
+}
 
 class WebSocketServer {
   constructor() {
-    this.server = http.createServer();
-    this.wss = new WebSocket.Server({ server: this.server });
+    this.server = http.createServer((req, res) => {
+      this._handleHttpRequest(req, res).catch(error => {
+        console.error(`Error handling HTTP request ${req.method} ${req.url}:`, error);
+        if (!res.headersSent) {
+          this._sendJson(res, 500, { error: 'Internal server error' });
+        } else {
+          res.end();
+        }
+      });
+    });
+    // 通过 Sec-WebSocket-Protocol 协商消息编码 (push.json.v1 | push.msgpack.v1)
+    this.wss = new WebSocket.Server({
+      server: this.server,
+      handleProtocols: encoding.selectProtocol,
+      verifyClient: (info, callback) => this._verifyHandshake(info, callback)
+    });
     this.clients = new Map(); // clientId -> {ws, userId, lastHeartbeat, ...}
     this.userConnections = new Map(); // userId -> Set(clientId)
+    this.offlineStore = createOfflineStore(config.offline.store, {
+      ...config.offline,
+      filePath: config.offline.filePath ||
+        path.join(__dirname, '../storage', config.offline.store === 'sqlite' ? 'offline-inbox.db' : 'offline-inbox.json'),
+      loadDatabase: () => require('better-sqlite3')
+    });
+    this.taskStatusStore = new TaskStatusStore(config.tasks.status); // 提交的任务记为 queued，API服务器取消任务时据此判断任务是否存在
+    this.apiKeyStore = new ApiKeyStore({ ...config.apiKeys, scopes: config.permissions.scopes }); // 后端服务可以用API密钥代替令牌认证
+    
+    // 定期清理过期的离线消息、已过期令牌的吊销记录和过期的任务状态
+    this.offlinePurgeTimer = setInterval(() => {
+      const removed = this.offlineStore.purgeExpired();
+      if (removed > 0) {
+        console.log(`Purged ${removed} expired offline messages`);
+      }
+      
+      jwtUtils.revocationStore.purgeExpired();
+      this.taskStatusStore.purgeExpired();
+    }, 60 * 60 * 1000);
+    
+    // 令牌或API密钥被吊销时断开使用它的连接（API服务器吊销API密钥时以密钥ID广播）
+    jwtUtils.revocationStore.on('revoked', (jti) => this._disconnectRevoked(jti));
+    
+    // 从API服务器的JWKS获取验证令牌的公钥
+    if (config.jwt.algorithm !== 'HS256') {
+      this.keySet = new RemoteKeySet(config.jwt.jwks);
+      jwtUtils.useKeySet(this.keySet);
+      this.keySet.refresh().catch(error => {
+        console.error('Failed to load JWKS:', error.message);
+      });
+      this.keySet.startRefresh();
+    }
     
     this._setupWSServer();
     messageQueue.connect().then(() => {
@@ -21,15 +96,27 @@ class WebSocketServer {
   
   _setupMessageQueueConsumer() {
     // 消费结果队列中的消息
+    // 结果放入连接的出站队列或写入离线收件箱后即确认RabbitMQ消息，客户端确认另行跟踪，
+    // 一个用户的客户端迟迟不确认不会阻塞本节点其他用户的结果
     messageQueue.consumeResults((data) => {
-      const { userId, result } = data;
+      const { userId, result, event } = data;
+      
+      // API服务器发布的用户事件原样推送
+      if (event) {
+        return this._sendToUser(userId, event);
+      }
       
       // 向指定用户的所有连接推送消息
-      this._sendToUser(userId, {
+      return this._deliverToUser(userId, {
         type: 'data',
         payload: result
       });
     });
+    
+    // 接收其他进程（API服务器）广播的令牌吊销
+    messageQueue.consumeRevocations(({ jti, expiresAt }) => {
+      jwtUtils.revocationStore.revoke(jti, expiresAt);
+    });
   }
   
   _setupWSServer() {
@@ -37,18 +124,34 @@ class WebSocketServer {
       const clientId = uuidv4();
       const clientIp = req.socket.remoteAddress;
       
-      console.log(`New WebSocket connection: ${clientId} from ${clientIp}`);
+      const codec = encoding.getCodec(ws.protocol);
+      
+      console.log(`New WebSocket connection: ${clientId} from ${clientIp} (protocol: ${ws.protocol || encoding.DEFAULT_PROTOCOL})`);
       
       // 初始化客户端状态
       const clientState = {
         ws,
         clientId,
         ip: clientIp,
+        codec, // 按协商的子协议编解码消息
         userId: null,
         authenticated: false,
         lastHeartbeat: Date.now(),
-        connectionTime: Date.now()
+        connectionTime: Date.now(),
+        acks: false, // 客户端是否在认证时启用了消息确认
+        tokenExp: null, // 当前令牌的过期时间（毫秒时间戳）
+        tokenTimers: [], // 令牌过期提醒和过期处理定时器
+        tokenJti: null, // 当前令牌的ID，令牌被吊销时据此断开连接
+        scopes: [], // 当前令牌的作用域，决定可以请求的数据类型
+        pendingAcks: new Map(), // messageId -> {message, delivery, absorbed, attempts, sentAt}
+        outbox: null // 慢消费者的出站队列
       };
+      clientState.outbox = new backpressure.Outbox(ws, {
+        ...config.ws.backpressure,
+        encode: codec.encode,
+        pauseProducer: () => false, // 结果消费者由本节点所有用户共用，不能为单个慢客户端暂停
+        onCoalesce: (older, newer, merged) => this._coalesceTracked(clientState, older, newer, merged)
+      });
       
       this.clients.set(clientId, clientState);
       
@@ -65,8 +168,19 @@ class WebSocketServer {
           console.log(`Client ${clientId} heartbeat timeout, closing connection`);
           ws.terminate();
           clearInterval(heartbeatCheck);
+          return;
+        }
+        
+        this._redeliverPending(client);
+      }, 10000); // 每10秒检查一次心跳和未确认的推送
+      
+      // 超时仍未认证则断开连接，避免未认证的连接一直占用 this.clients
+      const authTimer = setTimeout(() => {
+        if (!clientState.authenticated) {
+          console.log(`Client ${clientId} authentication timeout, closing connection`);
+          ws.close(4001, 'Authentication timeout');
         }
-      }, 10000); // 每10秒检查一次心跳
+      }, config.ws.authTimeout);
       
       // 消息处理
       ws.on('message', (message) => {
@@ -85,13 +199,29 @@ class WebSocketServer {
             
             if (userConnections.size === 0) {
               this.userConnections.delete(clientState.userId);
+              
+              // 本节点已没有该用户的连接，停止接收其结果
+              messageQueue.unbindUser(clientState.userId).catch(error => {
+                console.error(`Failed to unbind user ${clientState.userId}:`, error);
+              });
             }
           }
         }
         
+        // 未确认的推送视为该连接投递失败
+        for (const entry of clientState.pendingAcks.values()) {
+          this._failEntry(entry, clientId);
+        }
+        clientState.pendingAcks.clear();
+        
+        // 丢弃出站队列
+        clientState.outbox.close();
+        
         // 清理客户端状态
         this.clients.delete(clientId);
         clearInterval(heartbeatCheck);
+        clearTimeout(authTimer);
+        this._clearTokenTimers(clientState);
       });
       
       // 错误处理
@@ -105,6 +235,47 @@ class WebSocketServer {
         message: 'Welcome to the WebSocket server',
         clientId
       });
+      
+      // 握手时已认证的连接直接完成认证
+      if (req.user) {
+        const query = new URL(req.url, 'http://localhost').searchParams;
+        this._authenticateClient(clientState, req.user, { acks: query.get('acks') === 'true' });
+      }
+    });
+  }
+  
+  /**
+   * 在WebSocket升级握手阶段验证令牌（verifyClient回调）
+   * 提供了无效令牌，或 required 模式下未提供令牌时，以401拒绝升级；
+   * 未提供令牌的连接仍可在连接后发送 auth 消息
+   */
+  _verifyHandshake(info, callback) {
+    if (config.ws.handshakeAuth === 'off') {
+      return callback(true);
+    }
+    
+    const token = jwtUtils.extractToken(info.req);
+    
+    if (!token) {
+      if (config.ws.handshakeAuth === 'required') {
+        return callback(false, 401, 'Unauthorized');
+      }
+      return callback(true);
+    }
+    
+    jwtUtils.loadVerificationKey(token).then(() => {
+      const decoded = jwtUtils.verifyToken(token);
+      
+      if (!decoded || !(decoded.userId || decoded.sub)) {
+        return callback(false, 401, 'Unauthorized');
+      }
+      
+      // 保存到请求对象，连接建立后使用
+      info.req.user = decoded;
+      callback(true);
+    }).catch(error => {
+      console.error('Handshake authentication failed:', error.message);
+      callback(false, 401, 'Unauthorized');
     });
   }
   
@@ -112,69 +283,104 @@ class WebSocketServer {
     let parsedMessage;
     
     try {
-      parsedMessage = JSON.parse(message);
+      parsedMessage = clientState.codec.decode(message);
     } catch (error) {
-      return this._sendToClient(clientState, {
-        type: 'error',
-        message: 'Invalid JSON message'
-      });
+      return this._sendToClient(clientState, protocol.errorMessage(ERROR_CODES.BAD_JSON, 'Invalid message encoding'));
     }
     
     // 更新最后心跳时间
     clientState.lastHeartbeat = Date.now();
     
+    // 按协议校验后再分发，不符合协议的消息不进入处理函数
+    const invalid = protocol.validateInbound(parsedMessage);
+    
+    if (invalid) {
+      console.log(`Invalid message from client ${clientState.clientId}: ${invalid.message}`, invalid.details);
+      return this._sendToClient(clientState, protocol.errorMessage(invalid.code, invalid.message, {
+        requestId: typeof parsedMessage.requestId === 'string' ? parsedMessage.requestId : undefined,
+        details: invalid.details
+      }));
+    }
+    
     // 根据消息类型处理
     switch (parsedMessage.type) {
       case 'auth':
-        this._handleAuth(parsedMessage, clientState);
+        this._handleAuth(parsedMessage, clientState).catch(error => this._sendInternalError(clientState, error));
         break;
         
       case 'ping':
         this._handlePing(parsedMessage, clientState);
         break;
         
+      case 'ack':
+        this._handleAck(parsedMessage, clientState);
+        break;
+        
+      case 'reauth':
+        this._handleReauth(parsedMessage, clientState).catch(error => this._sendInternalError(clientState, error));
+        break;
+        
       case 'request_data':
         // 只允许已认证的客户端请求数据
         if (!clientState.authenticated) {
-          return this._sendToClient(clientState, {
-            type: 'error',
-            message: 'Authentication required'
-          });
+          return this._sendToClient(clientState, protocol.errorMessage(ERROR_CODES.UNAUTHENTICATED, 'Authentication required', {
+            requestId: parsedMessage.requestId
+          }));
         }
         
         this._handleDataRequest(parsedMessage, clientState);
         break;
         
-      default:
-        console.log(`Received unknown message type (${clientState.clientId}):`, parsedMessage);
+      case 'cancel_task':
+        if (!clientState.authenticated) {
+          return this._sendToClient(clientState, protocol.errorMessage(ERROR_CODES.UNAUTHENTICATED, 'Authentication required', {
+            requestId: parsedMessage.requestId
+          }));
+        }
+        
+        this._handleCancelTask(parsedMessage, clientState);
+        break;
     }
   }
   
-  _handleAuth(message, clientState) {
-    const { token } = message;
+  async _handleAuth(message, clientState) {
+    const { token, apiKey } = message;
     
-    if (!token) {
+    if (!token && !apiKey) {
       return this._sendToClient(clientState, {
         type: 'auth_failure',
-        message: 'No authentication token provided'
+        code: ERROR_CODES.INVALID_CREDENTIALS,
+        message: 'No authentication token or API key provided'
       });
     }
     
-    // 验证JWT令牌
-    const decoded = jwtUtils.verifyToken(token);
+    // 验证JWT令牌，后端服务可以用API密钥代替令牌
+    let decoded;
+    if (apiKey) {
+      decoded = this.apiKeyStore.authenticate(apiKey);
+    } else {
+      await jwtUtils.loadVerificationKey(token);
+      decoded = jwtUtils.verifyToken(token);
+    }
     
     if (!decoded) {
       return this._sendToClient(clientState, {
         type: 'auth_failure',
-        message: 'Invalid authentication token'
+        code: ERROR_CODES.INVALID_CREDENTIALS,
+        message: apiKey ? 'Invalid API key' : 'Invalid authentication token'
       });
     }
     
+    this._authenticateClient(clientState, decoded, { acks: message.acks === true });
+  }
+  
+  _authenticateClient(clientState, decoded, options = {}) {
     const userId = decoded.userId || decoded.sub;
     
     if (!userId) {
       return this._sendToClient(clientState, {
         type: 'auth_failure',
+        code: ERROR_CODES.INVALID_CREDENTIALS,
         message: 'Invalid token: no user ID'
       });
     }
@@ -182,10 +388,17 @@ class WebSocketServer {
     // 更新客户端状态
     clientState.userId = userId;
     clientState.authenticated = true;
+    clientState.acks = options.acks === true;
+    this._applyToken(clientState, decoded);
     
     // 更新用户连接映射
     if (!this.userConnections.has(userId)) {
       this.userConnections.set(userId, new Set());
+      
+      // 该用户在本节点的第一个连接，将其结果路由到本节点
+      messageQueue.bindUser(userId).catch(error => {
+        console.error(`Failed to bind user ${userId}:`, error);
+      });
     }
     this.userConnections.get(userId).add(clientState.clientId);
     
@@ -194,8 +407,150 @@ class WebSocketServer {
     // 发送认证成功消息
     this._sendToClient(clientState, {
       type: 'auth_success',
-      userId
+      userId,
+      expiresAt: clientState.tokenExp
     });
+    
+    // 按顺序补发离线期间的消息
+    const pending = this.offlineStore.drain(userId);
+    if (pending.length > 0) {
+      console.log(`Flushing ${pending.length} offline messages to user ${userId}`);
+    }
+    for (const message of pending) {
+      this._sendTracked(clientState, message, this._createDelivery(userId, message));
+    }
+  }
+  
+  /**
+   * 用新令牌替换连接当前的令牌，不需要重新连接；新令牌必须属于同一用户
+   */
+  async _handleReauth(message, clientState) {
+    if (!clientState.authenticated) {
+      return this._sendToClient(clientState, {
+        type: 'reauth_failure',
+        code: ERROR_CODES.UNAUTHENTICATED,
+        message: 'Authentication required'
+      });
+    }
+    
+    await jwtUtils.loadVerificationKey(message.token);
+    const decoded = jwtUtils.verifyToken(message.token);
+    
+    if (!decoded || (decoded.userId || decoded.sub) !== clientState.userId) {
+      return this._sendToClient(clientState, {
+        type: 'reauth_failure',
+        code: ERROR_CODES.INVALID_CREDENTIALS,
+        message: 'Invalid authentication token'
+      });
+    }
+    
+    this._applyToken(clientState, decoded);
+    
+    console.log(`Client ${clientState.clientId} refreshed its token`);
+    
+    this._sendToClient(clientState, {
+      type: 'reauth_success',
+      expiresAt: clientState.tokenExp
+    });
+  }
+  
+  /**
+   * 记录当前令牌的ID和作用域，并根据令牌的exp安排过期提醒和过期处理：
+   * 过期前 tokenExpiryWarning 推送 token_expiring，过期时推送 token_expired 并以4002关闭连接
+   */
+  _applyToken(clientState, decoded) {
+    this._clearTokenTimers(clientState);
+    clientState.tokenJti = decoded.jti || null;
+    clientState.scopes = Array.isArray(decoded.scopes) ? decoded.scopes : [];
+    
+    if (!decoded.exp) {
+      clientState.tokenExp = null;
+      return;
+    }
+    
+    clientState.tokenExp = decoded.exp * 1000;
+    const remaining = clientState.tokenExp - Date.now();
+    
+    clientState.tokenTimers.push(setTimeout(() => {
+      this._sendToClient(clientState, {
+        type: 'token_expiring',
+        expiresAt: clientState.tokenExp
+      });
+    }, Math.max(0, remaining - config.ws.tokenExpiryWarning)));
+    
+    clientState.tokenTimers.push(setTimeout(() => {
+      console.log(`Client ${clientState.clientId} token expired, closing connection`);
+      this._sendToClient(clientState, {
+        type: 'token_expired',
+        message: 'Authentication token expired'
+      });
+      clientState.ws.close(4002, 'Token expired');
+    }, Math.max(0, remaining)));
+  }
+  
+  // 断开所有使用已吊销令牌的连接
+  _disconnectRevoked(jti) {
+    for (const clientState of this.clients.values()) {
+      if (clientState.tokenJti !== jti) {
+        continue;
+      }
+      
+      console.log(`Client ${clientState.clientId} token revoked, closing connection`);
+      this._sendToClient(clientState, {
+        type: 'token_revoked',
+        message: 'Authentication token revoked'
+      });
+      clientState.ws.close(4003, 'Token revoked');
+    }
+  }
+  
+  /**
+   * 由管理员断开连接：先告知客户端原因，再以4004关闭，客户端收到后不再自动重连
+   */
+  _disconnectClient(clientState, reason) {
+    this._sendToClient(clientState, {
+      type: 'disconnected',
+      reason
+    });
+    clientState.ws.close(4004, 'Disconnected by admin');
+  }
+  
+  /**
+   * 向本节点在线的连接发送公告，不写入离线收件箱；省略userIds时发送给所有已认证的连接
+   * @return {Number} 成功发送的连接数
+   */
+  _broadcastAnnouncement(announcement, userIds) {
+    let delivered = 0;
+    
+    for (const clientState of this.clients.values()) {
+      if (!clientState.authenticated || (userIds && !userIds.includes(clientState.userId))) {
+        continue;
+      }
+      
+      if (this._sendToClient(clientState, announcement)) {
+        delivered++;
+      }
+    }
+    return delivered;
+  }
+  
+  _clearTokenTimers(clientState) {
+    for (const timer of clientState.tokenTimers) {
+      clearTimeout(timer);
+    }
+    clientState.tokenTimers = [];
+  }
+  
+  _handleAck(message, clientState) {
+    const entry = clientState.pendingAcks.get(message.messageId);
+    
+    if (!entry) {
+      return;
+    }
+    
+    clientState.pendingAcks.delete(message.messageId);
+    this._settleDelivery(entry.delivery);
+    entry.absorbed.forEach(delivery => this._settleDelivery(delivery));
   }
   
   _handlePing(message, clientState) {
@@ -208,6 +563,18 @@ class WebSocketServer {
   }
   
   _handleDataRequest(message, clientState) {
+    const dataType = (message.params && message.params.dataType) || 'default';
+    
+    if (!taskHandlers.hasHandler(dataType)) {
+      return this._sendToClient(clientState, protocol.errorMessage(ERROR_CODES.UNKNOWN_DATA_TYPE, `Unknown data type: ${dataType}`, {
+        requestId: message.requestId
+      }));
+    }
+    
+    if (!permissions.canRequestDataType(clientState.scopes, dataType)) {
+      return this._sendForbidden(clientState, message.requestId, `Not allowed to request data type: ${dataType}`);
+    }
+    
     console.log(`User ${clientState.userId} requested data:`, message);
     
     // 将请求发送到任务队列
@@ -219,6 +586,8 @@ class WebSocketServer {
         timestamp: Date.now()
       };
       
+      this.taskStatusStore.add(task);
+      
       messageQueue.sendTask(task)
         .then(() => {
           // 告知客户端任务已提交
@@ -231,26 +600,61 @@ class WebSocketServer {
         })
         .catch(error => {
           console.error('Failed to send task to queue:', error);
-          this._sendToClient(clientState, {
-            type: 'error',
-            requestId: message.requestId,
-            message: 'Server error: Failed to process request'
-          });
+          this.taskStatusStore.setStatus(task.taskId, 'error');
+          this._sendToClient(clientState, protocol.errorMessage(ERROR_CODES.INTERNAL, 'Server error: Failed to process request', {
+            requestId: message.requestId
+          }));
         });
     } else {
-      this._sendToClient(clientState, {
-        type: 'error',
-        requestId: message.requestId,
-        message: 'Server error: Message queue not connected'
-      });
+      this._sendToClient(clientState, protocol.errorMessage(ERROR_CODES.INTERNAL, 'Server error: Message queue not connected', {
+        requestId: message.requestId
+      }));
     }
   }
   
+  /**
+   * 广播取消请求；任务由taskId或客户端的requestId指定，只能取消自己的任务
+   * 取消成功后用户会收到 status 为 cancelled 的结果推送，任务不存在或已结束时不回复
+   */
+  _handleCancelTask(message, clientState) {
+    messageQueue.publishCancellation({
+      taskId: message.taskId,
+      requestId: message.requestId,
+      userId: clientState.userId,
+      admin: false
+    }).then(() => {
+      console.log(`User ${clientState.userId} requested cancellation of ${message.taskId || `request ${message.requestId}`}`);
+    }).catch(error => {
+      console.error('Failed to publish task cancellation:', error);
+      this._sendToClient(clientState, protocol.errorMessage(ERROR_CODES.INTERNAL, 'Server error: Failed to cancel task', {
+        requestId: message.requestId
+      }));
+    });
+  }
+  
+  _sendForbidden(clientState, requestId, message) {
+    console.log(`User ${clientState.userId} forbidden: ${message}`);
+    
+    this._sendToClient(clientState, protocol.errorMessage(ERROR_CODES.FORBIDDEN, message, { requestId }));
+  }
+  
+  _sendInternalError(clientState, error) {
+    console.error(`Error handling message from client ${clientState.clientId}:`, error);
+    
+    this._sendToClient(clientState, protocol.errorMessage(ERROR_CODES.INTERNAL, 'Server error'));
+  }
+  
   _sendToClient(clientState, data) {
+    if (config.ws.validateOutbound) {
+      const errors = protocol.validateOutbound(data);
+      if (errors) {
+        console.warn(`Outgoing ${data.type} message does not match the protocol:`, errors);
+      }
+    }
+    
     if (clientState.ws.readyState === WebSocket.OPEN) {
       try {
-        clientState.ws.send(JSON.stringify(data));
-        return true;
+        return clientState.outbox.send(data);
       } catch (error) {
         console.error(`Error sending message to client ${clientState.clientId}:`, error);
         return false;
@@ -262,7 +666,8 @@ class WebSocketServer {
   _sendToUser(userId, data) {
     const userConnections = this.userConnections.get(userId);
     if (!userConnections || userConnections.size === 0) {
-      console.log(`User ${userId} has no active connections, cannot send message`);
+      console.log(`User ${userId} has no active connections, storing message in offline inbox`);
+      this.offlineStore.push(userId, data);
       return 0;
     }
     
@@ -279,6 +684,317 @@ class WebSocketServer {
     return successCount;
   }
   
+  /**
+   * 可靠地向用户推送消息（至少一次）
+   * 消息放入用户各连接的出站队列，没有可用连接时写入离线收件箱，返回时消息已交付，可以确认RabbitMQ消息。
+   * 启用确认的连接都没有确认（超过最大发送次数或连接断开）时，消息转入离线收件箱；
+   * 节点在客户端确认前退出时，这些消息会丢失
+   * @param {String} userId - 用户ID
+   * @param {Object} data - 要推送的数据
+   * @return {Number} 消息放入出站队列的连接数，0表示已写入离线收件箱
+   */
+  _deliverToUser(userId, data) {
+    const message = { ...data, messageId: uuidv4() };
+    const delivery = this._createDelivery(userId, message);
+    const userConnections = this.userConnections.get(userId) || new Set();
+    let sentCount = 0;
+    let delivered = false;
+    
+    for (const clientId of userConnections) {
+      const clientState = this.clients.get(clientId);
+      
+      if (!clientState || !this._sendTracked(clientState, message, delivery)) {
+        continue;
+      }
+      
+      sentCount++;
+      if (!clientState.acks) {
+        delivered = true;
+      }
+    }
+    
+    if (delivered) {
+      this._settleDelivery(delivery);
+    } else if (delivery.waiting.size === 0) {
+      console.log(`User ${userId} has no active connections, storing message in offline inbox`);
+      this.offlineStore.push(userId, message);
+      this._settleDelivery(delivery);
+    }
+    
+    return sentCount;
+  }
+  
+  _createDelivery(userId, message) {
+    return {
+      userId,
+      message,
+      waiting: new Set(), // 尚未确认的连接
+      settled: false // 已有连接确认、已发送到未启用确认的连接或已转入离线收件箱
+    };
+  }
+  
+  /**
+   * 向连接发送推送，启用确认的连接记录等待确认的消息
+   * 先记录再发送：消息在出站队列中可能与后续消息合并，合并时需要找到双方的确认记录
+   * @param {Object} clientState - 客户端状态
+   * @param {Object} message - 带有messageId的推送
+   * @param {Object} delivery - 见 _createDelivery
+   * @return {Boolean} 是否发送成功
+   */
+  _sendTracked(clientState, message, delivery) {
+    if (!clientState.acks) {
+      return this._sendToClient(clientState, message);
+    }
+    
+    this._trackAck(clientState, message, delivery);
+    
+    if (this._sendToClient(clientState, message)) {
+      return true;
+    }
+    
+    clientState.pendingAcks.delete(message.messageId);
+    delivery.waiting.delete(clientState.clientId);
+    return false;
+  }
+  
+  _trackAck(clientState, message, delivery) {
+    delivery.waiting.add(clientState.clientId);
+    clientState.pendingAcks.set(message.messageId, {
+      message,
+      delivery,
+      absorbed: [], // 合并进该消息的其他推送的投递，确认或失败时一并处理
+      attempts: 1,
+      sentAt: Date.now()
+    });
+  }
+  
+  /**
+   * 出站队列合并两条推送后，较新消息的投递并入较早消息的确认记录，重发时发送合并后的消息
+   * 投递失败时各投递仍将各自原来的消息转入离线收件箱
+   */
+  _coalesceTracked(clientState, older, newer, merged) {
+    const entry = clientState.pendingAcks.get(older.messageId);
+    const absorbed = clientState.pendingAcks.get(newer.messageId);
+    
+    if (!entry || !absorbed) {
+      return;
+    }
+    
+    clientState.pendingAcks.delete(newer.messageId);
+    entry.message = merged;
+    entry.absorbed.push(absorbed.delivery, ...absorbed.absorbed);
+  }
+  
+  _settleDelivery(delivery) {
+    delivery.settled = true;
+  }
+  
+  _failDelivery(delivery, clientId) {
+    delivery.waiting.delete(clientId);
+    
+    // 所有连接都未确认，转入离线收件箱，用户重连后补发
+    if (delivery.waiting.size === 0 && !delivery.settled) {
+      console.log(`Message ${delivery.message.messageId} not acknowledged, storing in offline inbox`);
+      this.offlineStore.push(delivery.userId, delivery.message);
+      this._settleDelivery(delivery);
+    }
+  }
+  
+  _failEntry(entry, clientId) {
+    this._failDelivery(entry.delivery, clientId);
+    entry.absorbed.forEach(delivery => this._failDelivery(delivery, clientId));
+  }
+  
+  _redeliverPending(clientState) {
+    const now = Date.now();
+    
+    for (const [messageId, entry] of clientState.pendingAcks) {
+      if (now - entry.sentAt < config.ws.ackTimeout) {
+        continue;
+      }
+      
+      if (entry.attempts >= config.ws.maxDeliveryAttempts) {
+        clientState.pendingAcks.delete(messageId);
+        this._failEntry(entry, clientState.clientId);
+        continue;
+      }
+      
+      entry.attempts++;
+      entry.sentAt = now;
+      this._sendToClient(clientState, entry.message);
+    }
+  }
+  
+  async _handleHttpRequest(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    
+    // 背压统计，需要管理权限
+    if (req.method === 'GET' && pathname === '/metrics') {
+      if (!(await this._authorizeAdmin(req, res))) {
+        return;
+      }
+      
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        connections: this.clients.size,
+        backpressure: {
+          policy: config.ws.backpressure.policy,
+          ...backpressure.getMetrics()
+        }
+      }));
+      return;
+    }
+    
+    // 连接管理，需要管理权限；每个节点只管理自己持有的连接
+    if (pathname.startsWith('/admin/')) {
+      return this._handleAdminRequest(req, res, pathname);
+    }
+    
+    this._sendJson(res, 404, { error: 'Not found' });
+  }
+  
+  // 管理接口只作用于本节点持有的连接：列表和断开都不会转发到其他节点
+  async _handleAdminRequest(req, res, pathname) {
+    const admin = await this._authorizeAdmin(req, res);
+    if (!admin) {
+      return;
+    }
+    
+    let match;
+    
+    if (req.method === 'GET' && pathname === '/admin/connections') {
+      const userId = new URL(req.url, 'http://localhost').searchParams.get('userId');
+      const connections = [];
+      
+      for (const clientState of this.clients.values()) {
+        if (!userId || clientState.userId === userId) {
+          connections.push(this._describeConnection(clientState));
+        }
+      }
+      return this._sendJson(res, 200, connections);
+    }
+    
+    if (req.method !== 'POST') {
+      return this._sendJson(res, 404, { error: 'Not found' });
+    }
+    
+    let body;
+    try {
+      body = await new Promise((resolve, reject) => {
+        parseJsonBody(req, res, error => (error ? reject(error) : resolve(req.body || {})));
+      });
+    } catch (error) {
+      return this._sendJson(res, 400, { error: 'Invalid JSON body' });
+    }
+    
+    const adminId = admin.userId || admin.sub;
+    const reason = typeof body.reason === 'string' && body.reason.trim()
+      ? body.reason.trim().slice(0, 200)
+      : 'Disconnected by an administrator';
+    
+    if ((match = pathname.match(/^\/admin\/connections\/([^/]+)\/disconnect$/))) {
+      const clientId = decodePathSegment(match[1]);
+      if (clientId === null) {
+        return this._sendJson(res, 400, { error: 'Invalid connection ID' });
+      }
+      
+      const clientState = this.clients.get(clientId);
+      
+      if (!clientState) {
+        return this._sendJson(res, 404, { error: 'Connection not found' });
+      }
+      
+      console.log(`Admin ${adminId} disconnected client ${clientState.clientId}: ${reason}`);
+      this._disconnectClient(clientState, reason);
+      return this._sendJson(res, 200, { success: true });
+    }
+    
+    if ((match = pathname.match(/^\/admin\/users\/([^/]+)\/disconnect$/))) {
+      const userId = decodePathSegment(match[1]);
+      if (userId === null) {
+        return this._sendJson(res, 400, { error: 'Invalid user ID' });
+      }
+      
+      const clientIds = Array.from(this.userConnections.get(userId) || []);
+      
+      for (const clientId of clientIds) {
+        this._disconnectClient(this.clients.get(clientId), reason);
+      }
+      
+      console.log(`Admin ${adminId} disconnected ${clientIds.length} connections of user ${userId}: ${reason}`);
+      return this._sendJson(res, 200, { success: true, disconnected: clientIds.length });
+    }
+    
+    if (pathname === '/admin/announcements') {
+      const { message, userIds } = body;
+      
+      if (typeof message !== 'string' || !message.trim() || message.length > config.ws.announcementMaxLength) {
+        return this._sendJson(res, 400, {
+          error: `Announcement must be a non-empty string of at most ${config.ws.announcementMaxLength} characters`
+        });
+      }
+      if (userIds !== undefined && (!Array.isArray(userIds) || !userIds.every(id => typeof id === 'string'))) {
+        return this._sendJson(res, 400, { error: 'userIds must be an array of user IDs' });
+      }
+      
+      const delivered = this._broadcastAnnouncement({
+        type: 'announcement',
+        message: message.trim(),
+        from: adminId,
+        sentAt: Date.now()
+      }, userIds);
+      
+      console.log(`Admin ${adminId} sent an announcement to ${delivered} connections`);
+      return this._sendJson(res, 200, { success: true, delivered });
+    }
+    
+    this._sendJson(res, 404, { error: 'Not found' });
+  }
+  
+  _describeConnection(clientState) {
+    return {
+      clientId: clientState.clientId,
+      userId: clientState.userId,
+      authenticated: clientState.authenticated,
+      ip: clientState.ip,
+      protocol: clientState.ws.protocol || encoding.DEFAULT_PROTOCOL,
+      connectedAt: clientState.connectionTime,
+      lastHeartbeat: clientState.lastHeartbeat,
+      subscriptions: [], // 本版本按用户路由结果，没有频道订阅
+      pendingAcks: clientState.pendingAcks.size
+    };
+  }
+  
+  _sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  }
+  
+  /**
+   * 检查HTTP请求的令牌是否有管理权限
+   * 未提供有效令牌时回复401，没有管理权限时回复403
+   * @return {Promise<Object|null>} 令牌内容，不允许继续处理时为null
+   */
+  async _authorizeAdmin(req, res) {
+    const token = jwtUtils.extractToken(req);
+    await jwtUtils.loadVerificationKey(token);
+    const decoded = token ? jwtUtils.verifyToken(token) : null;
+    
+    if (!decoded) {
+      res.writeHead(401, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Authentication required', code: 'unauthorized' }));
+      return null;
+    }
+    
+    if (!permissions.isAdmin(decoded.scopes)) {
+      res.writeHead(403, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Forbidden', code: 'forbidden' }));
+      return null;
+    }
+    
+    return decoded;
+  }
+  
   start() {
     this.server.listen(config.port.ws, () => {
       console.log(`WebSocket server started, listening on port ${config.port.ws}`);
@@ -291,6 +1007,14 @@ class WebSocketServer {
       clientState.ws.close();
     }
     
+    clearInterval(this.offlinePurgeTimer);
+    this.offlineStore.close();
+    this.taskStatusStore.close();
+    
+    if (this.keySet) {
+      this.keySet.stopRefresh();
+    }
+    
     // 清空映射
     this.clients.clear();
     this.userConnections.clear();
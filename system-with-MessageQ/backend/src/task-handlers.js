@@ -0,0 +1,128 @@
+// task-handlers.js - 任务处理器注册表
+// 任务处理器按 request_data 中 params.dataType 注册；WebSocket节点提交任务前据此拒绝未知的数据类型，
+// 任务处理器进程（task-processor.js）据此选择处理器。两者加载同一份注册表，新增处理器后需要重启两者。
+//
+// 处理器约定: handler(params, context) 返回异步迭代器（通常是 async function*），每次产出一批数据项（数组）
+//   params: { taskId, userId, requestId, dataType, options }，options 为 request_data 的 params
+//   context.signal: AbortSignal，任务被取消时触发；处理器应停止等待并尽快返回（此后产出的批次会被丢弃）
+//   context.reportProgress({ processedItems, totalItems, progress }): 报告进度，在产出一批之前调用，
+//     推送中的进度以最近一次报告为准；未报告时按已产出的数据项数计算，progress 为百分比
+// 已处理的数据项达到 totalItems 时，该批即为最后一批（status 为 completed）；迭代结束时未达到 totalItems
+// （或未报告总数）的，再推送一条不含数据项的最终结果。处理器抛出的错误以 status 为 error 的结果推送给用户
+
+const { v4: uuidv4 } = require('uuid');
+
+// dataType -> 处理器
+const handlers = new Map();
+
+/**
+ * 注册任务处理器，已注册的数据类型会被替换
+ * 新的数据类型还需要在 config.permissions 中授予相应的作用域，用户才能请求
+ * @param {String} dataType - 数据类型
+ * @param {Function} handler - 任务处理器
+ */
+function registerHandler(dataType, handler) {
+  if (typeof dataType !== 'string' || !dataType) {
+    throw new Error('Data type is required');
+  }
+  if (typeof handler !== 'function') {
+    throw new Error(`Handler for data type ${dataType} must be a function`);
+  }
+
+  handlers.set(dataType, handler);
+}
+
+/**
+ * 获取数据类型的处理器
+ * @param {String} dataType - 数据类型
+ * @return {Function|null} 任务处理器，未注册返回null
+ */
+function getHandler(dataType) {
+  return handlers.get(dataType) || null;
+}
+
+/**
+ * 判断数据类型是否有处理器
+ * @param {String} dataType - 数据类型
+ * @return {Boolean} 是否已注册
+ */
+function hasHandler(dataType) {
+  return handlers.has(dataType);
+}
+
+/**
+ * 列出已注册的数据类型
+ * @return {Array<String>} 数据类型
+ */
+function listDataTypes() {
+  return Array.from(handlers.keys());
+}
+
+/**
+ * 等待一段时间，signal 触发时提前结束并抛出 AbortError
+ * @param {Number} ms - 等待时间（毫秒）
+ * @param {AbortSignal} signal - 取消信号
+ * @return {Promise<void>}
+ */
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      return reject(signal.reason);
+    }
+
+    const timer = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    function onAbort() {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }
+
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * 示例处理器 - 模拟长时间运行的处理，完成后产出一条示例结果
+ * 替换为您的实际业务逻辑，例如数据分析、报表生成等耗时操作
+ */
+async function* sampleHandler(params, context) {
+  const processingTime = Math.floor(Math.random() * 10000) + 5000; // 5-15秒
+  await delay(processingTime, context.signal);
+
+  context.reportProgress({ processedItems: 1, totalItems: 1 });
+
+  // 示例数据，根据实际业务替换
+  yield [{
+    id: uuidv4(),
+    dataType: params.dataType,
+    message: `Task ${params.taskId} completed`,
+    processedAt: new Date().toISOString(),
+    processingTime: `${processingTime}ms`,
+    results: {
+      totalItems: Math.floor(Math.random() * 100),
+      processedItems: Math.floor(Math.random() * 100),
+      status: 'success',
+      // 其他业务数据...
+      metrics: {
+        score: Math.random() * 100,
+        accuracy: Math.random() * 100
+      }
+    }
+  }];
+}
+
+// 内置处理器
+for (const dataType of ['default', 'analysis', 'metrics', 'report']) {
+  registerHandler(dataType, sampleHandler);
+}
+
+module.exports = {
+  registerHandler,
+  getHandler,
+  hasHandler,
+  listDataTypes,
+  delay
+};
@@ -1,11 +1,15 @@
 // task-processor.js
-const { v4: uuidv4 } = require('uuid');
 const config = require('./config');
 const messageQueue = require('./utils/message-queue');
+const taskHandlers = require('./task-handlers');
+const { TaskStatusStore } = require('./utils/task-status-store');
 
 class TaskProcessor {
   constructor() {
     this.processing = false;
+    this.running = new Map(); // taskId -> {task, cancel}，正在处理的任务
+    this.cancellations = []; // 尚未匹配到任务的取消请求，任务出队时检查，超过 cancellationTTL 或任务结束后丢弃
+    this.taskStatusStore = new TaskStatusStore(config.tasks.status);
   }
   
   async start() {
@@ -17,61 +21,239 @@ class TaskProcessor {
     
     this.processing = true;
     
+    // 接收取消请求
+    await messageQueue.consumeCancellations(cancellation => this.cancelTask(cancellation));
+    
     // 开始消费任务队列
     await messageQueue.consumeTasks(async (task) => {
       console.log('Received new task');
       // 处理任务
-      await this.processTask(task);
+      const result = await this.processTask(task);
+      this.taskStatusStore.setStatus(task.taskId, result.status);
+      
+      // 通知各任务处理器丢弃为该任务保存的取消请求（发送结果失败时任务会重新入队，不在此列）
+      messageQueue.publishTaskFinished({
+        taskId: task.taskId,
+        requestId: task.requestData.requestId,
+        userId: task.userId
+      }).catch(error => {
+        console.error(`Failed to publish completion of task ${task.taskId}:`, error);
+      });
     });
     
     console.log('Task processor started');
   }
   
+  /**
+   * 处理任务
+   * @param {Object} task - 任务
+   * @return {Object} 最后发送的结果，status 为 completed、error 或 cancelled
+   */
   async processTask(task) {
     const { taskId, userId, requestData } = task;
     
-    console.log(`Starting to process task ${taskId} (user ${userId})`);
+    // 任务在队列中时已被取消
+    if (this._takeCancellation(task)) {
+      return this._sendCancelled(task);
+    }
+    
+    const dataType = (requestData.params && requestData.params.dataType) || 'default';
+    const handler = taskHandlers.getHandler(dataType);
+    
+    // WebSocket节点提交前已检查数据类型，这里处理两者加载的处理器不一致的情况
+    if (!handler) {
+      return this._sendError(task, `Unknown data type: ${dataType}`);
+    }
+    
+    console.log(`Starting to process task ${taskId} (user ${userId}, data type ${dataType})`);
     
-    // 模拟长时间运行的处理 - 这里可以是您的实际业务逻辑
-    // 例如数据分析、报表生成等耗时操作
-    const processingTime = Math.floor(Math.random() * 10000) + 5000; // 5-15秒
-    await new Promise(resolve => setTimeout(resolve, processingTime));
+    const controller = new AbortController();
+    this.running.set(taskId, { task, cancel: () => controller.abort() });
+    this.taskStatusStore.setStatus(taskId, 'processing');
+    
+    try {
+      return await this._runHandler(task, handler, dataType, controller.signal);
+    } finally {
+      this.running.delete(taskId);
+    }
+  }
+  
+  /**
+   * 运行任务处理器，把产出的每批数据项作为结果发送到结果队列
+   * 处理器出错时发送 status 为 error 的结果（不重新入队）；发送结果失败时抛出，由消息队列重新入队
+   * @param {Object} task - 任务
+   * @param {Function} handler - 任务处理器，见 task-handlers.js
+   * @param {String} dataType - 数据类型
+   * @param {AbortSignal} signal - 取消信号
+   * @return {Object} 最后发送的结果
+   */
+  async _runHandler(task, handler, dataType, signal) {
+    const { taskId, userId, requestData } = task;
+    const requestId = requestData.requestId;
+    
+    let reported = {};
+    let processedItems = 0;
+    let batchNumber = 0;
+    
+    const context = {
+      signal,
+      reportProgress: (progress) => {
+        reported = { ...reported, ...progress };
+      }
+    };
+    const params = { taskId, userId, requestId, dataType, options: requestData.params || {} };
     
-    // 生成任务结果 - 替换为您的实际结果数据
+    try {
+      for await (const batchItems of handler(params, context)) {
+        if (signal.aborted) {
+          break;
+        }
+        
+        batchNumber++;
+        processedItems = reported.processedItems !== undefined ? reported.processedItems : processedItems + batchItems.length;
+        
+        const totalItems = reported.totalItems !== undefined ? reported.totalItems : null;
+        const isFinal = totalItems !== null && processedItems >= totalItems;
+        const progress = reported.progress !== undefined
+          ? reported.progress
+          : (totalItems ? Math.round((processedItems / totalItems) * 100) : null);
+        
+        const result = {
+          taskId,
+          status: isFinal ? 'completed' : 'processing',
+          requestId,
+          timestamp: Date.now(),
+          batchNumber,
+          data: { totalItems, processedItems, progress, isFinal, results: batchItems }
+        };
+        
+        await messageQueue.sendResult(userId, result);
+        
+        if (isFinal) {
+          console.log(`Task ${taskId} completed, result sent to result queue`);
+          return result;
+        }
+      }
+    } catch (error) {
+      // 取消导致处理器中止
+      if (!signal.aborted) {
+        console.error(`Task ${taskId} failed:`, error);
+        return this._sendError(task, error.message);
+      }
+    }
+    
+    if (signal.aborted) {
+      return this._sendCancelled(task);
+    }
+    
+    // 处理器结束时没有报告总数，或产出的数据项少于报告的总数，单独发送最终结果
     const result = {
       taskId,
       status: 'completed',
-      requestId: requestData.requestId,
+      requestId,
+      message: batchNumber === 0 ? 'Nothing to process' : `Task ${taskId} completed`,
       timestamp: Date.now(),
-      data: {
-        // 示例数据，根据实际业务替换
-        id: uuidv4(),
-        message: `Task ${taskId} completed`,
-        processedAt: new Date().toISOString(),
-        processingTime: `${processingTime}ms`,
-        results: {
-          totalItems: Math.floor(Math.random() * 100),
-          processedItems: Math.floor(Math.random() * 100),
-          status: 'success',
-          // 其他业务数据...
-          metrics: {
-            score: Math.random() * 100,
-            accuracy: Math.random() * 100
-          }
-        }
-      }
+      batchNumber,
+      data: { totalItems: processedItems, processedItems, progress: 100, isFinal: true, results: [] }
     };
     
-    // 将结果发送到结果队列
     await messageQueue.sendResult(userId, result);
     
     console.log(`Task ${taskId} completed, result sent to result queue`);
     return result;
   }
   
+  /**
+   * 处理取消请求：取消正在处理的匹配任务，否则保留请求，任务出队时再取消
+   * 任务结束的通知（finished 为 true）移除为该任务保留的请求
+   * @param {Object} cancellation - {taskId, requestId, userId, admin, requestedAt, finished}
+   */
+  cancelTask(cancellation) {
+    if (cancellation.finished) {
+      const task = {
+        taskId: cancellation.taskId,
+        userId: cancellation.userId,
+        requestData: { requestId: cancellation.requestId }
+      };
+      this.cancellations = this.cancellations.filter(c => !this._matches(c, task));
+      return;
+    }
+    
+    for (const { task, cancel } of this.running.values()) {
+      if (this._matches(cancellation, task)) {
+        console.log(`Cancelling task ${task.taskId} (requested by ${cancellation.userId})`);
+        cancel();
+        return;
+      }
+    }
+    
+    this._pruneCancellations();
+    this.cancellations.push(cancellation);
+  }
+  
+  // 取出与出队任务匹配的取消请求，过期的请求不再生效
+  _takeCancellation(task) {
+    this._pruneCancellations();
+    
+    const index = this.cancellations.findIndex(c => this._matches(c, task));
+    
+    if (index === -1) {
+      return false;
+    }
+    
+    this.cancellations.splice(index, 1);
+    return true;
+  }
+  
+  // 清理过期的取消请求
+  _pruneCancellations() {
+    const now = Date.now();
+    this.cancellations = this.cancellations.filter(c => c.requestedAt + config.tasks.cancellationTTL > now);
+  }
+  
+  // 取消请求指定了taskId或requestId，且请求者是任务的所有者或管理员
+  _matches(cancellation, task) {
+    const sameTask = cancellation.taskId
+      ? cancellation.taskId === task.taskId
+      : cancellation.requestId === task.requestData.requestId;
+    
+    return sameTask && (cancellation.admin || cancellation.userId === task.userId);
+  }
+  
+  async _sendError(task, error) {
+    const result = {
+      taskId: task.taskId,
+      status: 'error',
+      requestId: task.requestData.requestId,
+      error,
+      timestamp: Date.now()
+    };
+    
+    await messageQueue.sendResult(task.userId, result);
+    
+    console.log(`Task ${task.taskId} failed: ${error}`);
+    return result;
+  }
+  
+  async _sendCancelled(task) {
+    const result = {
+      taskId: task.taskId,
+      status: 'cancelled',
+      requestId: task.requestData.requestId,
+      message: `Task ${task.taskId} cancelled`,
+      timestamp: Date.now()
+    };
+    
+    await messageQueue.sendResult(task.userId, result);
+    
+    console.log(`Task ${task.taskId} cancelled`);
+    return result;
+  }
+  
   async stop() {
     this.processing = false;
     await messageQueue.close();
+    this.taskStatusStore.close();
     console.log('Task processor stopped');
   }
 }
@@ -0,0 +1,4 @@
+// utils/encoding.js - WebSocket消息编码协商
+// 实现在 shared/encoding.js，这里传入本包安装的msgpack
+
+module.exports = require('../../../../shared/encoding').createEncoding(require('@msgpack/msgpack'));
@@ -2,11 +2,31 @@
 const amqp = require('amqplib');
 const config = require('../config');
 
+/**
+ * 跟踪通道是否仍然打开
+ * @param {Object} channel - amqplib通道
+ * @return {Function} 返回通道是否打开的函数
+ */
+function trackOpen(channel) {
+  let open = true;
+  channel.once('close', () => {
+    open = false;
+  });
+  return () => open;
+}
+
 class MessageQueue {
   constructor() {
     this.connection = null;
     this.channel = null;
     this.connected = false;
+    
+    // 本节点的结果队列（独占、服务器命名），以及已绑定的用户
+    this.nodeQueue = null;
+    this.boundUsers = new Set();
+    this.resultCallback = null;
+    this.revocationCallback = null;
+    this.cancellationCallback = null;
   }
   
   async connect() {
@@ -18,13 +38,35 @@ class MessageQueue {
       await this.channel.assertQueue(config.rabbitmq.taskQueue, { durable: true });
       await this.channel.assertQueue(config.rabbitmq.resultQueue, { durable: true });
       
+      // 结果按userId路由到持有该用户连接的节点；无节点绑定的结果经备用交换机进入结果队列
+      await this.channel.assertExchange(config.rabbitmq.unroutedExchange, 'fanout', { durable: true });
+      await this.channel.bindQueue(config.rabbitmq.resultQueue, config.rabbitmq.unroutedExchange, '');
+      await this.channel.assertExchange(config.rabbitmq.resultExchange, 'direct', {
+        durable: true,
+        alternateExchange: config.rabbitmq.unroutedExchange
+      });
+      await this.channel.assertExchange(config.rabbitmq.revocationExchange, 'fanout', { durable: true });
+      await this.channel.assertExchange(config.rabbitmq.cancellationExchange, 'fanout', { durable: true });
+      
       this.connected = true;
       console.log('Connected to RabbitMQ');
       
+      // 重连后恢复结果消费者和用户绑定
+      if (this.resultCallback) {
+        await this._setupResultConsumers();
+      }
+      if (this.revocationCallback) {
+        await this._setupRevocationConsumer();
+      }
+      if (this.cancellationCallback) {
+        await this._setupCancellationConsumer();
+      }
+      
       // 设置连接关闭监听器
       this.connection.on('close', () => {
         console.log('RabbitMQ connection closed');
         this.connected = false;
+        this.nodeQueue = null;
         // 尝试重新连接
         setTimeout(() => this.connect(), 5000);
       });
@@ -56,8 +98,9 @@ class MessageQueue {
       throw new Error('Not connected to RabbitMQ');
     }
     
-    return this.channel.sendToQueue(
-      config.rabbitmq.resultQueue,
+    return this.channel.publish(
+      config.rabbitmq.resultExchange,
+      String(userId),
       Buffer.from(JSON.stringify({
         userId,
         result
@@ -71,41 +114,232 @@ class MessageQueue {
       throw new Error('Not connected to RabbitMQ');
     }
     
+    // 任务可能运行很久，确认时使用投递它的通道（见 _setupResultConsumers）
+    const channel = this.channel;
+    const isOpen = trackOpen(channel);
+    
     // 设置QoS，每次只处理一个消息
-    this.channel.prefetch(1);
+    channel.prefetch(1);
     
-    return this.channel.consume(config.rabbitmq.taskQueue, async (msg) => {
+    return channel.consume(config.rabbitmq.taskQueue, async (msg) => {
       if (msg !== null) {
         try {
           const task = JSON.parse(msg.content.toString());
           await callback(task);
-          this.channel.ack(msg);
+          if (isOpen()) {
+            channel.ack(msg);
+          }
         } catch (error) {
           console.error('Error processing task:', error);
           // 重新入队
-          this.channel.nack(msg);
+          if (isOpen()) {
+            channel.nack(msg);
+          }
         }
       }
     });
   }
   
+  /**
+   * 消费任务结果
+   * 同时消费本节点的专属队列（已绑定用户的结果）和共享结果队列（无节点在线的用户的结果）
+   * @param {Function} callback - 处理结果的回调，参数为 {userId, result} 或 {userId, event}
+   */
   async consumeResults(callback) {
     if (!this.connected) {
       throw new Error('Not connected to RabbitMQ');
     }
     
-    return this.channel.consume(config.rabbitmq.resultQueue, (msg) => {
+    this.resultCallback = callback;
+    return this._setupResultConsumers();
+  }
+  
+  /**
+   * 将用户的结果路由到本节点
+   * 节点上出现该用户的第一个连接时调用
+   * @param {String} userId - 用户ID
+   */
+  async bindUser(userId) {
+    this.boundUsers.add(userId);
+    
+    if (this.connected && this.nodeQueue) {
+      await this.channel.bindQueue(this.nodeQueue, config.rabbitmq.resultExchange, String(userId));
+    }
+  }
+  
+  /**
+   * 停止将用户的结果路由到本节点
+   * 节点上该用户的最后一个连接关闭时调用
+   * @param {String} userId - 用户ID
+   */
+  async unbindUser(userId) {
+    this.boundUsers.delete(userId);
+    
+    if (this.connected && this.nodeQueue) {
+      await this.channel.unbindQueue(this.nodeQueue, config.rabbitmq.resultExchange, String(userId));
+    }
+  }
+  
+  /**
+   * 向用户的所有连接推送事件（如 profile_updated）
+   * 与任务结果一样按userId路由，用户不在线时进入共享结果队列，由节点转入离线收件箱
+   * @param {String} userId - 用户ID
+   * @param {Object} event - 推送给客户端的消息
+   */
+  async publishUserEvent(userId, event) {
+    if (!this.connected) {
+      throw new Error('Not connected to RabbitMQ');
+    }
+    
+    return this.channel.publish(
+      config.rabbitmq.resultExchange,
+      String(userId),
+      Buffer.from(JSON.stringify({
+        userId,
+        event
+      })),
+      { persistent: true }
+    );
+  }
+  
+  /**
+   * 广播令牌吊销事件
+   * @param {String} jti - 被吊销的令牌ID
+   * @param {Number} expiresAt - 令牌过期时间（毫秒时间戳）
+   */
+  async publishRevocation(jti, expiresAt) {
+    if (!this.connected) {
+      throw new Error('Not connected to RabbitMQ');
+    }
+    
+    return this.channel.publish(
+      config.rabbitmq.revocationExchange,
+      '',
+      Buffer.from(JSON.stringify({ jti, expiresAt }))
+    );
+  }
+  
+  /**
+   * 消费令牌吊销事件
+   * 每个节点使用自己的独占队列，只能收到节点启动后发生的吊销
+   * @param {Function} callback - 处理吊销事件的回调，参数为 {jti, expiresAt}
+   */
+  async consumeRevocations(callback) {
+    if (!this.connected) {
+      throw new Error('Not connected to RabbitMQ');
+    }
+    
+    this.revocationCallback = callback;
+    return this._setupRevocationConsumer();
+  }
+  
+  async _setupRevocationConsumer() {
+    const { queue } = await this.channel.assertQueue('', { exclusive: true, autoDelete: true });
+    await this.channel.bindQueue(queue, config.rabbitmq.revocationExchange, '');
+    
+    return this.channel.consume(queue, (msg) => {
+      if (msg !== null) {
+        try {
+          this.revocationCallback(JSON.parse(msg.content.toString()));
+        } catch (error) {
+          console.error('Error processing revocation:', error);
+        }
+      }
+    }, { noAck: true });
+  }
+  
+  /**
+   * 广播任务取消请求，正在处理或之后取到该任务的处理器负责取消
+   * @param {Object} cancellation - {taskId, requestId, userId, admin}，taskId和requestId至少提供一个；
+   *                                admin为true时不检查任务是否属于userId
+   */
+  async publishCancellation(cancellation) {
+    if (!this.connected) {
+      throw new Error('Not connected to RabbitMQ');
+    }
+    
+    return this.channel.publish(
+      config.rabbitmq.cancellationExchange,
+      '',
+      Buffer.from(JSON.stringify({ ...cancellation, requestedAt: Date.now() }))
+    );
+  }
+  
+  /**
+   * 广播任务已结束（完成、出错或被取消），各任务处理器丢弃为该任务保存的取消请求
+   * @param {Object} task - {taskId, requestId, userId}
+   */
+  async publishTaskFinished(task) {
+    return this.publishCancellation({ ...task, finished: true });
+  }
+  
+  /**
+   * 消费任务取消请求
+   * 每个任务处理器使用自己的独占队列，只能收到处理器启动后发出的取消请求
+   * @param {Function} callback - 处理取消请求的回调，参数为 {taskId, requestId, userId, admin, requestedAt}；
+   *                              任务结束的通知带有 finished: true，见 publishTaskFinished
+   */
+  async consumeCancellations(callback) {
+    if (!this.connected) {
+      throw new Error('Not connected to RabbitMQ');
+    }
+    
+    this.cancellationCallback = callback;
+    return this._setupCancellationConsumer();
+  }
+  
+  async _setupCancellationConsumer() {
+    const { queue } = await this.channel.assertQueue('', { exclusive: true, autoDelete: true });
+    await this.channel.bindQueue(queue, config.rabbitmq.cancellationExchange, '');
+    
+    return this.channel.consume(queue, (msg) => {
+      if (msg !== null) {
+        try {
+          this.cancellationCallback(JSON.parse(msg.content.toString()));
+        } catch (error) {
+          console.error('Error processing cancellation:', error);
+        }
+      }
+    }, { noAck: true });
+  }
+  
+  async _setupResultConsumers() {
+    // 消息只能在投递它的通道上确认：重连后 this.channel 已是新通道，旧的投递标签在新通道上无效。
+    // 通道关闭后未确认的消息会由RabbitMQ重新投递，因此不再确认
+    const channel = this.channel;
+    const isOpen = trackOpen(channel);
+    
+    const onMessage = async (msg) => {
       if (msg !== null) {
         try {
           const data = JSON.parse(msg.content.toString());
-          callback(data);
-          this.channel.ack(msg);
+          // 结果交付（放入连接的出站队列或写入离线收件箱）后确认消息，不等待客户端确认
+          await this.resultCallback(data);
+          if (isOpen()) {
+            channel.ack(msg);
+          }
         } catch (error) {
           console.error('Error processing result:', error);
-          this.channel.nack(msg);
+          if (isOpen()) {
+            channel.nack(msg);
+          }
         }
       }
-    });
+    };
+    
+    // 限制已投递到本节点、尚在处理中的结果数
+    await channel.prefetch(config.rabbitmq.resultPrefetch);
+    
+    // 独占队列随连接关闭自动删除，因此每次连接都要重新创建并绑定
+    const { queue } = await channel.assertQueue('', { exclusive: true, autoDelete: true });
+    this.nodeQueue = queue;
+    
+    for (const userId of this.boundUsers) {
+      await channel.bindQueue(queue, config.rabbitmq.resultExchange, String(userId));
+    }
+    
+    await channel.consume(queue, onMessage);
+    return channel.consume(config.rabbitmq.resultQueue, onMessage);
   }
   
   async close() {
@@ -118,6 +352,7 @@ class MessageQueue {
     }
     
     this.connected = false;
+    this.nodeQueue = null;
     console.log('Closed connection to RabbitMQ');
   }
 }
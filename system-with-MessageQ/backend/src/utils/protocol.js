@@ -0,0 +1,54 @@
+// utils/protocol.js - WebSocket消息协议
+// 用JSON Schema描述客户端和WebSocket服务器之间的每种消息；收到的消息在分发前校验，
+// 错误回复带有机器可读的错误码，客户端据此区分错误类型。
+// 错误码和两个服务器共有的消息定义在 shared/protocol.js，这里补充消息队列版特有的消息
+
+const Ajv = require('ajv');
+const shared = require('../../../../shared/protocol');
+
+const { ERROR_CODES, nonEmptyString, messageSchema } = shared;
+
+// 客户端 -> 服务器
+const INBOUND_SCHEMAS = {
+  ...shared.INBOUND_SCHEMAS,
+  // params由任务处理器解释，这里只约束dataType
+  request_data: messageSchema('request_data', {
+    requestId: nonEmptyString,
+    params: {
+      type: ['object', 'null'],
+      properties: { dataType: { type: ['string', 'null'], maxLength: 64 } }
+    }
+  }, ['requestId'])
+};
+
+// 服务器 -> 客户端
+const OUTBOUND_SCHEMAS = {
+  ...shared.OUTBOUND_SCHEMAS,
+  pong: messageSchema('pong', { timestamp: { type: 'number' }, echo: { type: ['number', 'null'] } }, ['timestamp'], false),
+  auth_success: messageSchema('auth_success', {
+    userId: nonEmptyString,
+    expiresAt: { type: ['number', 'null'] }
+  }, ['userId'], false),
+  data: messageSchema('data', { payload: {} }, ['payload'], false),
+  profile_updated: messageSchema('profile_updated', { user: { type: 'object' } }, ['user'], false)
+};
+
+const { validateInbound, validateOutbound } = shared.createValidators(new Ajv({ allErrors: true }), {
+  inbound: INBOUND_SCHEMAS,
+  outbound: OUTBOUND_SCHEMAS,
+  messages: {
+    notObject: 'Message must be an object with a type field',
+    unknownType: type => `Unknown message type: ${type}`,
+    badPayload: type => `Invalid ${type} message`,
+    undefinedType: type => `Undefined message type: ${type}`
+  }
+});
+
+module.exports = {
+  ERROR_CODES,
+  INBOUND_SCHEMAS,
+  OUTBOUND_SCHEMAS,
+  validateInbound,
+  validateOutbound,
+  errorMessage: shared.errorMessage
+};
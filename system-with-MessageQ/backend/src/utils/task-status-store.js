@@ -0,0 +1,104 @@
+// utils/task-status-store.js
+// 记录任务的当前状态，供API服务器在取消任务时判断任务是否存在、是否已结束。
+// WebSocket节点提交任务时写入 queued，任务处理器开始处理时更新为 processing，结束时更新为最终状态。
+// 各进程打开同一个SQLite数据库文件，因此只适用于部署在同一台主机上的进程
+
+const fs = require('fs');
+const path = require('path');
+
+// 任务结束后的状态，处于这些状态的任务不能再取消
+const FINAL_STATUSES = ['completed', 'error', 'cancelled'];
+
+/**
+ * SQLite任务状态存储 - 需要安装 better-sqlite3
+ */
+class TaskStatusStore {
+  /**
+   * @param {Object} options - 配置选项
+   * @param {String} options.filePath - 数据库文件路径
+   * @param {Number} options.retention - 状态记录保留时间（毫秒），从最后一次更新算起
+   */
+  constructor(options = {}) {
+    // 只有打开存储时才需要加载原生模块
+    const Database = require('better-sqlite3');
+
+    this.retention = options.retention || 24 * 60 * 60 * 1000;
+    this.filePath = options.filePath || path.join(__dirname, '../../storage/task-status.db');
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    this.db = new Database(this.filePath);
+    // WebSocket节点、任务处理器和API服务器同时读写同一个文件
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('busy_timeout = 5000');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS task_status (
+        task_id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        status TEXT NOT NULL,
+        updated_at INTEGER NOT NULL
+      )
+    `);
+  }
+
+  /**
+   * 记录新提交的任务，状态为 queued
+   * @param {Object} task - 任务 {taskId, userId}
+   */
+  add(task) {
+    this.db
+      .prepare('INSERT INTO task_status (task_id, user_id, status, updated_at) VALUES (?, ?, ?, ?) ON CONFLICT(task_id) DO NOTHING')
+      .run(task.taskId, String(task.userId), 'queued', Date.now());
+  }
+
+  /**
+   * 更新任务状态；任务已结束时不再改变（例如发送结果失败后重新入队的任务）
+   * @param {String} taskId - 任务ID
+   * @param {String} status - processing | completed | error | cancelled
+   */
+  setStatus(taskId, status) {
+    this.db
+      .prepare(`UPDATE task_status SET status = ?, updated_at = ? WHERE task_id = ? AND status NOT IN (${FINAL_STATUSES.map(() => '?').join(', ')})`)
+      .run(status, Date.now(), taskId, ...FINAL_STATUSES);
+  }
+
+  /**
+   * 查询任务状态
+   * @param {String} taskId - 任务ID
+   * @return {Object|null} {taskId, userId, status, updatedAt}，没有记录时为null
+   */
+  get(taskId) {
+    const row = this.db
+      .prepare('SELECT task_id, user_id, status, updated_at FROM task_status WHERE task_id = ?')
+      .get(taskId);
+
+    return row
+      ? { taskId: row.task_id, userId: row.user_id, status: row.status, updatedAt: row.updated_at }
+      : null;
+  }
+
+  /**
+   * 删除超过保留时间没有更新的记录
+   * @return {Number} 删除的记录数
+   */
+  purgeExpired() {
+    return this.db.prepare('DELETE FROM task_status WHERE updated_at <= ?').run(Date.now() - this.retention).changes;
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+/**
+ * 任务是否已结束
+ * @param {String} status - 任务状态
+ * @return {Boolean}
+ */
+function isFinalStatus(status) {
+  return FINAL_STATUSES.includes(status);
+}
+
+module.exports = {
+  TaskStatusStore,
+  isFinalStatus
+};
@@ -141,7 +141,7 @@ function runTests() {
       return true;
     })
     .catch(error => {
-      log(`Test failed: ${error.message}`, 'error');
+      log(`Test failed: ${error.code ? `[${error.code}] ` : ''}${error.message}`, 'error');
       return false;
     });
 }
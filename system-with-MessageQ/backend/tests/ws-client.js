@@ -1,5 +1,6 @@
 // tests/ws-client.js
 const WebSocket = require('ws');
+const msgpack = require('@msgpack/msgpack');
 const uuidv4 = require('uuid').v4;
 
 class TestWSClient {
@@ -10,6 +11,8 @@ class TestWSClient {
       autoReconnect: options.autoReconnect || true,
       reconnectInterval: options.reconnectInterval || 3000,
       heartbeatInterval: options.heartbeatInterval || 30000,
+      encoding: options.encoding || 'json', // json | msgpack
+      handshakeAuth: options.handshakeAuth || false, // 是否在握手时通过Authorization请求头认证
       onOpen: options.onOpen || (() => {}),
       onMessage: options.onMessage || (() => {}),
       onClose: options.onClose || (() => {}),
@@ -33,29 +36,37 @@ class TestWSClient {
   connect() {
     this._log('Connecting to WebSocket server...');
     
-    this.ws = new WebSocket(this.url);
+    // 通过子协议协商编码
+    const protocols = this.options.encoding === 'msgpack'
+      ? ['push.msgpack.v1', 'push.json.v1']
+      : ['push.json.v1'];
+    const wsOptions = {};
+    if (this.options.handshakeAuth && this.token) {
+      wsOptions.headers = { Authorization: `Bearer ${this.token}` };
+    }
+    this.ws = new WebSocket(this.url, protocols, wsOptions);
     
     this.ws.on('open', () => {
       this.connected = true;
-      this._log('Connected to WebSocket server');
+      this._log(`Connected to WebSocket server (protocol: ${this.ws.protocol || 'push.json.v1'})`);
       
       // 开始心跳
       this._startHeartbeat();
       
-      // 如果有令牌，则自动认证
-      if (this.token) {
+      // 如果有令牌，则自动认证（握手时已认证则不需要）
+      if (this.token && !this.options.handshakeAuth) {
         this.authenticate(this.token);
       }
       
       this.options.onOpen();
     });
     
-    this.ws.on('message', (data) => {
+    this.ws.on('message', (data, isBinary) => {
       let message;
       try {
-        message = JSON.parse(data);
+        message = isBinary ? msgpack.decode(data) : JSON.parse(data);
       } catch (e) {
-        this._log('Received non-JSON message:', data);
+        this._log('Received undecodable message:', data);
         return;
       }
       
@@ -158,7 +169,11 @@ class TestWSClient {
         clearTimeout(timeout);
         
         if (message.type === 'error') {
-          reject(new Error(message.message));
+          // 保留服务器的错误码，便于按类型断言
+          const error = new Error(message.message);
+          error.code = message.code;
+          error.details = message.details || [];
+          reject(error);
         } else {
           resolve(message);
         }
@@ -188,7 +203,12 @@ class TestWSClient {
     }
     
     try {
-      const message = typeof data === 'string' ? data : JSON.stringify(data);
+      let message = data;
+      if (typeof data !== 'string') {
+        message = this.ws.protocol === 'push.msgpack.v1'
+          ? msgpack.encode(data)
+          : JSON.stringify(data);
+      }
       this.ws.send(message);
       this._log('Sent message:', data);
       return true;
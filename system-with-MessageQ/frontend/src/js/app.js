@@ -12,6 +12,8 @@ document.addEventListener('DOMContentLoaded', function() {
       requestForm: document.getElementById('request-form'),
       requestCard: document.getElementById('request-card'),
       loggedUser: document.getElementById('logged-user'),
+      logoutButton: document.getElementById('logout-button'),
+      cancelRequest: document.getElementById('cancel-request'),
       messages: document.getElementById('messages'),
       clearMessages: document.getElementById('clear-messages'),
       pushData: document.getElementById('push-data')
@@ -20,15 +22,19 @@ document.addEventListener('DOMContentLoaded', function() {
     // 应用状态
     const state = {
       token: localStorage.getItem('auth_token'),
+      refreshToken: localStorage.getItem('refresh_token'),
       wsClient: null,
-      userId: null
+      userId: null,
+      activeRequestId: null // 正在进行的数据请求，可以取消
     };
     
     // 初始化WebSocket客户端
     function initWebSocketClient() {
       state.wsClient = new WSClient(config.wsUrl, {
         heartbeatInterval: 25000, // 25秒发送一次心跳
+        encoding: 'msgpack', // 优先使用二进制编码
         authToken: state.token,
+        getToken: refreshAccessToken, // 令牌即将过期时换取新令牌
         onConnect: () => {
           updateConnectionStatus('connected', 'Connected');
           logMessage('Connected to WebSocket server', 'success');
@@ -47,11 +53,20 @@ document.addEventListener('DOMContentLoaded', function() {
           elements.loggedUser.textContent = `User ID: ${data.userId}`;
           elements.requestCard.style.display = 'block';
         },
+        onAnnouncement: (data) => {
+          logMessage(`Announcement: ${data.message}`, 'info');
+        },
+        onProfileUpdated: (user) => {
+          logMessage(`Profile updated: ${user.displayName || user.username}`, 'info');
+          elements.loggedUser.textContent = `${user.displayName || user.username} (User ID: ${user.id})`;
+        },
         onAuthFailure: (data) => {
           logMessage(`Authentication failed: ${data.message}`, 'error');
           // 清除无效的令牌
-          localStorage.removeItem('auth_token');
-          state.token = null;
+          clearTokens();
+        },
+        onError: (error) => {
+          logMessage(`Server error (${error.code}): ${error.message}`, 'error');
         },
         onMessage: (data) => {
           // 只记录非心跳消息
@@ -84,6 +99,68 @@ document.addEventListener('DOMContentLoaded', function() {
       elements.messages.scrollTop = elements.messages.scrollHeight;
     }
     
+    function saveTokens(data) {
+      state.token = data.token;
+      state.refreshToken = data.refreshToken;
+      localStorage.setItem('auth_token', data.token);
+      localStorage.setItem('refresh_token', data.refreshToken);
+    }
+    
+    function clearTokens() {
+      state.token = null;
+      state.refreshToken = null;
+      localStorage.removeItem('auth_token');
+      localStorage.removeItem('refresh_token');
+    }
+    
+    // 用刷新令牌换取新的访问令牌，失败时返回null
+    async function refreshAccessToken() {
+      if (!state.refreshToken) {
+        return null;
+      }
+      
+      const response = await fetch(`${config.apiUrl}/api/token/refresh`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ refreshToken: state.refreshToken })
+      });
+      
+      if (!response.ok) {
+        logMessage('Refresh token is no longer valid, please log in again', 'error');
+        clearTokens();
+        return null;
+      }
+      
+      const data = await response.json();
+      saveTokens(data);
+      logMessage('Authentication token refreshed', 'info');
+      return data.token;
+    }
+    
+    // 退出登录处理，吊销令牌后服务器会断开当前连接
+    async function handleLogout() {
+      try {
+        await fetch(`${config.apiUrl}/api/logout`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${state.token}`
+          },
+          body: JSON.stringify({ refreshToken: state.refreshToken })
+        });
+      } catch (error) {
+        logMessage(`Logout error: ${error.message}`, 'error');
+      }
+      
+      clearTokens();
+      state.userId = null;
+      elements.loggedUser.textContent = 'Not logged in';
+      elements.requestCard.style.display = 'none';
+      logMessage('Logged out', 'info');
+    }
+    
     // 登录处理
     async function handleLogin(event) {
       event.preventDefault();
@@ -111,8 +188,7 @@ document.addEventListener('DOMContentLoaded', function() {
         logMessage('Login successful', 'success');
         
         // 保存令牌
-        state.token = data.token;
-        localStorage.setItem('auth_token', data.token);
+        saveTokens(data);
         
         // 如果WebSocket客户端已存在，则进行认证
         if (state.wsClient) {
@@ -138,6 +214,7 @@ document.addEventListener('DOMContentLoaded', function() {
       const requestId = 'req-' + Date.now();
       
       logMessage(`Sending data request (${requestId})...`, 'info');
+      setActiveRequest(requestId);
       
       // 发送请求
       state.wsClient.requestData(requestId, {
@@ -150,17 +227,43 @@ document.addEventListener('DOMContentLoaded', function() {
           logMessage(`Request accepted: ${data.message} (Task ID: ${data.taskId})`, 'success');
         },
         onData: (data) => {
-          logMessage(`Received data for request ${requestId}`, 'success');
+          if (data.status === 'processing') {
+            logMessage(`Received batch ${data.batchNumber} for request ${requestId}, progress: ${data.data.progress}%`, 'success');
+          } else {
+            logMessage(`Received data for request ${requestId}`, 'success');
+            setActiveRequest(null);
+          }
           // 更新显示
           elements.pushData.textContent = JSON.stringify(data, null, 2);
         },
-        onError: (data) => {
-          logMessage(`Request error: ${data.message}`, 'error');
+        onCancelled: () => {
+          logMessage(`Request cancelled (${requestId})`, 'info');
+          setActiveRequest(null);
+        },
+        onError: (error) => {
+          setActiveRequest(null);
+          if (error instanceof WSPermissionError) {
+            logMessage(`Permission denied: ${error.message}`, 'error');
+          } else {
+            logMessage(`Request error (${error.code}): ${error.message}`, 'error');
+          }
         },
         once: true // 一次性回调
       });
     }
     
+    // 有正在进行的请求时才允许取消
+    function setActiveRequest(requestId) {
+      state.activeRequestId = requestId;
+      elements.cancelRequest.disabled = !requestId;
+    }
+    
+    function handleCancelRequest() {
+      if (state.activeRequestId && state.wsClient.cancelRequest(state.activeRequestId)) {
+        logMessage(`Cancelling request (${state.activeRequestId})...`, 'info');
+      }
+    }
+    
     // 清除消息
     function handleClearMessages() {
       elements.messages.innerHTML = '';
@@ -170,7 +273,9 @@ document.addEventListener('DOMContentLoaded', function() {
     // 事件监听器
     elements.loginForm.addEventListener('submit', handleLogin);
     elements.requestForm.addEventListener('submit', handleRequestData);
+    elements.cancelRequest.addEventListener('click', handleCancelRequest);
     elements.clearMessages.addEventListener('click', handleClearMessages);
+    elements.logoutButton.addEventListener('click', handleLogout);
     
     // 初始化
     function init() {
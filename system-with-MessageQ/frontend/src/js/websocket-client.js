@@ -1,3 +1,49 @@
+// 服务器返回的错误码，与后端 utils/protocol.js 中的 ERROR_CODES 一致
+const WS_ERROR_CODES = {
+  BAD_JSON: 'E_BAD_JSON',
+  UNKNOWN_TYPE: 'E_UNKNOWN_TYPE',
+  BAD_PAYLOAD: 'E_BAD_PAYLOAD',
+  UNKNOWN_DATA_TYPE: 'E_UNKNOWN_DATA_TYPE',
+  UNAUTHENTICATED: 'E_UNAUTHENTICATED',
+  INVALID_CREDENTIALS: 'E_INVALID_CREDENTIALS',
+  FORBIDDEN: 'E_FORBIDDEN',
+  INTERNAL: 'E_INTERNAL'
+};
+
+// 服务器返回的错误，按错误码分为以下子类，可用 instanceof 区分
+class WSError extends Error {
+  constructor(code, message, data = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.requestId = data.requestId || null;
+    this.details = data.details || []; // E_BAD_PAYLOAD 时为具体的字段错误
+    this.data = data;
+  }
+  
+  // 根据服务器的 error、auth_failure 等消息创建对应类型的错误
+  static fromMessage(data) {
+    const ErrorClass = WS_ERROR_CLASSES[data.code] || WSError;
+    return new ErrorClass(data.code || null, data.message || 'Unknown error', data);
+  }
+}
+
+class WSProtocolError extends WSError {} // 客户端发送的消息不符合协议
+class WSAuthenticationError extends WSError {} // 未认证或凭据无效
+class WSPermissionError extends WSError {} // 权限不足
+class WSServerError extends WSError {} // 服务器内部错误，可以稍后重试
+
+const WS_ERROR_CLASSES = {
+  [WS_ERROR_CODES.BAD_JSON]: WSProtocolError,
+  [WS_ERROR_CODES.UNKNOWN_TYPE]: WSProtocolError,
+  [WS_ERROR_CODES.BAD_PAYLOAD]: WSProtocolError,
+  [WS_ERROR_CODES.UNKNOWN_DATA_TYPE]: WSProtocolError,
+  [WS_ERROR_CODES.UNAUTHENTICATED]: WSAuthenticationError,
+  [WS_ERROR_CODES.INVALID_CREDENTIALS]: WSAuthenticationError,
+  [WS_ERROR_CODES.FORBIDDEN]: WSPermissionError,
+  [WS_ERROR_CODES.INTERNAL]: WSServerError
+};
+
 class WSClient {
     constructor(url, options = {}) {
       this.baseUrl = url;
@@ -5,12 +51,19 @@ class WSClient {
         reconnectInterval: options.reconnectInterval || 3000,
         heartbeatInterval: options.heartbeatInterval || 30000,
         authToken: options.authToken || null,
+        acks: options.acks !== false, // 是否确认收到的推送（至少一次投递）
+        encoding: options.encoding || 'json', // 消息编码 (json|msgpack)，msgpack需要先加载MessagePack库
+        handshakeAuth: options.handshakeAuth || false, // 是否在握手时通过?token=认证，而不是连接后发送认证消息
+        getToken: options.getToken || null, // 获取新令牌的函数（可返回Promise），令牌即将过期时调用
         onMessage: options.onMessage || this._defaultMessageHandler,
         onReconnect: options.onReconnect || (() => {}),
         onConnect: options.onConnect || (() => {}),
         onDisconnect: options.onDisconnect || (() => {}),
         onAuthSuccess: options.onAuthSuccess || (() => {}),
-        onAuthFailure: options.onAuthFailure || (() => {})
+        onAuthFailure: options.onAuthFailure || (() => {}), // 参数为服务器消息和 WSAuthenticationError
+        onProfileUpdated: options.onProfileUpdated || (() => {}),
+        onAnnouncement: options.onAnnouncement || (() => {}), // 管理员公告
+        onError: options.onError || (error => console.error('Server error:', error)) // 不属于任何请求的错误，参数为 WSError
       };
       
       this.socket = null;
@@ -19,6 +72,8 @@ class WSClient {
       this.authenticated = false;
       this.isConnecting = false;
       this.userId = null;
+      this.tokenExpiresAt = null; // 当前令牌的过期时间（毫秒时间戳）
+      this.recentMessageIds = new Set(); // 最近处理过的推送ID，用于去重
       
       // 保存每个请求的回调处理程序
       this.requestCallbacks = new Map();
@@ -38,7 +93,13 @@ class WSClient {
       }
       
       this.isConnecting = true;
-      this.socket = new WebSocket(this.baseUrl);
+      
+      // 通过子协议协商编码，服务器不支持msgpack时回退到JSON
+      const protocols = this.options.encoding === 'msgpack' && typeof MessagePack !== 'undefined'
+        ? ['push.msgpack.v1', 'push.json.v1']
+        : ['push.json.v1'];
+      this.socket = new WebSocket(this._buildUrl(), protocols);
+      this.socket.binaryType = 'arraybuffer';
       
       this.socket.onopen = this._handleOpen.bind(this);
       this.socket.onmessage = this._handleMessage.bind(this);
@@ -46,13 +107,22 @@ class WSClient {
       this.socket.onerror = this._handleError.bind(this);
     }
     
+    _buildUrl() {
+      if (!this.options.handshakeAuth || !this.options.authToken) {
+        return this.baseUrl;
+      }
+      
+      const separator = this.baseUrl.includes('?') ? '&' : '?';
+      return `${this.baseUrl}${separator}token=${encodeURIComponent(this.options.authToken)}&acks=${this.options.acks}`;
+    }
+    
     _handleOpen() {
       console.log('WebSocket connection established');
       this.isConnecting = false;
       this.reconnectAttempts = 0;
       
-      // 发送认证请求
-      if (this.options.authToken) {
+      // 发送认证请求（握手时已认证则不需要）
+      if (this.options.authToken && !this.options.handshakeAuth) {
         this.authenticate(this.options.authToken);
       }
       
@@ -64,21 +134,71 @@ class WSClient {
     
     _handleMessage(event) {
       try {
-        const data = JSON.parse(event.data);
+        // msgpack编码的消息以二进制帧传输
+        const data = event.data instanceof ArrayBuffer
+          ? MessagePack.decode(new Uint8Array(event.data))
+          : JSON.parse(event.data);
+        
+        // 丢弃重发的消息，但仍需再次确认，否则服务器会继续重发
+        if (this._isDuplicate(data)) {
+          this._ack(data);
+          return;
+        }
         
         // 处理不同类型的消息
         switch (data.type) {
           case 'auth_success':
             this.authenticated = true;
             this.userId = data.userId;
+            this.tokenExpiresAt = data.expiresAt || null;
             console.log('Authentication successful');
             this.options.onAuthSuccess(data);
             break;
             
+          case 'token_expiring':
+            // 令牌即将过期，获取新令牌后在当前连接上刷新
+            console.warn('Authentication token is about to expire');
+            this.refreshToken();
+            break;
+            
+          case 'reauth_success':
+            this.tokenExpiresAt = data.expiresAt || null;
+            console.log('Token refreshed');
+            break;
+            
+          case 'reauth_failure':
+            console.error(`Token refresh failed (${data.code}):`, data.message);
+            break;
+            
+          case 'token_expired':
+            // 服务器随后会以4002关闭连接，重连前会先获取新令牌
+            console.warn('Authentication token expired');
+            break;
+            
+          case 'token_revoked':
+            // 令牌已被吊销（如已退出登录），服务器随后会以4003关闭连接，之后不再使用该令牌
+            console.warn('Authentication token revoked');
+            this.options.authToken = null;
+            break;
+            
+          case 'profile_updated':
+            // 用户资料在其他页面或设备上被修改
+            this.options.onProfileUpdated(data.user);
+            break;
+            
+          case 'announcement':
+            this.options.onAnnouncement(data);
+            break;
+            
+          case 'disconnected':
+            // 连接被管理员断开，服务器随后会以4004关闭连接，之后不再自动重连
+            console.warn('Disconnected by an administrator:', data.reason);
+            break;
+            
           case 'auth_failure':
             this.authenticated = false;
-            console.error('Authentication failed:', data.message);
-            this.options.onAuthFailure(data);
+            console.error(`Authentication failed (${data.code}):`, data.message);
+            this.options.onAuthFailure(data, WSError.fromMessage(data));
             break;
             
           case 'pong':
@@ -89,6 +209,7 @@ class WSClient {
             // 请求已接受，如果有回调则执行
             if (data.requestId && this.requestCallbacks.has(data.requestId)) {
               const callback = this.requestCallbacks.get(data.requestId);
+              callback.taskId = data.taskId; // 取消请求时使用
               if (callback.onAccepted) {
                 callback.onAccepted(data);
               }
@@ -96,34 +217,47 @@ class WSClient {
             break;
             
           case 'data':
+            // 请求已被取消，这是该请求的最后一条推送
+            if (data.payload && data.payload.status === 'cancelled' && this.requestCallbacks.has(data.payload.requestId)) {
+              const callback = this.requestCallbacks.get(data.payload.requestId);
+              this.requestCallbacks.delete(data.payload.requestId);
+              if (callback.onCancelled) {
+                callback.onCancelled(data.payload);
+              }
+              break;
+            }
+            
             // 实际的业务数据，可能是针对特定请求的响应
             if (data.payload && data.payload.requestId && this.requestCallbacks.has(data.payload.requestId)) {
               const callback = this.requestCallbacks.get(data.payload.requestId);
               if (callback.onData) {
                 callback.onData(data.payload);
                 
-                // 如果是一次性回调，则移除
-                if (callback.once) {
+                // 一次性回调在请求结束（最后一批或出错）后移除，分批推送期间保留以便取消
+                if (callback.once && data.payload.status !== 'processing') {
                   this.requestCallbacks.delete(data.payload.requestId);
                 }
               }
             }
             break;
             
-          case 'error':
-            // 错误消息，可能是针对特定请求的
-            if (data.requestId && this.requestCallbacks.has(data.requestId)) {
-              const callback = this.requestCallbacks.get(data.requestId);
-              if (callback.onError) {
-                callback.onError(data);
-                
-                // 错误通常表示请求结束
-                if (callback.once) {
-                  this.requestCallbacks.delete(data.requestId);
-                }
+          case 'error': {
+            // 错误消息，可能是针对特定请求的；按错误码转换为对应类型的错误
+            const error = WSError.fromMessage(data);
+            const callback = data.requestId && this.requestCallbacks.get(data.requestId);
+            
+            if (callback && callback.onError) {
+              callback.onError(error);
+              
+              // 错误通常表示请求结束
+              if (callback.once) {
+                this.requestCallbacks.delete(data.requestId);
               }
+            } else {
+              this.options.onError(error);
             }
             break;
+          }
             
           default:
             console.log('Received unknown message type:', data);
@@ -131,11 +265,41 @@ class WSClient {
         
         // 调用全局消息处理程序
         this.options.onMessage(data);
+        
+        // 处理完成后确认推送
+        this._ack(data);
       } catch (error) {
         console.error('Error processing message:', error);
       }
     }
     
+    _isDuplicate(data) {
+      if (!data.messageId) {
+        return false;
+      }
+      
+      if (this.recentMessageIds.has(data.messageId)) {
+        return true;
+      }
+      this.recentMessageIds.add(data.messageId);
+      
+      // 只保留最近的1000个ID
+      if (this.recentMessageIds.size > 1000) {
+        this.recentMessageIds.delete(this.recentMessageIds.values().next().value);
+      }
+      
+      return false;
+    }
+    
+    _ack(data) {
+      if (this.options.acks && data.messageId) {
+        this.send({
+          type: 'ack',
+          messageId: data.messageId
+        });
+      }
+    }
+    
     _handleClose(event) {
       this.authenticated = false;
       this.isConnecting = false;
@@ -144,6 +308,17 @@ class WSClient {
       console.log(`WebSocket connection closed: ${event.code} ${event.reason}`);
       this.options.onDisconnect(event);
       
+      // 被管理员断开的连接不再自动重连
+      if (event.code === 4004) {
+        return;
+      }
+      
+      // 因令牌过期被关闭时，先获取新令牌再重连
+      if (event.code === 4002 && this.options.getToken) {
+        this._fetchToken().then(() => this._reconnect());
+        return;
+      }
+      
       // 自动重连
       this._reconnect();
     }
@@ -187,6 +362,21 @@ class WSClient {
       }, delay);
     }
     
+    _fetchToken() {
+      return Promise.resolve()
+        .then(() => this.options.getToken())
+        .then(token => {
+          if (token) {
+            this.options.authToken = token;
+          }
+          return token || null;
+        })
+        .catch(error => {
+          console.error('Failed to get a new token:', error);
+          return null;
+        });
+    }
+    
     _defaultMessageHandler(data) {
       console.log('Received data:', data);
     }
@@ -196,7 +386,27 @@ class WSClient {
       
       return this.send({
         type: 'auth',
-        token: token
+        token: token,
+        acks: this.options.acks
+      });
+    }
+    
+    // 在当前连接上刷新令牌，不需要重新连接；省略token时通过getToken获取
+    refreshToken(token) {
+      const tokenPromise = token
+        ? Promise.resolve(token)
+        : (this.options.getToken ? this._fetchToken() : Promise.resolve(null));
+      
+      return tokenPromise.then(newToken => {
+        if (!newToken || !this.authenticated) {
+          return false;
+        }
+        
+        this.options.authToken = newToken;
+        return this.send({
+          type: 'reauth',
+          token: newToken
+        });
       });
     }
     
@@ -204,7 +414,7 @@ class WSClient {
       if (!this.authenticated) {
         console.error('Cannot request data: not authenticated');
         if (callbacks.onError) {
-          callbacks.onError({ message: 'Not authenticated' });
+          callbacks.onError(new WSAuthenticationError(WS_ERROR_CODES.UNAUTHENTICATED, 'Not authenticated', { requestId }));
         }
         return false;
       }
@@ -214,7 +424,9 @@ class WSClient {
         onAccepted: callbacks.onAccepted,
         onData: callbacks.onData,
         onError: callbacks.onError,
-        once: callbacks.once !== false
+        onCancelled: callbacks.onCancelled,
+        once: callbacks.once !== false,
+        taskId: null
       });
       
       // 发送请求
@@ -225,6 +437,21 @@ class WSClient {
       });
     }
     
+    // 取消请求，任务停止后通过请求的onCancelled回调通知；任务不存在或已结束时不会回调
+    cancelRequest(requestId) {
+      if (!this.authenticated) {
+        return false;
+      }
+      
+      // 请求已被接受时按任务ID取消，否则由任务处理器按请求ID查找任务
+      const callback = this.requestCallbacks.get(requestId);
+      const message = callback && callback.taskId
+        ? { type: 'cancel_task', taskId: callback.taskId, requestId }
+        : { type: 'cancel_task', requestId };
+      
+      return this.send(message);
+    }
+    
     send(data) {
       if (!this.socket || this.socket.readyState !== WebSocket.OPEN) {
         console.error('Cannot send message, WebSocket not connected');
@@ -232,7 +459,12 @@ class WSClient {
       }
       
       try {
-        const message = typeof data === 'string' ? data : JSON.stringify(data);
+        let message = data;
+        if (typeof data !== 'string') {
+          message = this.socket.protocol === 'push.msgpack.v1'
+            ? MessagePack.encode(data)
+            : JSON.stringify(data);
+        }
         this.socket.send(message);
         return true;
       } catch (error) {